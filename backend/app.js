@@ -2,6 +2,7 @@
 import dotenv from "dotenv";
 dotenv.config();
 
+import path from "path";
 import express from "express";
 import cors from "cors";
 import cookieParser from "cookie-parser";
@@ -14,6 +15,7 @@ import mongoose from "mongoose";
 import corsOptions from "./config/corsOptions.js";
 import globalErrorHandler from "./errorHandler/ErrorController.js";
 import CustomError from "./errorHandler/CustomError.js";
+import { getUploadDir } from "./utils/diskStorage.js";
 
 // Routes
 import ApiRoutes from "./routes/index.js";
@@ -45,6 +47,17 @@ app.get("/health", (req, res) => {
   });
 });
 
+// Avatars of the disk storage adapter, loaded cross-origin by the client.
+// Task attachments are private and served by the task API.
+app.use(
+  "/uploads/avatars",
+  (req, res, next) => {
+    res.setHeader("Cross-Origin-Resource-Policy", "cross-origin");
+    next();
+  },
+  express.static(path.join(getUploadDir(), "avatars"), { index: false })
+);
+
 // Main API routes
 app.use("/api", ApiRoutes);
 
@@ -0,0 +1,19 @@
+// backend/config/env.js
+// Settings the server cannot work without, checked once at startup so a
+// missing secret fails the boot instead of a request. See .env.example.
+const REQUIRED_ENV = [
+  "MONGODB_URI",
+  "JWT_ACCESS_SECRET",
+  "JWT_REFRESH_SECRET",
+  "JWT_INVITE_SECRET",
+];
+
+export const assertRequiredEnv = () => {
+  const missing = REQUIRED_ENV.filter((name) => !process.env[name]);
+
+  if (missing.length > 0) {
+    throw new Error(
+      `Missing required environment variables: ${missing.join(", ")}`
+    );
+  }
+};
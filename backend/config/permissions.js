@@ -0,0 +1,81 @@
+// backend/config/permissions.js
+// Permission strings granted through roles, with a description for role editors.
+// Scoped permissions end with .any (company), .department or .own/.assigned.
+export const PERMISSIONS = {
+  "task.create": "Create tasks in their department",
+  "task.read.any": "View tasks of every department",
+  "task.read.department": "View tasks of their department",
+  "task.read.assigned": "View tasks assigned to them",
+  "task.update.any": "Update any task in the company",
+  "task.update.department": "Update tasks of their department",
+  "task.update.own": "Update tasks they created",
+  "task.delete": "Move tasks they can update to the trash and restore them",
+  "task.purge": "Permanently delete tasks from the trash",
+  "department.access.any": "Access every department of the company",
+  "department.manage": "Create, edit and deactivate departments",
+  "user.read.any": "View every user in the company",
+  "user.manage": "Manage every user in the company",
+  "user.manage.department":
+    "Manage users of their department who hold fewer permissions",
+  "user.role.assign": "Change the role of users",
+  "invitation.manage": "Invite users into the company",
+  "session.manage": "View and revoke sessions of other users",
+  "role.manage": "Create and edit roles",
+  "company.manage": "Edit company profile, settings and security policy",
+  "company.export": "Download an export of all company data",
+  "company.delete": "Schedule or cancel the deletion of the company",
+  "billing.manage": "Manage the subscription and payments",
+  "mfa.enroll": "Enable two-factor authentication",
+};
+
+export const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+// Holders of these permissions manage other users and lead departments
+export const USER_MANAGEMENT_PERMISSIONS = [
+  "user.manage",
+  "user.manage.department",
+];
+
+// Holders of any of these are elevated, a company may require them to use
+// two-factor authentication
+export const ELEVATED_PERMISSIONS = [
+  ...USER_MANAGEMENT_PERMISSIONS,
+  "user.role.assign",
+  "session.manage",
+  "role.manage",
+  "company.manage",
+  "company.delete",
+  "billing.manage",
+];
+
+// Roles seeded into every company. They cannot be renamed or deleted and the
+// SuperAdmin role always keeps every permission.
+export const DEFAULT_ROLES = [
+  {
+    name: "SuperAdmin",
+    description: "Full access to the company",
+    permissions: ALL_PERMISSIONS,
+  },
+  {
+    name: "Manager",
+    description: "Runs a department, its tasks and its users",
+    permissions: [
+      "task.create",
+      "task.read.department",
+      "task.read.assigned",
+      "task.update.department",
+      "task.update.own",
+      "task.delete",
+      "user.manage.department",
+      "invitation.manage",
+      "mfa.enroll",
+    ],
+  },
+  {
+    name: "User",
+    description: "Works on tasks assigned to them",
+    permissions: ["task.read.assigned"],
+  },
+];
+
+export const SUPER_ADMIN_ROLE = "SuperAdmin";
@@ -0,0 +1,50 @@
+// backend/config/plans.js
+// Entitlements and prices per subscription plan. A null limit means unlimited.
+const GB = 1024 * 1024 * 1024;
+
+// Subscription lifecycle
+export const TRIAL_DAYS = 14;
+export const GRACE_PERIOD_DAYS = 7; // After expiry, before suspension
+export const EXPIRY_WARNING_DAYS = [7, 3, 1]; // Days before expiry to warn
+export const PLAN_CURRENCY = "USD";
+
+const plans = {
+  basic: {
+    name: "Basic",
+    monthlyPrice: 1000, // Cents
+    limits: {
+      users: 10,
+      departments: 3,
+      storageBytes: 1 * GB,
+    },
+    features: {
+      projectTasks: false,
+    },
+  },
+  premium: {
+    name: "Premium",
+    monthlyPrice: 3000, // Cents
+    limits: {
+      users: 50,
+      departments: 20,
+      storageBytes: 20 * GB,
+    },
+    features: {
+      projectTasks: true,
+    },
+  },
+  enterprise: {
+    name: "Enterprise",
+    monthlyPrice: 10000, // Cents
+    limits: {
+      users: null,
+      departments: null,
+      storageBytes: 500 * GB,
+    },
+    features: {
+      projectTasks: true,
+    },
+  },
+};
+
+export default plans;
@@ -0,0 +1,23 @@
+// backend/config/tasks.js
+export const TASK_STATUSES = ["To Do", "In Progress", "Completed", "Pending"];
+
+// Lowest first, lists sort by the position in this array
+export const TASK_PRIORITIES = ["Low", "Medium", "High"];
+
+// Statuses of tasks that still need work
+export const OPEN_TASK_STATUSES = ["To Do", "In Progress", "Pending"];
+
+// Statuses a task can move to from each status
+export const STATUS_TRANSITIONS = {
+  "To Do": ["In Progress", "Pending"],
+  "In Progress": ["In Progress", "Completed", "Pending"], // Allow self-transition
+  Completed: ["Pending", "In Progress"],
+  Pending: ["In Progress", "Completed"],
+};
+
+// Authors may edit or delete progress entries for this long after posting
+export const ACTIVITY_EDIT_WINDOW_MINUTES = 15;
+
+// Trashed tasks are purged by the retention job after this many days
+export const getTrashRetentionDays = () =>
+  Number(process.env.TASK_TRASH_RETENTION_DAYS) || 30;
@@ -3,15 +3,75 @@ import mongoose from "mongoose";
 import asyncHandler from "express-async-handler";
 import jwt from "jsonwebtoken";
 
-import { User, Company, Department } from "../models/index.js";
+import {
+  User,
+  Company,
+  Department,
+  AuthToken,
+  Session,
+  Role,
+} from "../models/index.js";
 import CustomError from "../errorHandler/CustomError.js";
 
 import {
-  generateAccessToken,
-  generateRefreshToken,
-  getAccessTokenCookieOptions,
-  getRefreshTokenCookieOptions,
-} from "../utils/generateTokens.js";
+  createAuthSession,
+  rotateAuthSession,
+  getSignInBlock,
+  ROTATION_GRACE_PERIOD,
+} from "../utils/authSession.js";
+import { sendEmail } from "../utils/mailer.js";
+import {
+  verificationEmail,
+  passwordResetEmail,
+  passwordChangedEmail,
+  emailChangeConfirmationEmail,
+  emailChangedEmail,
+} from "../utils/emailTemplates.js";
+import {
+  getLoginBlock,
+  rejectFailedLogin,
+  clearFailedLogins,
+} from "../utils/loginThrottle.js";
+import {
+  EMAIL_REGEX,
+  validateCompanyData,
+} from "../utils/companyValidation.js";
+import {
+  isSubscriptionUsable,
+  canRenewLapsedSubscription,
+} from "../utils/subscription.js";
+import {
+  getRolePermissions,
+  grantsElevatedAccess,
+} from "../utils/permissions.js";
+
+// One-time token limits
+const VERIFICATION_MAX_ATTEMPTS = 5;
+const VERIFICATION_RESEND_COOLDOWN = 60 * 1000; // 1 minute
+const VERIFICATION_EXPIRES_IN_HOURS = 24;
+const PASSWORD_RESET_EXPIRES_IN_MINUTES = 15;
+const EMAIL_CHANGE_EXPIRES_IN_MINUTES = 60;
+const MFA_TICKET_EXPIRES_IN_MINUTES = 5;
+
+const getClientUrl = () => process.env.CLIENT_URL || "http://localhost:3000";
+
+// Issue a verification code and email it to the user
+const sendVerificationCode = async (user) => {
+  const { token: code } = await AuthToken.issue({
+    user: user._id,
+    type: "EmailVerification",
+    expiresIn: VERIFICATION_EXPIRES_IN_HOURS * 60 * 60 * 1000,
+  });
+
+  return sendEmail({
+    to: user.email,
+    ...verificationEmail({
+      firstName: user.firstName,
+      code,
+      expiresInHours: VERIFICATION_EXPIRES_IN_HOURS,
+    }),
+  });
+};
 
 // @desc    Register a new company and associate department and admin user
 // @route   POST /api/auth/register
@@ -72,36 +132,23 @@ export const registerUser = asyncHandler(async (req, res, next) => {
   }
 
   // 3. Data format validation
-  const emailRegex = /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/;
-  const phoneRegex = /^(09\d{8}|\+2519\d{8})$/;
-
-  if (!emailRegex.test(email.trim())) {
-    return next(
-      new CustomError(
-        "Invalid company email format",
-        400,
-        "INVALID_EMAIL_FORMAT"
-      )
-    );
-  }
-
-  if (!emailRegex.test(adminEmail.trim())) {
+  const companyError = validateCompanyData({
+    name,
+    email,
+    phone,
+    address,
+    size,
+    industry,
+  });
+  if (companyError) return next(companyError);
+
+  if (!EMAIL_REGEX.test(adminEmail.trim())) {
     return next(
       new CustomError("Invalid admin email format", 400, "INVALID_EMAIL_FORMAT")
     );
   }
 
-  if (!phoneRegex.test(phone.trim())) {
-    return next(
-      new CustomError(
-        "Invalid phone number format for Ethiopia",
-        400,
-        "INVALID_PHONE_FORMAT"
-      )
-    );
-  }
-
-  if (adminPassword.length < 6) {
+  if (typeof adminPassword !== "string" || adminPassword.length < 6) {
     return next(
       new CustomError(
         "Password must be at least 6 characters long",
@@ -112,16 +159,6 @@ export const registerUser = asyncHandler(async (req, res, next) => {
   }
 
   // 4. Length validation
-  if (name.trim().length < 2 || name.trim().length > 100) {
-    return next(
-      new CustomError(
-        "Company name must be between 2 and 100 characters",
-        400,
-        "INVALID_COMPANY_NAME_LENGTH"
-      )
-    );
-  }
-
   if (departmentName.trim().length < 2 || departmentName.trim().length > 50) {
     return next(
       new CustomError(
@@ -163,38 +200,6 @@ export const registerUser = asyncHandler(async (req, res, next) => {
     );
   }
 
-  // Validate enum values if provided
-  const validSizes = [
-    "1-10 Employees",
-    "11-50 Employees",
-    "51-200 Employees",
-    "201-500 Employees",
-    "500+ Employees",
-  ];
-  const validIndustries = [
-    "Hospitality",
-    "Technology",
-    "Healthcare",
-    "Finance",
-    "Education",
-    "Retail",
-    "Manufacturing",
-    "Consulting",
-    "Other",
-  ];
-
-  if (size && !validSizes.includes(size)) {
-    return next(
-      new CustomError("Invalid company size", 400, "INVALID_COMPANY_SIZE")
-    );
-  }
-
-  if (industry && !validIndustries.includes(industry)) {
-    return next(
-      new CustomError("Invalid industry type", 400, "INVALID_INDUSTRY_TYPE")
-    );
-  }
-
   // --- PHASE 2: UNIQUENESS VALIDATION ---
 
   // 6. Check uniqueness before transaction
@@ -283,7 +288,10 @@ export const registerUser = asyncHandler(async (req, res, next) => {
     });
     await department.save({ session });
 
-    // 11. Create admin user
+    // 11. Seed the default roles of the company
+    await Role.seedDefaults(company._id, { session });
+
+    // 12. Create admin user
     const adminUser = new User({
       firstName: adminFirstName.trim(),
       lastName: adminLastName.trim(),
@@ -296,20 +304,15 @@ export const registerUser = asyncHandler(async (req, res, next) => {
     });
     await adminUser.save({ session });
 
-    // 12. Update department with manager
+    // 13. Update department with manager
     department.managers = [adminUser._id];
     await department.save({ session });
 
-    // 13. Commit transaction
+    // 14. Commit transaction
     await session.commitTransaction();
 
-    // 14. Generate tokens
-    const accessToken = generateAccessToken(adminUser._id);
-    const refreshToken = generateRefreshToken(adminUser._id);
-
-    // 15. Set cookies
-    res.cookie("access_token", accessToken, getAccessTokenCookieOptions());
-    res.cookie("refresh_token", refreshToken, getRefreshTokenCookieOptions());
+    // 15. Create session, generate tokens and set cookies
+    await createAuthSession(req, res, adminUser);
 
     // 16. Populate user data for response
     const populatedUser = await User.findById(adminUser._id)
@@ -341,7 +344,12 @@ export const loginUser = asyncHandler(async (req, res, next) => {
     const { email, password } = req.body;
 
     // Input validation
-    if (!email || !password) {
+    if (
+      typeof email !== "string" ||
+      typeof password !== "string" ||
+      !email ||
+      !password
+    ) {
       return next(
         new CustomError(
           "Email and password are required",
@@ -359,76 +367,70 @@ export const loginUser = asyncHandler(async (req, res, next) => {
       );
     }
 
+    // Brute-force protection, per email and per IP
+    const loginBlock = await getLoginBlock({ email, ip: req.ip });
+    if (loginBlock) {
+      res.set("Retry-After", String(loginBlock.context.retryAfter));
+      return next(loginBlock);
+    }
+
     // Find user with company and department details
     const user = await User.findOne({ email: email.toLowerCase() })
-      .populate("company", "name isActive subscription.status")
+      .populate("company", "name isActive subscription.status settings")
       .populate("department", "name isActive")
       .select("+password");
 
     if (!user) {
-      return next(
-        new CustomError("Invalid email or password", 401, "INVALID_CREDENTIALS")
-      );
+      return rejectFailedLogin(req, res, next, { email });
     }
 
     // Verify password
     if (!(await user.comparePassword(password))) {
-      return next(
-        new CustomError("Invalid email or password", 401, "INVALID_CREDENTIALS")
-      );
+      return rejectFailedLogin(req, res, next, { email, user });
     }
 
-    // Check if user is active
-    if (!user.isActive) {
-      return next(
-        new CustomError("User account is deactivated", 401, "USER_DEACTIVATED")
-      );
-    }
+    // Account, company, subscription and department must allow signing in
+    const signInBlock = await getSignInBlock(user);
+    if (signInBlock) return next(signInBlock);
 
-    // Check if company is active
-    if (!user.company.isActive) {
-      return next(
-        new CustomError(
-          "Company account is deactivated",
-          401,
-          "COMPANY_DEACTIVATED"
-        )
+    // Two-factor: password accepted, a second step completes the login.
+    // Failed login counters are cleared only once that step succeeds.
+    const mfaRequiredByPolicy =
+      user.company.settings?.requireMfaForElevatedRoles &&
+      grantsElevatedAccess(
+        await getRolePermissions(user.company._id, user.role)
       );
-    }
 
-    // Check company subscription status
-    if (user.company.subscription.status !== "active") {
-      return next(
-        new CustomError(
-          "Company subscription is not active",
-          403,
-          "SUBSCRIPTION_INACTIVE"
-        )
-      );
-    }
+    if (user.mfa?.enabled || mfaRequiredByPolicy) {
+      const ticketType = user.mfa?.enabled ? "MfaChallenge" : "MfaEnrollment";
+      const { token: mfaTicket } = await AuthToken.issue({
+        user: user._id,
+        type: ticketType,
+        expiresIn: MFA_TICKET_EXPIRES_IN_MINUTES * 60 * 1000,
+      });
 
-    // Check if department is active
-    if (!user.department.isActive) {
-      return next(
-        new CustomError(
-          "Department is deactivated",
-          401,
-          "DEPARTMENT_DEACTIVATED"
-        )
-      );
+      return res.status(200).json({
+        success: true,
+        message:
+          ticketType === "MfaChallenge"
+            ? "Two-factor authentication code required"
+            : "Two-factor authentication must be set up for your role",
+        data: {
+          mfaRequired: ticketType === "MfaChallenge",
+          mfaEnrollmentRequired: ticketType === "MfaEnrollment",
+          mfaTicket,
+        },
+      });
     }
 
-    // Generate tokens
-    const accessToken = generateAccessToken(user._id);
-    const refreshToken = generateRefreshToken(user._id);
+    await clearFailedLogins({ email });
 
     // Update user's last login
     user.lastLogin = new Date();
     await user.save();
 
-    // Set cookies
-    res.cookie("access_token", accessToken, getAccessTokenCookieOptions());
-    res.cookie("refresh_token", refreshToken, getRefreshTokenCookieOptions());
+    // Create session, generate tokens and set cookies
+    await createAuthSession(req, res, user);
 
     // Remove sensitive data from response
     const userResponse = user.toObject();
@@ -452,6 +454,14 @@ export const loginUser = asyncHandler(async (req, res, next) => {
 //@access  Private
 export const logoutUser = asyncHandler(async (req, res, next) => {
   try {
+    // Revoke the server-side session of this login
+    if (req.sessionId) {
+      await Session.revokeAll(
+        { _id: req.sessionId, user: req.user._id },
+        "logout"
+      );
+    }
+
     // Clear cookies
     res.clearCookie("access_token", {
       httpOnly: true,
@@ -537,11 +547,88 @@ export const getRefreshToken = asyncHandler(async (req, res, next) => {
       }
     }
 
+    // Find the session of this token family
+    const session = decoded.family
+      ? await Session.findOne({ family: decoded.family }).select(
+          "+refreshTokenHash +previousTokenHash"
+        )
+      : null;
+
+    if (!session || !session.user.equals(decoded.userId)) {
+      res.clearCookie("refresh_token", {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === "production",
+        sameSite: "strict",
+        path: "/api/auth/refresh-token",
+      });
+
+      return next(
+        new CustomError("Invalid refresh token", 401, "INVALID_REFRESH_TOKEN")
+      );
+    }
+
+    if (!session.isActive()) {
+      res.clearCookie("refresh_token", {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === "production",
+        sameSite: "strict",
+        path: "/api/auth/refresh-token",
+      });
+
+      return next(
+        new CustomError(
+          "Session has been revoked. Please log in again",
+          401,
+          "SESSION_REVOKED"
+        )
+      );
+    }
+
+    // Only the latest token of a family is valid
+    const tokenHash = Session.hashToken(refreshToken);
+    if (tokenHash !== session.refreshTokenHash) {
+      // A concurrent request already rotated this token, keep the new cookie
+      const isRecentlyRotated =
+        tokenHash === session.previousTokenHash &&
+        Date.now() - session.rotatedAt.getTime() < ROTATION_GRACE_PERIOD;
+
+      if (isRecentlyRotated) {
+        return next(
+          new CustomError(
+            "Refresh token was already rotated",
+            401,
+            "REFRESH_TOKEN_ROTATED"
+          )
+        );
+      }
+
+      // Reuse of an old token, revoke the whole family
+      await Session.revokeAll({ family: session.family }, "reuse");
+      console.warn(
+        `Refresh token reuse detected for user ${session.user}, session ${session._id} revoked`
+      );
+
+      res.clearCookie("refresh_token", {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === "production",
+        sameSite: "strict",
+        path: "/api/auth/refresh-token",
+      });
+
+      return next(
+        new CustomError(
+          "Refresh token reuse detected. Please log in again",
+          401,
+          "REFRESH_TOKEN_REUSED"
+        )
+      );
+    }
+
     // Fetch user data with company and department details
     const user = await User.findById(decoded.userId)
       .populate("company", "name isActive subscription.status")
       .populate("department", "name isActive")
-      .select("-password");
+      .select("-password +passwordChangedAt");
 
     if (!user) {
       // Clear cookies if user not found
@@ -555,6 +642,24 @@ export const getRefreshToken = asyncHandler(async (req, res, next) => {
       return next(new CustomError("User not found", 401, "USER_NOT_FOUND"));
     }
 
+    // Reject refresh tokens issued before the last password change
+    if (user.changedPasswordAfter(decoded.iat)) {
+      res.clearCookie("refresh_token", {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === "production",
+        sameSite: "strict",
+        path: "/api/auth/refresh-token",
+      });
+
+      return next(
+        new CustomError(
+          "Refresh token has been revoked. Please log in again",
+          401,
+          "REFRESH_TOKEN_REVOKED"
+        )
+      );
+    }
+
     // Check if user verified their email
     if (!user.isVerified) {
       // Clear cookies if user is not verified
@@ -609,7 +714,13 @@ export const getRefreshToken = asyncHandler(async (req, res, next) => {
     }
 
     // Check company subscription status
-    if (user.company.subscription.status !== "active") {
+    if (
+      !isSubscriptionUsable(user.company) &&
+      !canRenewLapsedSubscription(
+        user,
+        await getRolePermissions(user.company._id, user.role)
+      )
+    ) {
       // Clear cookies if company subscription is not active
       res.clearCookie("refresh_token", {
         httpOnly: true,
@@ -646,11 +757,19 @@ export const getRefreshToken = asyncHandler(async (req, res, next) => {
       );
     }
 
-    // Generate new access token
-    const newAccessToken = generateAccessToken(user._id);
+    // Rotate refresh token and set new cookies
+    const rotated = await rotateAuthSession(req, res, session, tokenHash);
 
-    // Set new access token cookie
-    res.cookie("access_token", newAccessToken, getAccessTokenCookieOptions());
+    // A concurrent refresh won the race, same as the grace period case above
+    if (!rotated) {
+      return next(
+        new CustomError(
+          "Refresh token was already rotated",
+          401,
+          "REFRESH_TOKEN_ROTATED"
+        )
+      );
+    }
 
     res.status(200).json({
       success: true,
@@ -693,3 +812,393 @@ export const getCurrentUser = asyncHandler(async (req, res, next) => {
     );
   }
 });
+
+//@desc    Verify user email with the emailed verification code
+//@route   POST /api/auth/verify-email
+//@access  Public
+export const verifyEmail = asyncHandler(async (req, res, next) => {
+  const { email, code } = req.body;
+
+  if (!email || !code) {
+    return next(
+      new CustomError(
+        "Email and verification code are required",
+        400,
+        "MISSING_VERIFICATION_DATA"
+      )
+    );
+  }
+
+  const user = await User.findOne({
+    email: String(email).toLowerCase().trim(),
+  });
+
+  const verificationToken = user
+    ? await AuthToken.findOne({
+        user: user._id,
+        type: "EmailVerification",
+      }).select("+tokenHash")
+    : null;
+
+  // Every failure gets the same answer, so the endpoint does not reveal
+  // which emails have an account or the state of their code
+  const invalidCode = new CustomError(
+    "Invalid or expired verification code. Request a new one if needed",
+    400,
+    "INVALID_VERIFICATION_CODE"
+  );
+
+  if (
+    !user ||
+    user.isVerified ||
+    !verificationToken ||
+    verificationToken.expiresAt < new Date() ||
+    verificationToken.attempts >= VERIFICATION_MAX_ATTEMPTS
+  ) {
+    return next(invalidCode);
+  }
+
+  if (!verificationToken.matches(String(code).trim().toUpperCase())) {
+    verificationToken.attempts += 1;
+    await verificationToken.save();
+    return next(invalidCode);
+  }
+
+  // Mark user as verified and consume the code
+  user.isVerified = true;
+  await user.save({ validateBeforeSave: false });
+  await verificationToken.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    message: "Email verified successfully. You can now log in",
+  });
+});
+
+//@desc    Send a new email verification code
+//@route   POST /api/auth/resend-verification
+//@access  Public
+export const resendVerification = asyncHandler(async (req, res, next) => {
+  const { email } = req.body;
+
+  if (!email) {
+    return next(new CustomError("Email is required", 400, "MISSING_EMAIL"));
+  }
+
+  // Same response whether or not the account exists
+  const genericResponse = {
+    success: true,
+    message:
+      "If an unverified account exists for this email, a new verification code has been sent",
+  };
+
+  const user = await User.findOne({
+    email: String(email).toLowerCase().trim(),
+  });
+
+  if (!user || user.isVerified || !user.isActive) {
+    return res.status(200).json(genericResponse);
+  }
+
+  // Throttle resends
+  const lastToken = await AuthToken.findOne({
+    user: user._id,
+    type: "EmailVerification",
+  }).lean();
+
+  if (
+    lastToken &&
+    Date.now() - lastToken.createdAt.getTime() < VERIFICATION_RESEND_COOLDOWN
+  ) {
+    return next(
+      new CustomError(
+        "Please wait before requesting another verification code",
+        429,
+        "VERIFICATION_RESEND_TOO_SOON"
+      )
+    );
+  }
+
+  try {
+    await sendVerificationCode(user);
+  } catch (error) {
+    console.error("Verification email error:", error);
+    return next(
+      new CustomError(
+        "Failed to send verification email",
+        500,
+        "EMAIL_SEND_FAILED"
+      )
+    );
+  }
+
+  res.status(200).json(genericResponse);
+});
+
+//@desc    Send a password reset link to the user email
+//@route   POST /api/auth/forgot-password
+//@access  Public
+export const forgotPassword = asyncHandler(async (req, res, next) => {
+  const { email } = req.body;
+
+  if (!email) {
+    return next(new CustomError("Email is required", 400, "MISSING_EMAIL"));
+  }
+
+  // Same response whether or not the account exists
+  const genericResponse = {
+    success: true,
+    message:
+      "If an account exists for this email, a password reset link has been sent",
+  };
+
+  const user = await User.findOne({
+    email: String(email).toLowerCase().trim(),
+  });
+
+  if (!user || !user.isActive) {
+    return res.status(200).json(genericResponse);
+  }
+
+  const { token: resetToken, authToken } = await AuthToken.issue({
+    user: user._id,
+    type: "PasswordReset",
+    expiresIn: PASSWORD_RESET_EXPIRES_IN_MINUTES * 60 * 1000,
+  });
+
+  try {
+    await sendEmail({
+      to: user.email,
+      ...passwordResetEmail({
+        firstName: user.firstName,
+        resetUrl: `${getClientUrl()}/reset-password/${resetToken}`,
+        expiresInMinutes: PASSWORD_RESET_EXPIRES_IN_MINUTES,
+      }),
+    });
+  } catch (error) {
+    console.error("Password reset email error:", error);
+
+    // Invalidate the token that could not be delivered
+    await authToken.deleteOne();
+
+    return next(
+      new CustomError(
+        "Failed to send password reset email",
+        500,
+        "EMAIL_SEND_FAILED"
+      )
+    );
+  }
+
+  res.status(200).json(genericResponse);
+});
+
+//@desc    Reset user password with the emailed reset token
+//@route   POST /api/auth/reset-password/:token
+//@access  Public
+export const resetPassword = asyncHandler(async (req, res, next) => {
+  const { token } = req.params;
+  const { password } = req.body;
+
+  if (!password) {
+    return next(
+      new CustomError("New password is required", 400, "MISSING_PASSWORD")
+    );
+  }
+
+  if (typeof password !== "string" || password.length < 6) {
+    return next(
+      new CustomError(
+        "Password must be at least 6 characters long",
+        400,
+        "INVALID_PASSWORD_LENGTH"
+      )
+    );
+  }
+
+  const resetToken = await AuthToken.findValid("PasswordReset", token);
+  const user = resetToken ? await User.findById(resetToken.user) : null;
+
+  if (!user) {
+    return next(
+      new CustomError(
+        "Password reset token is invalid or has expired",
+        400,
+        "INVALID_RESET_TOKEN"
+      )
+    );
+  }
+
+  // Saving a new password sets passwordChangedAt, revoking existing tokens
+  user.password = password;
+  await user.save();
+  await AuthToken.deleteMany({ user: user._id, type: "PasswordReset" });
+  await Session.revokeAll({ user: user._id }, "password_change");
+
+  // Notify the user, a failure here should not fail the reset
+  sendEmail({
+    to: user.email,
+    ...passwordChangedEmail({ firstName: user.firstName }),
+  }).catch((error) =>
+    console.error("Password changed email error:", error.message)
+  );
+
+  // Clear any cookies held by this client
+  res.clearCookie("access_token", {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === "production",
+    sameSite: "strict",
+    path: "/",
+  });
+
+  res.clearCookie("refresh_token", {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === "production",
+    sameSite: "strict",
+    path: "/api/auth/refresh-token",
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Password reset successful. Please log in with your new password",
+  });
+});
+
+//@desc    Request an email change, confirmation is sent to the new address
+//@route   PATCH /api/auth/me/email
+//@access  Private
+export const requestEmailChange = asyncHandler(async (req, res, next) => {
+  const { newEmail, password } = req.body;
+
+  if (!newEmail || !password) {
+    return next(
+      new CustomError(
+        "New email and current password are required",
+        400,
+        "MISSING_REQUIRED_FIELDS"
+      )
+    );
+  }
+
+  const normalizedEmail = String(newEmail).toLowerCase().trim();
+
+  const emailRegex = /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/;
+  if (!emailRegex.test(normalizedEmail)) {
+    return next(
+      new CustomError("Invalid email format", 400, "INVALID_EMAIL_FORMAT")
+    );
+  }
+
+  if (normalizedEmail === req.user.email) {
+    return next(
+      new CustomError(
+        "New email must be different from the current email",
+        400,
+        "SAME_EMAIL"
+      )
+    );
+  }
+
+  // Require the current password before changing login credentials
+  if (!(await req.user.comparePassword(password))) {
+    return next(
+      new CustomError("Current password is incorrect", 401, "INVALID_PASSWORD")
+    );
+  }
+
+  const existingUser = await User.findOne({ email: normalizedEmail }).lean();
+  if (existingUser) {
+    return next(
+      new CustomError("Email is already in use", 409, "USER_EMAIL_EXISTS")
+    );
+  }
+
+  const { token: changeToken, authToken } = await AuthToken.issue({
+    user: req.user._id,
+    type: "EmailChange",
+    email: normalizedEmail,
+    expiresIn: EMAIL_CHANGE_EXPIRES_IN_MINUTES * 60 * 1000,
+  });
+
+  try {
+    await sendEmail({
+      to: normalizedEmail,
+      ...emailChangeConfirmationEmail({
+        firstName: req.user.firstName,
+        confirmUrl: `${getClientUrl()}/confirm-email/${changeToken}`,
+        expiresInMinutes: EMAIL_CHANGE_EXPIRES_IN_MINUTES,
+      }),
+    });
+  } catch (error) {
+    console.error("Email change confirmation error:", error);
+
+    await authToken.deleteOne();
+
+    return next(
+      new CustomError(
+        "Failed to send confirmation email",
+        500,
+        "EMAIL_SEND_FAILED"
+      )
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `A confirmation link has been sent to ${normalizedEmail}`,
+    data: { pendingEmail: normalizedEmail },
+  });
+});
+
+//@desc    Confirm email change with the token sent to the new address
+//@route   POST /api/auth/confirm-email/:token
+//@access  Public
+export const confirmEmailChange = asyncHandler(async (req, res, next) => {
+  const { token } = req.params;
+
+  const changeToken = await AuthToken.findValid("EmailChange", token);
+  const user = changeToken ? await User.findById(changeToken.user) : null;
+
+  if (!user || !changeToken.email) {
+    return next(
+      new CustomError(
+        "Email change token is invalid or has expired",
+        400,
+        "INVALID_EMAIL_CHANGE_TOKEN"
+      )
+    );
+  }
+
+  // Token is single use
+  await AuthToken.deleteMany({ user: user._id, type: "EmailChange" });
+
+  // Re-check uniqueness, the address may have been taken since the request
+  const existingUser = await User.findOne({
+    email: changeToken.email,
+    _id: { $ne: user._id },
+  }).lean();
+
+  if (existingUser) {
+    return next(
+      new CustomError("Email is already in use", 409, "USER_EMAIL_EXISTS")
+    );
+  }
+
+  const oldEmail = user.email;
+  user.email = changeToken.email;
+  await user.save();
+
+  // Notify the previous address, a failure here should not fail the change
+  sendEmail({
+    to: oldEmail,
+    ...emailChangedEmail({ firstName: user.firstName, newEmail: user.email }),
+  }).catch((error) =>
+    console.error("Email changed notification error:", error.message)
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Email address updated successfully",
+    data: { email: user.email },
+  });
+});
@@ -0,0 +1,317 @@
+// backend/controllers/CompanyController.js
+import asyncHandler from "express-async-handler";
+
+import { Company } from "../models/index.js";
+import CustomError from "../errorHandler/CustomError.js";
+
+import { recordAudit, diffChanges } from "../utils/auditLogger.js";
+import {
+  validateCompanyData,
+  normalizePhone,
+} from "../utils/companyValidation.js";
+import { getPlan, getUsage } from "../utils/planEntitlements.js";
+
+const PROFILE_FIELDS = [
+  "name",
+  "email",
+  "phone",
+  "address",
+  "size",
+  "industry",
+  "logo",
+];
+
+// Settings paths that can be changed through the settings endpoint
+const SETTINGS_PATHS = [
+  "requireMfaForElevatedRoles",
+  "defaultTaskPriority",
+  "timezone",
+  "workingHours.start",
+  "workingHours.end",
+  "workingHours.workDays",
+  "notifications.taskAssignment",
+  "notifications.taskUpdate",
+  "notifications.statusChange",
+  "notifications.taskCompletion",
+];
+
+const BOOLEAN_SETTINGS = [
+  "requireMfaForElevatedRoles",
+  "notifications.taskAssignment",
+  "notifications.taskUpdate",
+  "notifications.statusChange",
+  "notifications.taskCompletion",
+];
+
+const COMPANY_POPULATE = [{ path: "departmentCount" }, { path: "userCount" }];
+
+const getPath = (object, path) =>
+  path.split(".").reduce((value, key) => value?.[key], object);
+
+// @desc    Get the profile and settings of the current company
+// @route   GET /api/company
+// @access  Private (company.manage)
+export const getCompany = asyncHandler(async (req, res, next) => {
+  const company = await Company.findById(req.user.company._id).populate(
+    COMPANY_POPULATE
+  );
+
+  if (!company) {
+    return next(new CustomError("Company not found", 404, "COMPANY_NOT_FOUND"));
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Company retrieved successfully",
+    data: company,
+  });
+});
+
+// @desc    Update the company profile
+// @route   PATCH /api/company
+// @access  Private (company.manage)
+export const updateCompany = asyncHandler(async (req, res, next) => {
+  const updates = Object.fromEntries(
+    Object.entries(req.body).filter(([key]) => PROFILE_FIELDS.includes(key))
+  );
+
+  if (Object.keys(updates).length === 0) {
+    return next(
+      new CustomError(
+        `Nothing to update. Allowed fields: ${PROFILE_FIELDS.join(", ")}`,
+        400,
+        "NO_VALID_UPDATES"
+      )
+    );
+  }
+
+  // Required profile fields cannot be cleared
+  const emptyFields = ["name", "email", "phone", "address", "size", "industry"]
+    .filter((field) => field in updates)
+    .filter(
+      (field) => typeof updates[field] !== "string" || !updates[field].trim()
+    );
+
+  if (emptyFields.length > 0) {
+    return next(
+      new CustomError(
+        `Fields cannot be empty: ${emptyFields.join(", ")}`,
+        400,
+        "MISSING_REQUIRED_FIELDS"
+      )
+    );
+  }
+
+  const validationError = validateCompanyData(updates);
+  if (validationError) return next(validationError);
+
+  // Uniqueness against other companies
+  const companyId = req.user.company._id;
+  const [existingByName, existingByEmail, existingByPhone] = await Promise.all([
+    updates.name &&
+      Company.findOne({ _id: { $ne: companyId }, name: updates.name.trim() })
+        .collation({ locale: "en", strength: 2 })
+        .lean(),
+    updates.email &&
+      Company.findOne({
+        _id: { $ne: companyId },
+        email: updates.email.toLowerCase().trim(),
+      }).lean(),
+    updates.phone &&
+      Company.findOne({
+        _id: { $ne: companyId },
+        phone: normalizePhone(updates.phone),
+      }).lean(),
+  ]);
+
+  if (existingByName) {
+    return next(
+      new CustomError("Company name already exists", 409, "COMPANY_NAME_EXISTS")
+    );
+  }
+
+  if (existingByEmail) {
+    return next(
+      new CustomError(
+        "Company email already exists",
+        409,
+        "COMPANY_EMAIL_EXISTS"
+      )
+    );
+  }
+
+  if (existingByPhone) {
+    return next(
+      new CustomError(
+        "Company phone number already exists",
+        409,
+        "COMPANY_PHONE_EXISTS"
+      )
+    );
+  }
+
+  const company = await Company.findById(companyId);
+  const before = Object.fromEntries(
+    PROFILE_FIELDS.map((field) => [field, company[field]])
+  );
+
+  Object.assign(company, updates);
+  await company.save();
+
+  // Compare saved values, the model formats name, address and phone
+  const changes = diffChanges(
+    before,
+    Object.fromEntries(
+      Object.keys(updates).map((field) => [field, company[field]])
+    )
+  );
+
+  if (Object.keys(changes).length > 0) {
+    await recordAudit(req, {
+      action: "company.update",
+      targetType: "Company",
+      target: company._id,
+      changes,
+    });
+  }
+
+  await company.populate(COMPANY_POPULATE);
+
+  res.status(200).json({
+    success: true,
+    message: "Company updated successfully",
+    data: company,
+  });
+});
+
+// @desc    Update company-wide defaults
+// @route   PATCH /api/company/settings
+// @access  Private (company.manage)
+export const updateCompanySettings = asyncHandler(async (req, res, next) => {
+  const updates = Object.fromEntries(
+    SETTINGS_PATHS.map((path) => [path, getPath(req.body, path)]).filter(
+      ([, value]) => value !== undefined
+    )
+  );
+
+  if (Object.keys(updates).length === 0) {
+    return next(
+      new CustomError(
+        `Nothing to update. Allowed settings: ${SETTINGS_PATHS.join(", ")}`,
+        400,
+        "NO_VALID_UPDATES"
+      )
+    );
+  }
+
+  const invalidBooleans = BOOLEAN_SETTINGS.filter(
+    (path) => path in updates && typeof updates[path] !== "boolean"
+  );
+
+  if (invalidBooleans.length > 0) {
+    return next(
+      new CustomError(
+        `Settings must be booleans: ${invalidBooleans.join(", ")}`,
+        400,
+        "INVALID_SETTINGS"
+      )
+    );
+  }
+
+  if ("workingHours.workDays" in updates) {
+    const workDays = updates["workingHours.workDays"];
+    if (
+      !Array.isArray(workDays) ||
+      workDays.length === 0 ||
+      workDays.some((day) => !Number.isInteger(day) || day < 0 || day > 6)
+    ) {
+      return next(
+        new CustomError(
+          "Work days must be a non-empty list of days from 0 (Sunday) to 6 (Saturday)",
+          400,
+          "INVALID_WORK_DAYS"
+        )
+      );
+    }
+    updates["workingHours.workDays"] = [...new Set(workDays)].sort(
+      (a, b) => a - b
+    );
+  }
+
+  const company = await Company.findById(req.user.company._id);
+
+  // Audit whole top-level settings, nested paths are not valid log keys
+  const changedKeys = [
+    ...new Set(Object.keys(updates).map((path) => path.split(".")[0])),
+  ];
+  const pickSettings = () =>
+    Object.fromEntries(
+      changedKeys.map((key) => [key, company.settings.toObject()[key]])
+    );
+  const before = pickSettings();
+
+  Object.entries(updates).forEach(([path, value]) =>
+    company.set(`settings.${path}`, value)
+  );
+
+  // Times are HH:mm, so string comparison orders them
+  const { start, end } = company.settings.workingHours;
+  if (start >= end) {
+    return next(
+      new CustomError(
+        "Working hours must end after they start",
+        400,
+        "INVALID_WORKING_HOURS"
+      )
+    );
+  }
+
+  await company.save();
+
+  const changes = diffChanges(before, pickSettings());
+  if (Object.keys(changes).length > 0) {
+    await recordAudit(req, {
+      action: "company.settings.update",
+      targetType: "Company",
+      target: company._id,
+      changes,
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Company settings updated successfully",
+    data: company.settings,
+  });
+});
+
+// @desc    Current usage against the subscription plan limits
+// @route   GET /api/company/usage
+// @access  Private (company.manage)
+export const getCompanyUsage = asyncHandler(async (req, res, next) => {
+  const company = req.user.company;
+  const plan = getPlan(company);
+  const usage = await getUsage(company._id);
+
+  const limits = Object.fromEntries(
+    Object.entries(plan.limits).map(([resource, limit]) => [
+      resource,
+      {
+        used: usage[resource],
+        limit,
+        remaining: limit === null ? null : Math.max(0, limit - usage[resource]),
+      },
+    ])
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Company usage retrieved successfully",
+    data: {
+      plan: company.subscription?.plan || "basic",
+      planName: plan.name,
+      limits,
+      features: plan.features,
+    },
+  });
+});
@@ -0,0 +1,274 @@
+// backend/controllers/CompanyDataController.js
+import asyncHandler from "express-async-handler";
+
+import { Company, User, AuthToken } from "../models/index.js";
+import CustomError from "../errorHandler/CustomError.js";
+
+import { recordAudit } from "../utils/auditLogger.js";
+import { sendEmail } from "../utils/mailer.js";
+import { buildCompanyExport } from "../utils/companyExport.js";
+import { addDays } from "../utils/subscription.js";
+import { formatCompanyDate } from "../utils/companyDates.js";
+import {
+  companyDeletionConfirmationEmail,
+  companyDeletionScheduledEmail,
+  companyDeletionCancelledEmail,
+} from "../utils/emailTemplates.js";
+
+const DELETION_CONFIRM_EXPIRES_IN_MINUTES = 60;
+
+const getClientUrl = () => process.env.CLIENT_URL || "http://localhost:3000";
+
+// Days between the confirmation and the actual deletion
+const getDeletionDelayDays = () =>
+  Number(process.env.COMPANY_DELETION_DELAY_DAYS) || 14;
+
+const describeDeletion = (company) => ({
+  requestedAt: company.deletion?.requestedAt || null,
+  confirmedAt: company.deletion?.confirmedAt || null,
+  scheduledFor: company.deletion?.scheduledFor || null,
+});
+
+// Email every active SuperAdmin of the company, failures are only logged
+const emailSuperAdmins = async (company, buildEmail) => {
+  const superAdmins = await User.find({
+    company: company._id,
+    role: "SuperAdmin",
+    isActive: true,
+  }).lean();
+
+  await Promise.all(
+    superAdmins.map((admin) =>
+      sendEmail({ to: admin.email, ...buildEmail(admin) }).catch((error) =>
+        console.error("Company deletion email error:", error.message)
+      )
+    )
+  );
+};
+
+// @desc    Download all company data as a zip of JSON and CSV files
+// @route   GET /api/company/export
+// @access  Private (company.export, also while suspended)
+export const exportCompanyData = asyncHandler(async (req, res, next) => {
+  const company = req.user.company;
+  const archive = await buildCompanyExport(company._id);
+
+  await recordAudit(req, {
+    action: "company.export",
+    targetType: "Company",
+    target: company._id,
+  });
+
+  const date = new Date().toISOString().slice(0, 10);
+  res.setHeader("Content-Type", "application/zip");
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="company-export-${company._id}-${date}.zip"`
+  );
+  res.status(200).send(archive);
+});
+
+// @desc    Request the deletion of the company, a confirmation link is emailed
+// @route   POST /api/company/deletion
+// @access  Private (company.delete, also while suspended)
+export const requestCompanyDeletion = asyncHandler(async (req, res, next) => {
+  const { companyName, password } = req.body;
+  const company = await Company.findById(req.user.company._id);
+
+  if (company.deletion?.scheduledFor) {
+    return next(
+      new CustomError(
+        `Company deletion is already scheduled for ${formatCompanyDate(company.deletion.scheduledFor, company)}`,
+        409,
+        "DELETION_ALREADY_SCHEDULED"
+      )
+    );
+  }
+
+  // Typing the name guards against deleting the wrong company
+  if (!companyName || companyName.trim() !== company.name) {
+    return next(
+      new CustomError(
+        "Company name does not match",
+        400,
+        "COMPANY_NAME_MISMATCH"
+      )
+    );
+  }
+
+  if (!password || !(await req.user.comparePassword(password))) {
+    return next(
+      new CustomError("Current password is incorrect", 401, "INVALID_PASSWORD")
+    );
+  }
+
+  const { token, authToken } = await AuthToken.issue({
+    user: req.user._id,
+    type: "CompanyDeletion",
+    expiresIn: DELETION_CONFIRM_EXPIRES_IN_MINUTES * 60 * 1000,
+  });
+
+  try {
+    await sendEmail({
+      to: req.user.email,
+      ...companyDeletionConfirmationEmail({
+        firstName: req.user.firstName,
+        companyName: company.name,
+        confirmUrl: `${getClientUrl()}/settings/company/delete/${token}`,
+        expiresInMinutes: DELETION_CONFIRM_EXPIRES_IN_MINUTES,
+        delayDays: getDeletionDelayDays(),
+      }),
+    });
+  } catch (error) {
+    console.error("Company deletion confirmation error:", error);
+
+    await authToken.deleteOne();
+
+    return next(
+      new CustomError(
+        "Failed to send confirmation email",
+        500,
+        "EMAIL_SEND_FAILED"
+      )
+    );
+  }
+
+  company.deletion = { requestedBy: req.user._id, requestedAt: new Date() };
+  await company.save();
+
+  await recordAudit(req, {
+    action: "company.deletion.request",
+    targetType: "Company",
+    target: company._id,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `A confirmation link has been sent to ${req.user.email}`,
+    data: describeDeletion(company),
+  });
+});
+
+// @desc    Confirm a requested deletion, scheduling it after the delay
+// @route   POST /api/company/deletion/confirm
+// @access  Private (company.delete, also while suspended)
+export const confirmCompanyDeletion = asyncHandler(async (req, res, next) => {
+  const { token } = req.body;
+
+  // The link only works for the SuperAdmin who requested it
+  const deletionToken = token
+    ? await AuthToken.findValid("CompanyDeletion", token)
+    : null;
+
+  if (!deletionToken || !deletionToken.user.equals(req.user._id)) {
+    return next(
+      new CustomError(
+        "Deletion token is invalid or has expired",
+        400,
+        "INVALID_DELETION_TOKEN"
+      )
+    );
+  }
+
+  // Token is single use
+  await AuthToken.deleteMany({ user: req.user._id, type: "CompanyDeletion" });
+
+  const company = await Company.findById(req.user.company._id);
+
+  if (!company.deletion?.requestedAt) {
+    return next(
+      new CustomError(
+        "No company deletion has been requested",
+        400,
+        "DELETION_NOT_REQUESTED"
+      )
+    );
+  }
+
+  if (company.deletion.scheduledFor) {
+    return next(
+      new CustomError(
+        `Company deletion is already scheduled for ${formatCompanyDate(company.deletion.scheduledFor, company)}`,
+        409,
+        "DELETION_ALREADY_SCHEDULED"
+      )
+    );
+  }
+
+  const now = new Date();
+  company.deletion.confirmedAt = now;
+  company.deletion.scheduledFor = addDays(now, getDeletionDelayDays());
+  await company.save();
+
+  await recordAudit(req, {
+    action: "company.deletion.schedule",
+    targetType: "Company",
+    target: company._id,
+    changes: {
+      scheduledFor: { from: null, to: company.deletion.scheduledFor },
+    },
+  });
+
+  await emailSuperAdmins(company, (admin) =>
+    companyDeletionScheduledEmail({
+      firstName: admin.firstName,
+      companyName: company.name,
+      scheduledFor: formatCompanyDate(company.deletion.scheduledFor, company),
+      settingsUrl: `${getClientUrl()}/settings/company`,
+    })
+  );
+
+  res.status(200).json({
+    success: true,
+    message: `Company will be deleted on ${formatCompanyDate(company.deletion.scheduledFor, company)}`,
+    data: describeDeletion(company),
+  });
+});
+
+// @desc    Cancel a requested or scheduled deletion
+// @route   DELETE /api/company/deletion
+// @access  Private (company.delete, also while suspended)
+export const cancelCompanyDeletion = asyncHandler(async (req, res, next) => {
+  const company = await Company.findById(req.user.company._id);
+
+  if (!company.deletion?.requestedAt) {
+    return next(
+      new CustomError(
+        "No company deletion has been requested",
+        400,
+        "DELETION_NOT_REQUESTED"
+      )
+    );
+  }
+
+  const { requestedBy, scheduledFor: wasScheduledFor = null } =
+    company.deletion;
+
+  company.deletion = undefined;
+  await company.save();
+
+  // An unconfirmed request may still have a live confirmation link
+  await AuthToken.deleteMany({ user: requestedBy, type: "CompanyDeletion" });
+
+  await recordAudit(req, {
+    action: "company.deletion.cancel",
+    targetType: "Company",
+    target: company._id,
+    changes: { scheduledFor: { from: wasScheduledFor, to: null } },
+  });
+
+  if (wasScheduledFor) {
+    await emailSuperAdmins(company, (admin) =>
+      companyDeletionCancelledEmail({
+        firstName: admin.firstName,
+        companyName: company.name,
+      })
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Company deletion cancelled",
+    data: describeDeletion(company),
+  });
+});
@@ -0,0 +1,528 @@
+// backend/controllers/DepartmentController.js
+import mongoose from "mongoose";
+import asyncHandler from "express-async-handler";
+
+import { User, Department, Task } from "../models/index.js";
+import CustomError from "../errorHandler/CustomError.js";
+
+import { recordAudit, diffChanges } from "../utils/auditLogger.js";
+import { assertWithinPlanLimit } from "../utils/planEntitlements.js";
+import { isManagerialRole } from "../utils/permissions.js";
+import { OPEN_TASK_STATUSES } from "../config/tasks.js";
+
+const DEPARTMENT_POPULATE = [
+  { path: "managers", select: "firstName lastName email role isActive" },
+  { path: "userCount", match: { isActive: true } },
+  { path: "taskCount" },
+];
+
+// Load a department of the current company
+const findCompanyDepartment = async (req, session = null) => {
+  const { departmentId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(departmentId)) {
+    throw new CustomError(
+      "Invalid department ID format",
+      400,
+      "INVALID_DEPARTMENT_ID"
+    );
+  }
+
+  const department = await Department.findOne({
+    _id: departmentId,
+    company: req.user.company._id,
+  }).session(session);
+
+  if (!department) {
+    throw new CustomError("Department not found", 404, "DEPARTMENT_NOT_FOUND");
+  }
+
+  return department;
+};
+
+// Department names are unique per company regardless of case
+const ensureUniqueName = async (req, name, excludeId = null) => {
+  const query = { company: req.user.company._id, name: name.trim() };
+  if (excludeId) query._id = { $ne: excludeId };
+
+  const existing = await Department.findOne(query).collation({
+    locale: "en",
+    strength: 2,
+  });
+
+  if (existing) {
+    throw new CustomError(
+      "A department with this name already exists",
+      409,
+      "DEPARTMENT_ALREADY_EXISTS"
+    );
+  }
+};
+
+// Open tasks and active users keep a department in use
+const getDepartmentUsage = async (department, session = null) => {
+  const [openTasks, activeUsers] = await Promise.all([
+    Task.countDocuments({
+      department: department._id,
+      status: { $in: OPEN_TASK_STATUSES },
+      deletedAt: null,
+    }).session(session),
+    User.countDocuments({
+      department: department._id,
+      isActive: true,
+    }).session(session),
+  ]);
+
+  return { openTasks, activeUsers };
+};
+
+// @desc    List company departments with user and task counts
+// @route   GET /api/departments
+// @access  Private (department.manage)
+export const getDepartments = asyncHandler(async (req, res, next) => {
+  const { page = 1, limit = 10, search, isActive } = req.query;
+
+  const query = { company: req.user.company._id };
+
+  if (search && search.trim()) {
+    query.name = {
+      $regex: search.trim().replace(/[.*+?^${}()|[\]\\]/g, "\\$&"),
+      $options: "i",
+    };
+  }
+
+  if (isActive !== undefined) query.isActive = isActive === "true";
+
+  const results = await Department.paginate(query, {
+    page: parseInt(page),
+    limit: parseInt(limit),
+    sort: { name: 1 },
+    populate: DEPARTMENT_POPULATE,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Departments retrieved successfully",
+    data: results.docs,
+    page: results.page,
+    limit: results.limit,
+    totalPages: results.totalPages,
+    totalItems: results.totalDocs,
+  });
+});
+
+// @desc    Get a department by ID
+// @route   GET /api/departments/:departmentId
+// @access  Private (department.manage)
+export const getDepartmentById = asyncHandler(async (req, res, next) => {
+  const department = await findCompanyDepartment(req);
+  await department.populate(DEPARTMENT_POPULATE);
+
+  res.status(200).json({
+    success: true,
+    message: "Department retrieved successfully",
+    data: department,
+  });
+});
+
+// @desc    Create a department
+// @route   POST /api/departments
+// @access  Private (department.manage)
+export const createDepartment = asyncHandler(async (req, res, next) => {
+  const { name, description } = req.body;
+
+  if (!name || !name.trim()) {
+    return next(
+      new CustomError(
+        "Department name is required",
+        400,
+        "MISSING_REQUIRED_FIELDS"
+      )
+    );
+  }
+
+  await ensureUniqueName(req, name);
+  await assertWithinPlanLimit(req.user.company, "departments");
+
+  const department = await Department.create({
+    name,
+    description,
+    company: req.user.company._id,
+  });
+
+  await recordAudit(req, {
+    action: "department.create",
+    targetType: "Department",
+    target: department._id,
+    changes: diffChanges(
+      {},
+      { name: department.name, description: department.description }
+    ),
+  });
+
+  await department.populate(DEPARTMENT_POPULATE);
+
+  res.status(201).json({
+    success: true,
+    message: "Department created successfully",
+    data: department,
+  });
+});
+
+// @desc    Rename or describe a department
+// @route   PATCH /api/departments/:departmentId
+// @access  Private (department.manage)
+export const updateDepartment = asyncHandler(async (req, res, next) => {
+  const allowedUpdates = ["name", "description"];
+  const updates = Object.fromEntries(
+    Object.entries(req.body).filter(([key]) => allowedUpdates.includes(key))
+  );
+
+  if (Object.keys(updates).length === 0) {
+    return next(
+      new CustomError(
+        `Nothing to update. Allowed fields: ${allowedUpdates.join(", ")}`,
+        400,
+        "NO_VALID_UPDATES"
+      )
+    );
+  }
+
+  if (updates.name !== undefined && (!updates.name || !updates.name.trim())) {
+    return next(
+      new CustomError(
+        "Department name cannot be empty",
+        400,
+        "INVALID_DEPARTMENT_NAME"
+      )
+    );
+  }
+
+  const department = await findCompanyDepartment(req);
+
+  if (updates.name !== undefined) {
+    await ensureUniqueName(req, updates.name, department._id);
+  }
+
+  const before = {
+    name: department.name,
+    description: department.description,
+  };
+
+  Object.assign(department, updates);
+  await department.save();
+
+  // Compare saved values, the model formats name and description
+  const changes = diffChanges(before, {
+    name: department.name,
+    description: department.description,
+  });
+
+  if (Object.keys(changes).length > 0) {
+    await recordAudit(req, {
+      action: "department.update",
+      targetType: "Department",
+      target: department._id,
+      changes,
+    });
+  }
+
+  await department.populate(DEPARTMENT_POPULATE);
+
+  res.status(200).json({
+    success: true,
+    message: "Department updated successfully",
+    data: department,
+  });
+});
+
+// @desc    Deactivate a department, optionally moving its users and open tasks
+// @route   PATCH /api/departments/:departmentId/deactivate
+// @access  Private (department.manage)
+export const deactivateDepartment = asyncHandler(async (req, res, next) => {
+  const { transferTo } = req.body;
+
+  if (transferTo && !mongoose.Types.ObjectId.isValid(transferTo)) {
+    return next(
+      new CustomError(
+        "Invalid transfer department ID format",
+        400,
+        "INVALID_DEPARTMENT_ID"
+      )
+    );
+  }
+
+  const session = await mongoose.startSession();
+
+  try {
+    session.startTransaction();
+
+    const department = await findCompanyDepartment(req, session);
+
+    if (!department.isActive) {
+      throw new CustomError(
+        "Department is already deactivated",
+        400,
+        "DEPARTMENT_ALREADY_DEACTIVATED"
+      );
+    }
+
+    const usage = await getDepartmentUsage(department, session);
+    const inUse = usage.openTasks > 0 || usage.activeUsers > 0;
+
+    // Without a transfer target a department in use cannot be deactivated
+    if (inUse && !transferTo) {
+      throw new CustomError(
+        `Department still has ${usage.activeUsers} active user(s) and ${usage.openTasks} open task(s). Provide transferTo to move them to another department`,
+        409,
+        "DEPARTMENT_IN_USE",
+        usage
+      );
+    }
+
+    let targetDepartment = null;
+    let transferred = { users: 0, tasks: 0 };
+
+    if (inUse) {
+      targetDepartment = await Department.findOne({
+        _id: transferTo,
+        company: req.user.company._id,
+        isActive: true,
+      }).session(session);
+
+      if (!targetDepartment || targetDepartment._id.equals(department._id)) {
+        throw new CustomError(
+          "Transfer department not found or inactive",
+          404,
+          "TRANSFER_DEPARTMENT_NOT_FOUND"
+        );
+      }
+
+      const movedUsers = await User.find({ department: department._id })
+        .select("_id role")
+        .session(session);
+
+      const [userResult, taskResult] = await Promise.all([
+        User.updateMany(
+          { department: department._id },
+          { department: targetDepartment._id },
+          { session }
+        ),
+        Task.updateMany(
+          {
+            department: department._id,
+            status: { $in: OPEN_TASK_STATUSES },
+          },
+          { department: targetDepartment._id },
+          { session }
+        ),
+      ]);
+
+      // Moved managers manage their new department
+      const movedManagers = [];
+      for (const user of movedUsers) {
+        if (await isManagerialRole(req.user.company._id, user.role)) {
+          movedManagers.push(user._id);
+        }
+      }
+
+      if (movedManagers.length > 0) {
+        targetDepartment.managers.addToSet(...movedManagers);
+        await targetDepartment.save({ session });
+      }
+
+      transferred = {
+        users: userResult.modifiedCount,
+        tasks: taskResult.modifiedCount,
+      };
+    }
+
+    department.isActive = false;
+    department.managers = [];
+    await department.save({ session });
+
+    await recordAudit(
+      req,
+      {
+        action: "department.deactivate",
+        targetType: "Department",
+        target: department._id,
+        changes: {
+          isActive: { from: true, to: false },
+          ...(targetDepartment && {
+            transferTo: { from: null, to: targetDepartment._id },
+            transferredUsers: { from: null, to: transferred.users },
+            transferredTasks: { from: null, to: transferred.tasks },
+          }),
+        },
+      },
+      { session }
+    );
+
+    await session.commitTransaction();
+
+    await department.populate(DEPARTMENT_POPULATE);
+
+    res.status(200).json({
+      success: true,
+      message: targetDepartment
+        ? `Department deactivated. ${transferred.users} user(s) and ${transferred.tasks} open task(s) moved to ${targetDepartment.name}`
+        : "Department deactivated successfully",
+      data: department,
+    });
+  } catch (error) {
+    if (session.inTransaction()) await session.abortTransaction();
+    next(error);
+  } finally {
+    await session.endSession();
+  }
+});
+
+// @desc    Reactivate a department
+// @route   PATCH /api/departments/:departmentId/reactivate
+// @access  Private (department.manage)
+export const reactivateDepartment = asyncHandler(async (req, res, next) => {
+  const department = await findCompanyDepartment(req);
+
+  if (department.isActive) {
+    return next(
+      new CustomError(
+        "Department is already active",
+        400,
+        "DEPARTMENT_ALREADY_ACTIVE"
+      )
+    );
+  }
+
+  await assertWithinPlanLimit(req.user.company, "departments");
+
+  department.isActive = true;
+  await department.save();
+
+  await recordAudit(req, {
+    action: "department.reactivate",
+    targetType: "Department",
+    target: department._id,
+    changes: { isActive: { from: false, to: true } },
+  });
+
+  await department.populate(DEPARTMENT_POPULATE);
+
+  res.status(200).json({
+    success: true,
+    message: "Department reactivated successfully",
+    data: department,
+  });
+});
+
+// @desc    Add a manager to a department
+// @route   POST /api/departments/:departmentId/managers
+// @access  Private (department.manage)
+export const addDepartmentManager = asyncHandler(async (req, res, next) => {
+  const { userId } = req.body;
+
+  if (!userId || !mongoose.Types.ObjectId.isValid(userId)) {
+    return next(
+      new CustomError("A valid user ID is required", 400, "INVALID_USER_ID")
+    );
+  }
+
+  const department = await findCompanyDepartment(req);
+
+  if (!department.isActive) {
+    return next(
+      new CustomError("Department is not active", 400, "DEPARTMENT_INACTIVE")
+    );
+  }
+
+  const user = await User.findOne({
+    _id: userId,
+    company: req.user.company._id,
+    isActive: true,
+  });
+
+  if (!user) {
+    return next(new CustomError("User not found", 404, "USER_NOT_FOUND"));
+  }
+
+  if (!(await isManagerialRole(req.user.company._id, user.role))) {
+    return next(
+      new CustomError(
+        "Only users whose role manages users can manage a department",
+        400,
+        "INVALID_MANAGER_ROLE"
+      )
+    );
+  }
+
+  if (department.managers.some((manager) => manager.equals(user._id))) {
+    return next(
+      new CustomError(
+        "User already manages this department",
+        400,
+        "ALREADY_DEPARTMENT_MANAGER"
+      )
+    );
+  }
+
+  department.managers.push(user._id);
+  await department.save();
+
+  await recordAudit(req, {
+    action: "department.manager.add",
+    targetType: "Department",
+    target: department._id,
+    changes: { managers: { from: null, to: user._id } },
+  });
+
+  await department.populate(DEPARTMENT_POPULATE);
+
+  res.status(200).json({
+    success: true,
+    message: `${user.fullName} now manages ${department.name}`,
+    data: department,
+  });
+});
+
+// @desc    Remove a manager from a department
+// @route   DELETE /api/departments/:departmentId/managers/:userId
+// @access  Private (department.manage)
+export const removeDepartmentManager = asyncHandler(async (req, res, next) => {
+  const { userId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(userId)) {
+    return next(
+      new CustomError("Invalid user ID format", 400, "INVALID_USER_ID")
+    );
+  }
+
+  const department = await findCompanyDepartment(req);
+
+  if (!department.managers.some((manager) => manager.equals(userId))) {
+    return next(
+      new CustomError(
+        "User does not manage this department",
+        404,
+        "DEPARTMENT_MANAGER_NOT_FOUND"
+      )
+    );
+  }
+
+  department.managers.pull(userId);
+  await department.save();
+
+  await recordAudit(req, {
+    action: "department.manager.remove",
+    targetType: "Department",
+    target: department._id,
+    changes: { managers: { from: userId, to: null } },
+  });
+
+  await department.populate(DEPARTMENT_POPULATE);
+
+  res.status(200).json({
+    success: true,
+    message: "Manager removed from department",
+    data: department,
+  });
+});
@@ -0,0 +1,510 @@
+// backend/controllers/InvitationController.js
+import mongoose from "mongoose";
+import asyncHandler from "express-async-handler";
+import jwt from "jsonwebtoken";
+
+import { User, Department, Invitation } from "../models/index.js";
+import CustomError from "../errorHandler/CustomError.js";
+
+import { createAuthSession } from "../utils/authSession.js";
+import { getInvitationExpiry, sendInvitation } from "../utils/invitations.js";
+import { assertWithinPlanLimit } from "../utils/planEntitlements.js";
+import {
+  hasPermission,
+  isManagerialRole,
+  canManageRole,
+  assertRoleExists,
+} from "../utils/permissions.js";
+
+// Load an invitation of the current company the user may manage
+const findManageableInvitation = async (req) => {
+  const { invitationId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(invitationId)) {
+    throw new CustomError(
+      "Invalid invitation ID format",
+      400,
+      "INVALID_INVITATION_ID"
+    );
+  }
+
+  const invitation = await Invitation.findOne({
+    _id: invitationId,
+    company: req.user.company._id,
+  });
+
+  if (!invitation) {
+    throw new CustomError("Invitation not found", 404, "INVITATION_NOT_FOUND");
+  }
+
+  // Department managers only manage invitations to their own department
+  if (
+    !hasPermission(req, "user.manage") &&
+    !invitation.department.equals(req.user.department._id)
+  ) {
+    throw new CustomError(
+      "Cannot manage invitations outside your department",
+      403,
+      "DEPARTMENT_MANAGEMENT_DENIED"
+    );
+  }
+
+  if (invitation.status !== "Pending") {
+    throw new CustomError(
+      `Invitation is already ${invitation.status.toLowerCase()}`,
+      400,
+      "INVITATION_NOT_PENDING"
+    );
+  }
+
+  return invitation;
+};
+
+// @desc    Invite a user into the company by email
+// @route   POST /api/invitations
+// @access  Private (invitation.manage)
+export const createInvitation = asyncHandler(async (req, res, next) => {
+  const { email, role = "User", department } = req.body;
+
+  // Required field validation
+  if (!email || !department) {
+    return next(
+      new CustomError(
+        "Email and department are required",
+        400,
+        "MISSING_REQUIRED_FIELDS"
+      )
+    );
+  }
+
+  const normalizedEmail = String(email).toLowerCase().trim();
+
+  const emailRegex = /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/;
+  if (!emailRegex.test(normalizedEmail)) {
+    return next(
+      new CustomError("Invalid email format", 400, "INVALID_EMAIL_FORMAT")
+    );
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(department)) {
+    return next(
+      new CustomError(
+        "Invalid department ID format",
+        400,
+        "INVALID_DEPARTMENT_ID"
+      )
+    );
+  }
+
+  await assertRoleExists(req.user.company._id, role);
+
+  if (!(await canManageRole(req, role))) {
+    return next(
+      new CustomError(
+        "Cannot invite users with equal or higher privileges",
+        403,
+        "PRIVILEGE_MANAGEMENT_DENIED"
+      )
+    );
+  }
+
+  // Department managers may only invite into their own department
+  if (!hasPermission(req, "user.manage")) {
+    if (!req.user.department._id.equals(department)) {
+      return next(
+        new CustomError(
+          "Cannot invite users outside your department",
+          403,
+          "DEPARTMENT_MANAGEMENT_DENIED"
+        )
+      );
+    }
+  }
+
+  const targetDepartment = await Department.findOne({
+    _id: department,
+    company: req.user.company._id,
+  }).lean();
+
+  if (!targetDepartment || !targetDepartment.isActive) {
+    return next(
+      new CustomError(
+        "Department not found or inactive",
+        404,
+        "DEPARTMENT_NOT_FOUND"
+      )
+    );
+  }
+
+  // Uniqueness checks
+  const [existingUser, existingInvitation] = await Promise.all([
+    User.findOne({ email: normalizedEmail }).lean(),
+    Invitation.findOne({
+      email: normalizedEmail,
+      company: req.user.company._id,
+      status: "Pending",
+      expiresAt: { $gt: new Date() },
+    }).lean(),
+  ]);
+
+  if (existingUser) {
+    return next(
+      new CustomError(
+        "A user with this email already exists",
+        409,
+        "USER_EMAIL_EXISTS"
+      )
+    );
+  }
+
+  if (existingInvitation) {
+    return next(
+      new CustomError(
+        "A pending invitation already exists for this email",
+        409,
+        "INVITATION_EXISTS"
+      )
+    );
+  }
+
+  // Pending invitations take a seat of the plan user limit
+  await assertWithinPlanLimit(req.user.company, "users");
+
+  const invitation = await Invitation.create({
+    email: normalizedEmail,
+    role,
+    company: req.user.company._id,
+    department: targetDepartment._id,
+    invitedBy: req.user._id,
+    expiresAt: getInvitationExpiry(),
+  });
+
+  try {
+    await sendInvitation(invitation, {
+      inviter: req.user,
+      companyName: req.user.company.name,
+    });
+  } catch (error) {
+    console.error("Invitation email error:", error);
+    await invitation.deleteOne();
+    return next(
+      new CustomError(
+        "Failed to send invitation email",
+        500,
+        "EMAIL_SEND_FAILED"
+      )
+    );
+  }
+
+  res.status(201).json({
+    success: true,
+    message: `Invitation sent to ${normalizedEmail}`,
+    data: invitation,
+  });
+});
+
+// @desc    List invitations of the company (pending by default)
+// @route   GET /api/invitations
+// @access  Private (invitation.manage)
+export const getInvitations = asyncHandler(async (req, res, next) => {
+  const { page = 1, limit = 10, status = "Pending" } = req.query;
+
+  if (!["Pending", "Accepted", "Revoked", "Expired"].includes(status)) {
+    return next(
+      new CustomError("Invalid invitation status", 400, "INVALID_STATUS")
+    );
+  }
+
+  const query = { company: req.user.company._id };
+
+  // Expired is a pending invitation past its expiry
+  if (status === "Expired") {
+    query.status = "Pending";
+    query.expiresAt = { $lte: new Date() };
+  } else {
+    query.status = status;
+    if (status === "Pending") query.expiresAt = { $gt: new Date() };
+  }
+
+  // Department managers only see invitations to their own department
+  if (!hasPermission(req, "user.manage")) {
+    query.department = req.user.department._id;
+  }
+
+  const results = await Invitation.paginate(query, {
+    page: parseInt(page),
+    limit: parseInt(limit),
+    sort: { createdAt: -1 },
+    populate: [
+      { path: "department", select: "name" },
+      { path: "invitedBy", select: "firstName lastName email" },
+    ],
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Invitations retrieved successfully",
+    data: results.docs,
+    page: results.page,
+    limit: results.limit,
+    totalPages: results.totalPages,
+    totalItems: results.totalDocs,
+  });
+});
+
+// @desc    Resend an invitation with a new link and expiry
+// @route   POST /api/invitations/:invitationId/resend
+// @access  Private (invitation.manage)
+export const resendInvitation = asyncHandler(async (req, res, next) => {
+  const invitation = await findManageableInvitation(req);
+
+  // An expired invitation no longer holds a seat
+  if (invitation.isExpired) {
+    await assertWithinPlanLimit(req.user.company, "users");
+  }
+
+  invitation.tokenVersion += 1;
+  invitation.expiresAt = getInvitationExpiry();
+  await invitation.save();
+
+  try {
+    await sendInvitation(invitation, {
+      inviter: req.user,
+      companyName: req.user.company.name,
+    });
+  } catch (error) {
+    console.error("Invitation email error:", error);
+    return next(
+      new CustomError(
+        "Failed to send invitation email",
+        500,
+        "EMAIL_SEND_FAILED"
+      )
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `Invitation resent to ${invitation.email}`,
+    data: invitation,
+  });
+});
+
+// @desc    Revoke a pending invitation
+// @route   DELETE /api/invitations/:invitationId
+// @access  Private (invitation.manage)
+export const revokeInvitation = asyncHandler(async (req, res, next) => {
+  const invitation = await findManageableInvitation(req);
+
+  invitation.status = "Revoked";
+  await invitation.save();
+
+  res.status(200).json({
+    success: true,
+    message: "Invitation revoked successfully",
+    data: invitation,
+  });
+});
+
+// @desc    Accept an invitation, create the account and log in
+// @route   POST /api/auth/accept-invite
+// @access  Public
+export const acceptInvitation = asyncHandler(async (req, res, next) => {
+  // --- PHASE 1: INPUT VALIDATION ---
+
+  const { token, password } = req.body;
+
+  const requiredFields = {
+    "Invitation token": token,
+    Password: password,
+  };
+
+  const missingFields = Object.entries(requiredFields)
+    .filter(
+      ([key, value]) => !value || (typeof value === "string" && !value.trim())
+    )
+    .map(([key]) => key);
+
+  if (missingFields.length > 0) {
+    return next(
+      new CustomError(
+        `Missing required fields: ${missingFields.join(", ")}`,
+        400,
+        "MISSING_REQUIRED_FIELDS"
+      )
+    );
+  }
+
+  if (typeof password !== "string" || password.length < 6) {
+    return next(
+      new CustomError(
+        "Password must be at least 6 characters long",
+        400,
+        "INVALID_PASSWORD_LENGTH"
+      )
+    );
+  }
+
+  // --- PHASE 2: INVITATION VALIDATION ---
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_INVITE_SECRET);
+  } catch (jwtError) {
+    return next(
+      new CustomError(
+        jwtError.name === "TokenExpiredError"
+          ? "Invitation has expired. Ask for a new invitation"
+          : "Invalid invitation link",
+        400,
+        jwtError.name === "TokenExpiredError"
+          ? "INVITATION_EXPIRED"
+          : "INVALID_INVITATION"
+      )
+    );
+  }
+
+  const invitation = await Invitation.findById(decoded.invitationId)
+    .populate("company", "name isActive subscription.status")
+    .populate("department", "name isActive");
+
+  if (
+    !invitation ||
+    invitation.status !== "Pending" ||
+    invitation.tokenVersion !== decoded.version ||
+    invitation.expiresAt < new Date()
+  ) {
+    return next(
+      new CustomError(
+        "Invitation is no longer valid",
+        400,
+        "INVALID_INVITATION"
+      )
+    );
+  }
+
+  if (!invitation.company.isActive || !invitation.department.isActive) {
+    return next(
+      new CustomError(
+        "Company or department is no longer active",
+        403,
+        "INVITATION_TARGET_INACTIVE"
+      )
+    );
+  }
+
+  // Names given in a bulk import are used unless the invitee enters their own
+  const firstName = String(
+    req.body.firstName || invitation.profile?.firstName || ""
+  ).trim();
+  const lastName = String(
+    req.body.lastName || invitation.profile?.lastName || ""
+  ).trim();
+
+  const missingNames = Object.entries({
+    "First name": firstName,
+    "Last name": lastName,
+  })
+    .filter(([, value]) => !value)
+    .map(([key]) => key);
+
+  if (missingNames.length > 0) {
+    return next(
+      new CustomError(
+        `Missing required fields: ${missingNames.join(", ")}`,
+        400,
+        "MISSING_REQUIRED_FIELDS"
+      )
+    );
+  }
+
+  if (firstName.length < 2 || firstName.length > 30) {
+    return next(
+      new CustomError(
+        "First name must be between 2 and 30 characters",
+        400,
+        "INVALID_FIRST_NAME_LENGTH"
+      )
+    );
+  }
+
+  if (lastName.length < 2 || lastName.length > 30) {
+    return next(
+      new CustomError(
+        "Last name must be between 2 and 30 characters",
+        400,
+        "INVALID_LAST_NAME_LENGTH"
+      )
+    );
+  }
+
+  // The role may have been deleted since the invitation was sent
+  await assertRoleExists(invitation.company._id, invitation.role);
+
+  const existingUser = await User.findOne({ email: invitation.email }).lean();
+  if (existingUser) {
+    return next(
+      new CustomError(
+        "A user with this email already exists",
+        409,
+        "USER_EMAIL_EXISTS"
+      )
+    );
+  }
+
+  // --- PHASE 3: TRANSACTIONAL CREATION ---
+
+  const session = await mongoose.startSession();
+
+  try {
+    session.startTransaction();
+
+    // Owning the mailbox proves the email, the user starts verified
+    const user = new User({
+      firstName,
+      lastName,
+      email: invitation.email,
+      password,
+      role: invitation.role,
+      company: invitation.company._id,
+      department: invitation.department._id,
+      employeeId: invitation.profile?.employeeId,
+      skills: invitation.profile?.skills,
+      isVerified: true,
+    });
+    await user.save({ session });
+
+    if (await isManagerialRole(invitation.company._id, invitation.role)) {
+      await Department.updateOne(
+        { _id: invitation.department._id },
+        { $addToSet: { managers: user._id } },
+        { session }
+      );
+    }
+
+    invitation.status = "Accepted";
+    invitation.acceptedAt = new Date();
+    invitation.acceptedUser = user._id;
+    await invitation.save({ session });
+
+    await session.commitTransaction();
+
+    // Create session, generate tokens and set cookies
+    await createAuthSession(req, res, user);
+
+    const populatedUser = await User.findById(user._id)
+      .populate("company", "name")
+      .populate("department", "name");
+
+    res.status(201).json({
+      success: true,
+      message: `Welcome to ${invitation.company.name}`,
+      data: populatedUser,
+    });
+  } catch (error) {
+    if (session.inTransaction()) await session.abortTransaction();
+    return next(error);
+  } finally {
+    await session.endSession();
+  }
+});
@@ -0,0 +1,441 @@
+// backend/controllers/MfaController.js
+import crypto from "crypto";
+import asyncHandler from "express-async-handler";
+
+import { User, Company, AuthToken } from "../models/index.js";
+import CustomError from "../errorHandler/CustomError.js";
+
+import { createAuthSession, getSignInBlock } from "../utils/authSession.js";
+import {
+  getLoginBlock,
+  rejectFailedLogin,
+  clearFailedLogins,
+} from "../utils/loginThrottle.js";
+import { grantsElevatedAccess } from "../utils/permissions.js";
+import {
+  generateTOTPSecret,
+  verifyTOTP,
+  buildOtpauthUri,
+} from "../utils/totp.js";
+
+// Name shown by authenticator apps, read when used as .env loads after imports
+const getMfaIssuer = () =>
+  process.env.MFA_ISSUER || process.env.APP_NAME || "Task Manager";
+const MFA_TICKET_MAX_ATTEMPTS = 5;
+const RECOVERY_CODE_COUNT = 10;
+
+const MFA_SELECT = "+mfa.secret +mfa.recoveryCodes +mfa.lastUsedStep";
+
+const hashRecoveryCode = (code) =>
+  crypto
+    .createHash("sha256")
+    .update(String(code).trim().toLowerCase())
+    .digest("hex");
+
+// Recovery codes are returned once in plain text and stored hashed
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+// Verify a TOTP code and record its step so it cannot be replayed
+const consumeTOTP = (user, code) => {
+  const step = verifyTOTP(user.mfa.secret, code);
+  if (step === null || step <= (user.mfa.lastUsedStep ?? -1)) return false;
+  user.mfa.lastUsedStep = step;
+  return true;
+};
+
+// Use a recovery code, each code works once
+const consumeRecoveryCode = (user, recoveryCode) => {
+  const hash = hashRecoveryCode(recoveryCode);
+  const index = (user.mfa.recoveryCodes || []).indexOf(hash);
+  if (index === -1) return false;
+  user.mfa.recoveryCodes.splice(index, 1);
+  return true;
+};
+
+// Resolve a login ticket issued by loginUser. The login throttle and the
+// checks of loginUser apply again, both may have changed since the ticket.
+const findLoginTicket = async (req, res, type, ticket) => {
+  if (!ticket) {
+    throw new CustomError("MFA ticket is required", 400, "MISSING_MFA_TICKET");
+  }
+
+  const loginTicket = await AuthToken.findValid(type, ticket);
+  if (!loginTicket || loginTicket.attempts >= MFA_TICKET_MAX_ATTEMPTS) {
+    throw new CustomError(
+      "MFA ticket is invalid or has expired. Please log in again",
+      401,
+      "INVALID_MFA_TICKET"
+    );
+  }
+
+  const user = await User.findById(loginTicket.user)
+    .select(MFA_SELECT)
+    .populate("company", "name isActive subscription.status settings")
+    .populate("department", "name isActive");
+  if (!user) {
+    throw new CustomError(
+      "MFA ticket is invalid or has expired. Please log in again",
+      401,
+      "INVALID_MFA_TICKET"
+    );
+  }
+
+  const loginBlock = await getLoginBlock({ email: user.email, ip: req.ip });
+  if (loginBlock) {
+    res.set("Retry-After", String(loginBlock.context.retryAfter));
+    throw loginBlock;
+  }
+
+  const signInBlock = await getSignInBlock(user);
+  if (signInBlock) {
+    await loginTicket.deleteOne();
+    throw signInBlock;
+  }
+
+  return { loginTicket, user };
+};
+
+const recordFailedAttempt = async (loginTicket) => {
+  loginTicket.attempts += 1;
+  await loginTicket.save();
+};
+
+// A wrong code counts against the ticket and the login throttle of the email
+const rejectInvalidCode = async (req, res, next, user, loginTicket) => {
+  await recordFailedAttempt(loginTicket);
+  return rejectFailedLogin(req, res, next, {
+    email: user.email,
+    user,
+    error: new CustomError(
+      "Invalid authentication code",
+      401,
+      "INVALID_MFA_CODE"
+    ),
+  });
+};
+
+// Finish a login once MFA is satisfied
+const completeLogin = async (req, res, user, loginTicket, extra = {}) => {
+  await loginTicket.deleteOne();
+  await clearFailedLogins({ email: user.email });
+
+  user.lastLogin = new Date();
+  await user.save({ validateBeforeSave: false });
+
+  await createAuthSession(req, res, user);
+
+  const populatedUser = await User.findById(user._id)
+    .populate("company", "name isActive subscription.status")
+    .populate("department", "name isActive");
+
+  res.status(200).json({
+    success: true,
+    message: "Login successful",
+    data: populatedUser,
+    ...extra,
+  });
+};
+
+// Store a new secret for the user and describe it for authenticator apps
+const startEnrollment = async (user) => {
+  const secret = generateTOTPSecret();
+  user.mfa.secret = secret;
+  user.mfa.enabled = false;
+  user.mfa.lastUsedStep = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  return {
+    secret,
+    otpauthUri: buildOtpauthUri({
+      secret,
+      accountName: user.email,
+      issuer: getMfaIssuer(),
+    }),
+  };
+};
+
+// Confirm the first code from the authenticator app and enable MFA
+const finishEnrollment = async (user, code) => {
+  if (!user.mfa.secret) {
+    throw new CustomError(
+      "Two-factor setup has not been started",
+      400,
+      "MFA_SETUP_NOT_STARTED"
+    );
+  }
+
+  if (!code || !consumeTOTP(user, code)) {
+    throw new CustomError(
+      "Invalid authentication code",
+      400,
+      "INVALID_MFA_CODE"
+    );
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  user.mfa.enabled = true;
+  user.mfa.enabledAt = new Date();
+  user.mfa.recoveryCodes = hashes;
+  await user.save({ validateBeforeSave: false });
+
+  return codes;
+};
+
+// @desc    Start two-factor enrollment for the current user
+// @route   POST /api/auth/mfa/setup
+// @access  Private (mfa.enroll)
+export const setupMfa = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user._id).select(MFA_SELECT);
+
+  if (user.mfa.enabled) {
+    return next(
+      new CustomError(
+        "Two-factor authentication is already enabled",
+        400,
+        "MFA_ALREADY_ENABLED"
+      )
+    );
+  }
+
+  const enrollment = await startEnrollment(user);
+
+  res.status(200).json({
+    success: true,
+    message: "Scan the code with your authenticator app, then confirm it",
+    data: enrollment,
+  });
+});
+
+// @desc    Confirm enrollment with a code and enable two-factor
+// @route   POST /api/auth/mfa/enable
+// @access  Private (mfa.enroll)
+export const enableMfa = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user._id).select(MFA_SELECT);
+
+  if (user.mfa.enabled) {
+    return next(
+      new CustomError(
+        "Two-factor authentication is already enabled",
+        400,
+        "MFA_ALREADY_ENABLED"
+      )
+    );
+  }
+
+  const recoveryCodes = await finishEnrollment(user, req.body.code);
+
+  res.status(200).json({
+    success: true,
+    message:
+      "Two-factor authentication enabled. Store the recovery codes somewhere safe",
+    data: { recoveryCodes },
+  });
+});
+
+// @desc    Disable two-factor for the current user
+// @route   POST /api/auth/mfa/disable
+// @access  Private
+export const disableMfa = asyncHandler(async (req, res, next) => {
+  const { password, code } = req.body;
+
+  if (!password || !code) {
+    return next(
+      new CustomError(
+        "Password and authentication code are required",
+        400,
+        "MISSING_REQUIRED_FIELDS"
+      )
+    );
+  }
+
+  const user = await User.findById(req.user._id).select(MFA_SELECT);
+
+  if (!user.mfa.enabled) {
+    return next(
+      new CustomError(
+        "Two-factor authentication is not enabled",
+        400,
+        "MFA_NOT_ENABLED"
+      )
+    );
+  }
+
+  // Company policy may require two-factor for this role
+  if (
+    req.user.company.settings?.requireMfaForElevatedRoles &&
+    grantsElevatedAccess([...req.permissions])
+  ) {
+    return next(
+      new CustomError(
+        "Two-factor authentication is required for your role",
+        403,
+        "MFA_REQUIRED_BY_POLICY"
+      )
+    );
+  }
+
+  if (!(await user.comparePassword(password))) {
+    return next(
+      new CustomError("Current password is incorrect", 401, "INVALID_PASSWORD")
+    );
+  }
+
+  if (!consumeTOTP(user, code)) {
+    return next(
+      new CustomError("Invalid authentication code", 400, "INVALID_MFA_CODE")
+    );
+  }
+
+  user.mfa = { enabled: false };
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    message: "Two-factor authentication disabled",
+  });
+});
+
+// @desc    Replace recovery codes of the current user
+// @route   POST /api/auth/mfa/recovery-codes
+// @access  Private
+export const regenerateRecoveryCodes = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user._id).select(MFA_SELECT);
+
+  if (!user.mfa.enabled) {
+    return next(
+      new CustomError(
+        "Two-factor authentication is not enabled",
+        400,
+        "MFA_NOT_ENABLED"
+      )
+    );
+  }
+
+  if (!req.body.code || !consumeTOTP(user, req.body.code)) {
+    return next(
+      new CustomError("Invalid authentication code", 400, "INVALID_MFA_CODE")
+    );
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  user.mfa.recoveryCodes = hashes;
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    message: "Recovery codes regenerated. Previous codes no longer work",
+    data: { recoveryCodes: codes },
+  });
+});
+
+// @desc    Complete login with a TOTP or recovery code
+// @route   POST /api/auth/mfa/challenge
+// @access  Public (MFA ticket)
+export const verifyMfaChallenge = asyncHandler(async (req, res, next) => {
+  const { ticket, code, recoveryCode } = req.body;
+
+  if (!code && !recoveryCode) {
+    return next(
+      new CustomError(
+        "Authentication code or recovery code is required",
+        400,
+        "MISSING_MFA_CODE"
+      )
+    );
+  }
+
+  const { loginTicket, user } = await findLoginTicket(
+    req,
+    res,
+    "MfaChallenge",
+    ticket
+  );
+
+  const isValid = code
+    ? consumeTOTP(user, code)
+    : consumeRecoveryCode(user, recoveryCode);
+
+  if (!isValid) {
+    return rejectInvalidCode(req, res, next, user, loginTicket);
+  }
+
+  await completeLogin(req, res, user, loginTicket);
+});
+
+// @desc    Start policy-required enrollment during login
+// @route   POST /api/auth/mfa/enroll/setup
+// @access  Public (MFA ticket)
+export const setupRequiredMfa = asyncHandler(async (req, res, next) => {
+  const { user } = await findLoginTicket(
+    req,
+    res,
+    "MfaEnrollment",
+    req.body.ticket
+  );
+
+  const enrollment = await startEnrollment(user);
+
+  res.status(200).json({
+    success: true,
+    message: "Scan the code with your authenticator app, then confirm it",
+    data: enrollment,
+  });
+});
+
+// @desc    Finish policy-required enrollment and complete login
+// @route   POST /api/auth/mfa/enroll/verify
+// @access  Public (MFA ticket)
+export const verifyRequiredMfa = asyncHandler(async (req, res, next) => {
+  const { loginTicket, user } = await findLoginTicket(
+    req,
+    res,
+    "MfaEnrollment",
+    req.body.ticket
+  );
+
+  let recoveryCodes;
+  try {
+    recoveryCodes = await finishEnrollment(user, req.body.code);
+  } catch (error) {
+    if (error.errorCode !== "INVALID_MFA_CODE") throw error;
+    return rejectInvalidCode(req, res, next, user, loginTicket);
+  }
+
+  // Recovery codes are shown to the user once, with the login response
+  await completeLogin(req, res, user, loginTicket, { recoveryCodes });
+});
+
+// @desc    Require two-factor for SuperAdmin and Manager accounts
+// @route   PUT /api/auth/mfa/policy
+// @access  Private (company.manage)
+export const updateMfaPolicy = asyncHandler(async (req, res, next) => {
+  const { requireMfaForElevatedRoles } = req.body;
+
+  if (typeof requireMfaForElevatedRoles !== "boolean") {
+    return next(
+      new CustomError(
+        "requireMfaForElevatedRoles must be a boolean",
+        400,
+        "INVALID_MFA_POLICY"
+      )
+    );
+  }
+
+  const company = await Company.findByIdAndUpdate(
+    req.user.company._id,
+    { "settings.requireMfaForElevatedRoles": requireMfaForElevatedRoles },
+    { new: true }
+  ).select("name settings");
+
+  res.status(200).json({
+    success: true,
+    message: "Two-factor policy updated successfully",
+    data: company,
+  });
+});
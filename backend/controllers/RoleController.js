@@ -0,0 +1,363 @@
+// backend/controllers/RoleController.js
+import mongoose from "mongoose";
+import asyncHandler from "express-async-handler";
+
+import { User, Department, Invitation, Role } from "../models/index.js";
+import CustomError from "../errorHandler/CustomError.js";
+
+import { recordAudit, diffChanges } from "../utils/auditLogger.js";
+import {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  SUPER_ADMIN_ROLE,
+} from "../config/permissions.js";
+import {
+  grantsUserManagement,
+  getEffectivePermissions,
+} from "../utils/permissions.js";
+
+const ROLE_POPULATE = [{ path: "userCount" }];
+
+// Load a role of the current company
+const findCompanyRole = async (req, session = null) => {
+  const { roleId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(roleId)) {
+    throw new CustomError("Invalid role ID format", 400, "INVALID_ROLE_ID");
+  }
+
+  const role = await Role.findOne({
+    _id: roleId,
+    company: req.user.company._id,
+  }).session(session);
+
+  if (!role) {
+    throw new CustomError("Role not found", 404, "ROLE_NOT_FOUND");
+  }
+
+  return role;
+};
+
+// Role names are unique per company regardless of case
+const ensureUniqueName = async (req, name, excludeId = null) => {
+  const query = { company: req.user.company._id, name: name.trim() };
+  if (excludeId) query._id = { $ne: excludeId };
+
+  const existing = await Role.findOne(query).collation({
+    locale: "en",
+    strength: 2,
+  });
+
+  if (existing) {
+    throw new CustomError(
+      "A role with this name already exists",
+      409,
+      "ROLE_ALREADY_EXISTS"
+    );
+  }
+};
+
+// Permissions must be known and held by the user granting them
+const validatePermissions = (req, permissions) => {
+  if (!Array.isArray(permissions)) {
+    throw new CustomError(
+      "Permissions must be an array",
+      400,
+      "INVALID_PERMISSIONS"
+    );
+  }
+
+  const unknown = permissions.filter((p) => !ALL_PERMISSIONS.includes(p));
+  if (unknown.length > 0) {
+    throw new CustomError(
+      `Unknown permissions: ${unknown.join(", ")}`,
+      400,
+      "INVALID_PERMISSIONS"
+    );
+  }
+
+  if (!permissions.every((permission) => req.permissions.has(permission))) {
+    throw new CustomError(
+      "You cannot grant permissions you do not hold",
+      403,
+      "PRIVILEGE_ESCALATION_DENIED"
+    );
+  }
+
+  return [...new Set(permissions)];
+};
+
+// @desc    List company roles with their user counts
+// @route   GET /api/roles
+// @access  Private (role.manage)
+export const getRoles = asyncHandler(async (req, res, next) => {
+  const roles = await Role.find({ company: req.user.company._id })
+    .sort({ isSystem: -1, name: 1 })
+    .populate(ROLE_POPULATE);
+
+  res.status(200).json({
+    success: true,
+    message: "Roles retrieved successfully",
+    data: roles.map((role) => ({
+      ...role.toJSON(),
+      permissions: getEffectivePermissions(role),
+    })),
+  });
+});
+
+// @desc    List the permissions a role can grant
+// @route   GET /api/roles/permissions
+// @access  Private (role.manage)
+export const getPermissions = asyncHandler(async (req, res, next) => {
+  res.status(200).json({
+    success: true,
+    message: "Permissions retrieved successfully",
+    data: Object.entries(PERMISSIONS).map(([permission, description]) => ({
+      permission,
+      description,
+    })),
+  });
+});
+
+// @desc    Create a custom role
+// @route   POST /api/roles
+// @access  Private (role.manage)
+export const createRole = asyncHandler(async (req, res, next) => {
+  const { name, description, permissions = [] } = req.body;
+
+  if (!name || typeof name !== "string" || !name.trim()) {
+    return next(
+      new CustomError("Role name is required", 400, "MISSING_REQUIRED_FIELDS")
+    );
+  }
+
+  const grantedPermissions = validatePermissions(req, permissions);
+  await ensureUniqueName(req, name);
+
+  const role = await Role.create({
+    name,
+    description,
+    permissions: grantedPermissions,
+    company: req.user.company._id,
+  });
+
+  await recordAudit(req, {
+    action: "role.create",
+    targetType: "Role",
+    target: role._id,
+    changes: diffChanges(
+      {},
+      {
+        name: role.name,
+        description: role.description,
+        permissions: [...role.permissions],
+      }
+    ),
+  });
+
+  await role.populate(ROLE_POPULATE);
+
+  res.status(201).json({
+    success: true,
+    message: "Role created successfully",
+    data: role,
+  });
+});
+
+// @desc    Rename a custom role or change its description and permissions
+// @route   PATCH /api/roles/:roleId
+// @access  Private (role.manage)
+export const updateRole = asyncHandler(async (req, res, next) => {
+  const allowedUpdates = ["name", "description", "permissions"];
+  const updates = Object.fromEntries(
+    Object.entries(req.body).filter(([key]) => allowedUpdates.includes(key))
+  );
+
+  if (Object.keys(updates).length === 0) {
+    return next(
+      new CustomError(
+        `Nothing to update. Allowed fields: ${allowedUpdates.join(", ")}`,
+        400,
+        "NO_VALID_UPDATES"
+      )
+    );
+  }
+
+  if (
+    updates.name !== undefined &&
+    (typeof updates.name !== "string" || !updates.name.trim())
+  ) {
+    return next(
+      new CustomError("Role name cannot be empty", 400, "INVALID_ROLE_NAME")
+    );
+  }
+
+  const session = await mongoose.startSession();
+
+  try {
+    session.startTransaction();
+
+    const role = await findCompanyRole(req, session);
+
+    if (
+      role.isSystem &&
+      updates.name !== undefined &&
+      updates.name.trim() !== role.name
+    ) {
+      throw new CustomError(
+        "Default roles cannot be renamed",
+        400,
+        "SYSTEM_ROLE_LOCKED"
+      );
+    }
+
+    if (updates.permissions !== undefined) {
+      if (role.name === SUPER_ADMIN_ROLE && role.isSystem) {
+        throw new CustomError(
+          `The ${SUPER_ADMIN_ROLE} role always keeps every permission`,
+          400,
+          "SYSTEM_ROLE_LOCKED"
+        );
+      }
+
+      // Removing permissions is an escalation check too
+      validatePermissions(req, role.permissions);
+      updates.permissions = validatePermissions(req, updates.permissions);
+    }
+
+    if (updates.name !== undefined) {
+      await ensureUniqueName(req, updates.name, role._id);
+    }
+
+    const before = {
+      name: role.name,
+      description: role.description,
+      permissions: [...role.permissions],
+    };
+
+    Object.assign(role, updates);
+    await role.save({ session });
+
+    // Users and pending invitations reference the role by name
+    if (role.name !== before.name) {
+      await User.updateMany(
+        { company: role.company, role: before.name },
+        { role: role.name },
+        { session }
+      );
+      await Invitation.updateMany(
+        { company: role.company, role: before.name, status: "Pending" },
+        { role: role.name },
+        { session }
+      );
+    }
+
+    // Keep department manager lists in line with the permissions
+    const wasManagerial = grantsUserManagement(before.permissions);
+    const isManagerial = grantsUserManagement(role.permissions);
+
+    if (wasManagerial !== isManagerial) {
+      const users = await User.find({ company: role.company, role: role.name })
+        .select("_id department")
+        .session(session);
+
+      for (const user of users) {
+        await Department.updateOne(
+          { _id: user.department },
+          isManagerial
+            ? { $addToSet: { managers: user._id } }
+            : { $pull: { managers: user._id } },
+          { session }
+        );
+      }
+    }
+
+    const changes = diffChanges(before, {
+      name: role.name,
+      description: role.description,
+      permissions: [...role.permissions],
+    });
+
+    if (Object.keys(changes).length > 0) {
+      await recordAudit(
+        req,
+        {
+          action: "role.update",
+          targetType: "Role",
+          target: role._id,
+          changes,
+        },
+        { session }
+      );
+    }
+
+    await session.commitTransaction();
+
+    await role.populate(ROLE_POPULATE);
+
+    res.status(200).json({
+      success: true,
+      message: "Role updated successfully",
+      data: role,
+    });
+  } catch (error) {
+    if (session.inTransaction()) await session.abortTransaction();
+    next(error);
+  } finally {
+    await session.endSession();
+  }
+});
+
+// @desc    Delete a custom role nobody holds
+// @route   DELETE /api/roles/:roleId
+// @access  Private (role.manage)
+export const deleteRole = asyncHandler(async (req, res, next) => {
+  const role = await findCompanyRole(req);
+
+  if (role.isSystem) {
+    return next(
+      new CustomError(
+        "Default roles cannot be deleted",
+        400,
+        "SYSTEM_ROLE_LOCKED"
+      )
+    );
+  }
+
+  const [users, pendingInvitations] = await Promise.all([
+    User.countDocuments({ company: role.company, role: role.name }),
+    Invitation.countDocuments({
+      company: role.company,
+      role: role.name,
+      status: "Pending",
+    }),
+  ]);
+
+  if (users > 0 || pendingInvitations > 0) {
+    return next(
+      new CustomError(
+        `Role is in use by ${users} user(s) and ${pendingInvitations} pending invitation(s)`,
+        409,
+        "ROLE_IN_USE"
+      )
+    );
+  }
+
+  await role.deleteOne();
+
+  await recordAudit(req, {
+    action: "role.delete",
+    targetType: "Role",
+    target: role._id,
+    changes: {
+      name: { from: role.name, to: null },
+      permissions: { from: [...role.permissions], to: null },
+    },
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Role deleted successfully",
+    data: { _id: role._id },
+  });
+});
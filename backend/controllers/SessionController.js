@@ -0,0 +1,145 @@
+// backend/controllers/SessionController.js
+import mongoose from "mongoose";
+import asyncHandler from "express-async-handler";
+
+import { User, Session } from "../models/index.js";
+import CustomError from "../errorHandler/CustomError.js";
+
+// Active sessions of a user, most recently used first
+const findActiveSessions = (userId) =>
+  Session.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  })
+    .select("userAgent ip createdAt lastUsedAt expiresAt")
+    .sort({ lastUsedAt: -1 })
+    .lean();
+
+// Load a user of the current company for admin session operations
+const findCompanyUser = async (req) => {
+  const { userId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(userId)) {
+    throw new CustomError("Invalid user ID format", 400, "INVALID_USER_ID");
+  }
+
+  const user = await User.findOne({
+    _id: userId,
+    company: req.user.company._id,
+  }).lean();
+
+  if (!user) {
+    throw new CustomError("User not found", 404, "USER_NOT_FOUND");
+  }
+
+  return user;
+};
+
+// @desc    Get active sessions (logged-in devices) of the current user
+// @route   GET /api/auth/sessions
+// @access  Private
+export const getMySessions = asyncHandler(async (req, res, next) => {
+  const sessions = await findActiveSessions(req.user._id);
+
+  res.status(200).json({
+    success: true,
+    message: "Sessions retrieved successfully",
+    data: sessions.map((session) => ({
+      ...session,
+      current: session._id.toString() === req.sessionId,
+    })),
+  });
+});
+
+// @desc    Revoke one session of the current user
+// @route   DELETE /api/auth/sessions/:sessionId
+// @access  Private
+export const revokeMySession = asyncHandler(async (req, res, next) => {
+  const { sessionId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+    return next(
+      new CustomError("Invalid session ID format", 400, "INVALID_SESSION_ID")
+    );
+  }
+
+  const result = await Session.revokeAll(
+    { _id: sessionId, user: req.user._id },
+    "user"
+  );
+
+  if (result.modifiedCount === 0) {
+    return next(new CustomError("Session not found", 404, "SESSION_NOT_FOUND"));
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Session revoked successfully",
+  });
+});
+
+// @desc    Log out everywhere, optionally keeping the current session
+// @route   DELETE /api/auth/sessions?keepCurrent=true
+// @access  Private
+export const revokeAllMySessions = asyncHandler(async (req, res, next) => {
+  const keepCurrent = req.query.keepCurrent === "true" && req.sessionId;
+
+  const filter = { user: req.user._id };
+  if (keepCurrent) filter._id = { $ne: req.sessionId };
+
+  const result = await Session.revokeAll(filter, "user");
+
+  // Clear cookies when the current session was revoked as well
+  if (!keepCurrent) {
+    res.clearCookie("access_token", {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === "production",
+      sameSite: "strict",
+      path: "/",
+    });
+
+    res.clearCookie("refresh_token", {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === "production",
+      sameSite: "strict",
+      path: "/api/auth/refresh-token",
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `${result.modifiedCount} session(s) revoked successfully`,
+    data: { revokedCount: result.modifiedCount },
+  });
+});
+
+// @desc    Get active sessions of a user in the company
+// @route   GET /api/auth/users/:userId/sessions
+// @access  Private (session.manage)
+export const getUserSessions = asyncHandler(async (req, res, next) => {
+  const user = await findCompanyUser(req);
+
+  const sessions = await findActiveSessions(user._id);
+
+  res.status(200).json({
+    success: true,
+    message: "Sessions retrieved successfully",
+    data: sessions,
+  });
+});
+
+// @desc    Force-logout a user in the company from every device
+// @route   DELETE /api/auth/users/:userId/sessions
+// @access  Private (session.manage)
+export const revokeUserSessions = asyncHandler(async (req, res, next) => {
+  const user = await findCompanyUser(req);
+
+  const result = await Session.revokeAll({ user: user._id }, "admin");
+
+  res.status(200).json({
+    success: true,
+    message: `${result.modifiedCount} session(s) revoked successfully`,
+    data: { revokedCount: result.modifiedCount },
+  });
+});
@@ -0,0 +1,221 @@
+// backend/controllers/SubscriptionController.js
+import asyncHandler from "express-async-handler";
+
+import { Company } from "../models/index.js";
+import CustomError from "../errorHandler/CustomError.js";
+
+import plans, { PLAN_CURRENCY } from "../config/plans.js";
+import { recordAudit } from "../utils/auditLogger.js";
+import { getPaymentProvider } from "../utils/paymentProvider.js";
+import { assertUsageFitsPlan } from "../utils/planEntitlements.js";
+import {
+  getSubscriptionEnd,
+  getDaysRemaining,
+  getRenewedPeriodEnd,
+} from "../utils/subscription.js";
+import { formatCompanyDate } from "../utils/companyDates.js";
+
+const MAX_RENEWAL_MONTHS = 12;
+
+const describeSubscription = (company) => {
+  const { subscription } = company;
+  const plan = plans[subscription.plan] || plans.basic;
+  const currentPeriodEnd = getSubscriptionEnd(subscription) || null;
+
+  return {
+    plan: subscription.plan,
+    planName: plan.name,
+    status: subscription.status,
+    trialEndsAt: subscription.trialEndsAt,
+    paidThrough: subscription.paidThrough,
+    graceEndsAt: subscription.graceEndsAt,
+    suspendedAt: subscription.suspendedAt,
+    lastPaymentAt: subscription.lastPaymentAt,
+    currentPeriodEnd,
+    daysRemaining: getDaysRemaining(currentPeriodEnd),
+    monthlyPrice: plan.monthlyPrice,
+    currency: PLAN_CURRENCY,
+  };
+};
+
+// @desc    Get the subscription of the current company
+// @route   GET /api/company/subscription
+// @access  Private (billing.manage, also while suspended)
+export const getSubscription = asyncHandler(async (req, res, next) => {
+  const company = await Company.findById(req.user.company._id);
+
+  res.status(200).json({
+    success: true,
+    message: "Subscription retrieved successfully",
+    data: describeSubscription(company),
+  });
+});
+
+// @desc    Pay for one or more months, optionally changing plan
+// @route   POST /api/company/subscription/renew
+// @access  Private (billing.manage, also while suspended)
+export const renewSubscription = asyncHandler(async (req, res, next) => {
+  const company = await Company.findById(req.user.company._id);
+  const { subscription } = company;
+
+  const {
+    plan: planKey = subscription.plan,
+    months = 1,
+    paymentMethod,
+  } = req.body;
+
+  if (!paymentMethod || typeof paymentMethod !== "string") {
+    return next(
+      new CustomError(
+        "Payment method is required",
+        400,
+        "MISSING_PAYMENT_METHOD"
+      )
+    );
+  }
+
+  if (!plans[planKey]) {
+    return next(
+      new CustomError(
+        `Invalid plan. Choose one of: ${Object.keys(plans).join(", ")}`,
+        400,
+        "INVALID_PLAN"
+      )
+    );
+  }
+
+  if (!Number.isInteger(months) || months < 1 || months > MAX_RENEWAL_MONTHS) {
+    return next(
+      new CustomError(
+        `Months must be a whole number between 1 and ${MAX_RENEWAL_MONTHS}`,
+        400,
+        "INVALID_RENEWAL_PERIOD"
+      )
+    );
+  }
+
+  // Manually deactivated subscriptions are not reopened by a payment
+  if (subscription.status === "inactive") {
+    return next(
+      new CustomError(
+        "This subscription has been deactivated. Please contact support",
+        403,
+        "SUBSCRIPTION_INACTIVE"
+      )
+    );
+  }
+
+  if (planKey !== subscription.plan) {
+    await assertUsageFitsPlan(company, planKey);
+  }
+
+  // --- PAYMENT ---
+
+  const provider = getPaymentProvider();
+
+  if (!subscription.providerCustomerId) {
+    const customer = await provider.createCustomer({
+      companyId: company._id.toString(),
+      email: company.email,
+      name: company.name,
+    });
+    subscription.providerCustomerId = customer.id;
+    await Company.updateOne(
+      { _id: company._id },
+      { "subscription.providerCustomerId": customer.id }
+    );
+  }
+
+  // Renewals started from the same state share the key, so the provider
+  // charges once. A charge whose period was never applied is returned again
+  // on the next attempt instead of charging twice.
+  const attempt = subscription.renewalAttempts || 0;
+  const plan = plans[planKey];
+  const charge = await provider.charge({
+    customerId: subscription.providerCustomerId,
+    amount: plan.monthlyPrice * months,
+    currency: PLAN_CURRENCY,
+    description: `${plan.name} plan, ${months} month(s)`,
+    paymentMethod,
+    idempotencyKey: `renewal_${company._id}_${attempt}`,
+  });
+
+  // The period only applies if no other renewal changed it meanwhile.
+  // Companies created before the counter existed have no value yet.
+  const unchanged = {
+    _id: company._id,
+    "subscription.renewalAttempts": attempt > 0 ? attempt : { $in: [0, null] },
+    "subscription.status": subscription.status,
+    "subscription.paidThrough": subscription.paidThrough ?? null,
+  };
+
+  if (charge.status !== "succeeded") {
+    await Company.updateOne(unchanged, {
+      $inc: { "subscription.renewalAttempts": 1 },
+    });
+    return next(
+      new CustomError(
+        `Payment failed: ${charge.failureReason || "unknown reason"}`,
+        402,
+        "PAYMENT_FAILED"
+      )
+    );
+  }
+
+  // --- EXTEND PERIOD ---
+
+  const now = new Date();
+  const renewed = await Company.findOneAndUpdate(
+    unchanged,
+    {
+      $set: {
+        "subscription.plan": planKey,
+        "subscription.status": "active",
+        "subscription.paidThrough": getRenewedPeriodEnd(subscription, {
+          plan: planKey,
+          months,
+          now,
+        }),
+        "subscription.expiryWarningsSent": [],
+        "subscription.lastPaymentAt": now,
+      },
+      $unset: {
+        "subscription.graceEndsAt": "",
+        "subscription.suspendedAt": "",
+      },
+      $inc: { "subscription.renewalAttempts": 1 },
+    },
+    { new: true }
+  );
+
+  if (!renewed) {
+    return next(
+      new CustomError(
+        "The subscription was changed by another renewal. Check it before paying again",
+        409,
+        "SUBSCRIPTION_CHANGED"
+      )
+    );
+  }
+
+  await recordAudit(req, {
+    action: "company.subscription.renew",
+    targetType: "Company",
+    target: company._id,
+    changes: {
+      plan: { from: subscription.plan, to: renewed.subscription.plan },
+      status: { from: subscription.status, to: renewed.subscription.status },
+      paidThrough: {
+        from: subscription.paidThrough,
+        to: renewed.subscription.paidThrough,
+      },
+      charge: { from: null, to: { id: charge.id, amount: charge.amount } },
+    },
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `Subscription renewed until ${formatCompanyDate(renewed.subscription.paidThrough, company)}`,
+    data: describeSubscription(renewed),
+  });
+});
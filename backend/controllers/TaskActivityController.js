@@ -0,0 +1,435 @@
+// backend/controllers/TaskActivityController.js
+import mongoose from "mongoose";
+import asyncHandler from "express-async-handler";
+
+import { Task, TaskActivity, Notification } from "../models/index.js";
+import CustomError from "../errorHandler/CustomError.js";
+
+import {
+  STATUS_TRANSITIONS,
+  ACTIVITY_EDIT_WINDOW_MINUTES,
+} from "../config/tasks.js";
+import { emitToUser } from "../utils/SocketEmitter.js";
+import { filterEnabledNotifications } from "../utils/companySettings.js";
+import { assertWithinPlanLimit } from "../utils/planEntitlements.js";
+import {
+  saveAttachments,
+  removeAttachments,
+  readAttachment,
+  getAttachmentPublicId,
+} from "../utils/attachments.js";
+import { findDepartmentLeaders } from "../utils/departmentLeaders.js";
+import { parsePagination } from "../utils/taskFilters.js";
+import { hasPermission, isInDepartmentScope } from "../utils/permissions.js";
+
+const PERFORMED_BY_SELECT =
+  "firstName lastName fullName email position role profilePicture";
+
+const MAX_PAGE_SIZE = 100;
+
+// Load a task of the current company
+const findCompanyTask = async (req) => {
+  const { taskId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(taskId)) {
+    throw new CustomError("Invalid task ID format", 400, "INVALID_TASK_ID");
+  }
+
+  const task = await Task.findOne({
+    _id: taskId,
+    company: req.user.company._id,
+    deletedAt: null,
+  });
+
+  if (!task) {
+    throw new CustomError("Task not found", 404, "TASK_NOT_FOUND");
+  }
+
+  return task;
+};
+
+// Same visibility as the task itself
+const canViewTask = async (req, task) =>
+  hasPermission(req, "task.read.any") ||
+  (hasPermission(req, "task.read.department") &&
+    (await isInDepartmentScope(req, task.department))) ||
+  task.assignedTo?.some((id) => id.equals(req.user._id));
+
+// Load an activity of the task that its author may still change
+const findEditableActivity = async (req, task) => {
+  const { activityId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(activityId)) {
+    throw new CustomError(
+      "Invalid activity ID format",
+      400,
+      "INVALID_ACTIVITY_ID"
+    );
+  }
+
+  const activity = await TaskActivity.findOne({
+    _id: activityId,
+    task: task._id,
+  });
+
+  if (!activity) {
+    throw new CustomError("Activity not found", 404, "ACTIVITY_NOT_FOUND");
+  }
+
+  if (!activity.performedBy.equals(req.user._id)) {
+    throw new CustomError(
+      "Only the author can change an activity",
+      403,
+      "NOT_ACTIVITY_AUTHOR"
+    );
+  }
+
+  // Status changes are the task history and are never rewritten
+  if (activity.statusChange?.from !== activity.statusChange?.to) {
+    throw new CustomError(
+      "Activities that changed the task status cannot be changed",
+      409,
+      "ACTIVITY_IMMUTABLE"
+    );
+  }
+
+  const editableUntil =
+    activity.createdAt.getTime() + ACTIVITY_EDIT_WINDOW_MINUTES * 60 * 1000;
+  if (Date.now() > editableUntil) {
+    throw new CustomError(
+      `Activities can only be changed within ${ACTIVITY_EDIT_WINDOW_MINUTES} minutes of posting`,
+      403,
+      "ACTIVITY_EDIT_WINDOW_CLOSED"
+    );
+  }
+
+  return activity;
+};
+
+// Assignees log their own work, task editors can log on any task they may update
+const canLogActivity = async (req, task) =>
+  task.assignedTo?.some((id) => id.equals(req.user._id)) ||
+  hasPermission(req, "task.update.any") ||
+  (hasPermission(req, "task.update.department") &&
+    (await isInDepartmentScope(req, task.department))) ||
+  (hasPermission(req, "task.update.own") &&
+    task.createdBy.equals(req.user._id));
+
+// @desc    Log progress on a task, moving it to a new status
+// @route   POST /api/tasks/:taskId/activities
+// @access  Private (assignees, task.update.any, task.update.department or task.update.own)
+export const createTaskActivity = asyncHandler(async (req, res, next) => {
+  const { description, status } = req.body;
+  const files = req.files || [];
+
+  const task = await findCompanyTask(req);
+
+  if (!(await canLogActivity(req, task))) {
+    return next(
+      new CustomError(
+        "Not authorized to log activity on this task",
+        403,
+        "PERMISSION_DENIED"
+      )
+    );
+  }
+
+  if (!description || !String(description).trim()) {
+    return next(
+      new CustomError(
+        "Activity description is required",
+        400,
+        "MISSING_DESCRIPTION"
+      )
+    );
+  }
+
+  if (task.archivedAt) {
+    return next(
+      new CustomError(
+        "Archived tasks cannot change. Unarchive the task first",
+        409,
+        "TASK_ARCHIVED"
+      )
+    );
+  }
+
+  const allowedStatuses = STATUS_TRANSITIONS[task.status] || [];
+  if (!allowedStatuses.includes(status)) {
+    return next(
+      new CustomError(
+        `A ${task.status} task can move to: ${allowedStatuses.join(", ")}`,
+        400,
+        "INVALID_STATUS_TRANSITION",
+        { from: task.status, to: status, allowed: allowedStatuses }
+      )
+    );
+  }
+
+  if (files.length > 0) {
+    await assertWithinPlanLimit(
+      req.user.company,
+      "storageBytes",
+      files.reduce((total, file) => total + file.size, 0)
+    );
+  }
+
+  // Files are stored first, they are removed again if the transaction fails
+  const attachments = await saveAttachments(task, files);
+  const statusChange = { from: task.status, to: status };
+
+  const session = await mongoose.startSession();
+  let activity;
+  let notifications = [];
+
+  try {
+    session.startTransaction();
+
+    // Only applies if nobody changed the status since it was read
+    const { matchedCount } = await Task.updateOne(
+      { _id: task._id, status: statusChange.from },
+      { $set: { status: statusChange.to } },
+      { session }
+    );
+
+    if (matchedCount === 0) {
+      throw new CustomError(
+        "The task status was changed by someone else. Reload and try again",
+        409,
+        "TASK_STATUS_CONFLICT"
+      );
+    }
+
+    [activity] = await TaskActivity.create(
+      [
+        {
+          task: task._id,
+          company: task.company,
+          performedBy: req.user._id,
+          description,
+          statusChange,
+          attachments,
+        },
+      ],
+      { session }
+    );
+
+    // Creator and department managers follow status changes
+    if (statusChange.from !== statusChange.to) {
+      const leaders = await findDepartmentLeaders(
+        req.user.company._id,
+        task.department,
+        session
+      );
+      const recipients = [
+        ...new Set(
+          [task.createdBy, ...leaders.map((leader) => leader._id)].map((id) =>
+            id.toString()
+          )
+        ),
+      ].filter((id) => id !== req.user._id.toString());
+
+      notifications = filterEnabledNotifications(
+        req.user.company,
+        recipients.map((userId) => ({
+          user: userId,
+          type: "StatusChange",
+          message: `${task.title}: ${statusChange.from} → ${statusChange.to}`,
+          task: task._id,
+          company: req.user.company._id,
+          department: task.department,
+          linkedDocument: activity._id,
+          linkedDocumentType: "TaskActivity",
+        }))
+      );
+
+      if (notifications.length > 0) {
+        notifications = await Notification.insertMany(notifications, {
+          session,
+        });
+      }
+    }
+
+    await session.commitTransaction();
+  } catch (error) {
+    if (session.inTransaction()) await session.abortTransaction();
+    await removeAttachments(attachments).catch((cleanupError) =>
+      console.error("Attachment cleanup error:", cleanupError.message)
+    );
+    return next(error);
+  } finally {
+    await session.endSession();
+  }
+
+  notifications.forEach((notif) =>
+    emitToUser(notif.user, "notification-update", notif)
+  );
+
+  await activity.populate("performedBy", PERFORMED_BY_SELECT);
+
+  res.status(201).json({
+    success: true,
+    message:
+      statusChange.from === statusChange.to
+        ? "Progress logged successfully"
+        : `Task moved to ${statusChange.to}`,
+    data: activity,
+  });
+});
+
+// @desc    Get the activity timeline of a task, newest first
+// @route   GET /api/tasks/:taskId/activities
+// @access  Private (task.read.any, task.read.department or task.read.assigned)
+export const getTaskActivities = asyncHandler(async (req, res, next) => {
+  const { page, limit } = parsePagination(req.query, {
+    defaultLimit: 20,
+    maxLimit: MAX_PAGE_SIZE,
+  });
+
+  const task = await findCompanyTask(req);
+
+  if (!(await canViewTask(req, task))) {
+    return next(
+      new CustomError(
+        "You do not have permission to view this task",
+        403,
+        "FORBIDDEN"
+      )
+    );
+  }
+
+  const results = await TaskActivity.paginate(
+    { task: task._id },
+    {
+      page,
+      limit,
+      sort: { createdAt: -1 },
+      populate: { path: "performedBy", select: PERFORMED_BY_SELECT },
+    }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Task activities retrieved successfully",
+    data: results.docs,
+    page: results.page,
+    limit: results.limit,
+    totalPages: results.totalPages,
+    totalItems: results.totalDocs,
+  });
+});
+
+// @desc    Download an attachment of a task activity
+// @route   GET /api/tasks/:taskId/attachments/:attachmentId
+// @access  Private (task.read.any, task.read.department or task.read.assigned)
+export const downloadAttachment = asyncHandler(async (req, res, next) => {
+  const { attachmentId } = req.params;
+
+  if (!/^[a-f0-9]{16}$/.test(attachmentId)) {
+    return next(
+      new CustomError(
+        "Invalid attachment ID format",
+        400,
+        "INVALID_ATTACHMENT_ID"
+      )
+    );
+  }
+
+  const task = await findCompanyTask(req);
+
+  if (!(await canViewTask(req, task))) {
+    return next(
+      new CustomError(
+        "You do not have permission to view this task",
+        403,
+        "FORBIDDEN"
+      )
+    );
+  }
+
+  const publicId = getAttachmentPublicId(task, attachmentId);
+  const activity = await TaskActivity.findOne(
+    { task: task._id, "attachments.public_id": publicId },
+    { "attachments.$": 1 }
+  ).lean();
+  const attachment = activity?.attachments[0];
+
+  let stream;
+  try {
+    stream = attachment?.name && (await readAttachment(attachment));
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+  }
+
+  if (!stream) {
+    return next(
+      new CustomError("Attachment not found", 404, "ATTACHMENT_NOT_FOUND")
+    );
+  }
+
+  // Files without a stored type are downloaded, never rendered inline
+  const disposition = attachment.mimeType ? "inline" : "attachment";
+  res.setHeader(
+    "Content-Type",
+    attachment.mimeType || "application/octet-stream"
+  );
+  res.setHeader(
+    "Content-Disposition",
+    `${disposition}; filename="${attachment.name}"`
+  );
+  res.setHeader("Cache-Control", "private, max-age=3600");
+
+  stream.on("error", next);
+  stream.pipe(res);
+});
+
+// @desc    Edit the description of a progress entry
+// @route   PATCH /api/tasks/:taskId/activities/:activityId
+// @access  Private (activity author, within the edit window)
+export const updateTaskActivity = asyncHandler(async (req, res, next) => {
+  const { description } = req.body;
+
+  if (!description || !String(description).trim()) {
+    return next(
+      new CustomError(
+        "Activity description is required",
+        400,
+        "MISSING_DESCRIPTION"
+      )
+    );
+  }
+
+  const task = await findCompanyTask(req);
+  const activity = await findEditableActivity(req, task);
+
+  activity.description = description;
+  await activity.save();
+  await activity.populate("performedBy", PERFORMED_BY_SELECT);
+
+  res.status(200).json({
+    success: true,
+    message: "Activity updated successfully",
+    data: activity,
+  });
+});
+
+// @desc    Delete a progress entry and its attachments
+// @route   DELETE /api/tasks/:taskId/activities/:activityId
+// @access  Private (activity author, within the edit window)
+export const deleteTaskActivity = asyncHandler(async (req, res, next) => {
+  const task = await findCompanyTask(req);
+  const activity = await findEditableActivity(req, task);
+
+  await activity.deleteOne();
+
+  // The entry is gone either way, leftover files are only logged
+  await removeAttachments(activity.attachments).catch((error) =>
+    console.error("Attachment cleanup error:", error.message)
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Activity deleted successfully",
+    data: null,
+  });
+});
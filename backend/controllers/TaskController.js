@@ -6,11 +6,113 @@ import {
   AssignedTask,
   ProjectTask,
   User,
+  Department,
   Notification,
 } from "../models/index.js";
 
 import CustomError from "../errorHandler/CustomError.js";
 import { emitToUser, emitToManagers } from "../utils/SocketEmitter.js";
+import {
+  getDefaultTaskPriority,
+  filterEnabledNotifications,
+} from "../utils/companySettings.js";
+import { assertPlanFeature } from "../utils/planEntitlements.js";
+import { getTrashRetentionDays } from "../config/tasks.js";
+import {
+  hasPermission,
+  isInDepartmentScope,
+  getScopedDepartmentIds,
+} from "../utils/permissions.js";
+import { recordAudit } from "../utils/auditLogger.js";
+import { purgeTrashedTasks } from "../utils/taskPurge.js";
+import { buildTaskFilter, buildTaskSort } from "../utils/taskFilters.js";
+import {
+  rankTaskMatches,
+  buildHighlights,
+  MIN_QUERY_LENGTH,
+  MAX_QUERY_LENGTH,
+} from "../utils/taskSearch.js";
+import { findDepartmentLeaders } from "../utils/departmentLeaders.js";
+import { parseDueDate } from "../utils/companyDates.js";
+
+const RECENT_ACTIVITY_LIMIT = 10;
+const MAX_SEARCH_PAGE_SIZE = 50;
+
+const TASK_LIST_POPULATE = [
+  { path: "createdBy", select: "firstName lastName email" },
+  { path: "company", select: "name" },
+  { path: "department", select: "name" },
+  {
+    path: "assignedTo",
+    select: "firstName lastName email position role profilePicture",
+  },
+];
+
+// Same rules as updating a task, used by archive and trash actions too
+const canUpdateTask = async (req, task) =>
+  task.company.equals(req.user.company._id) &&
+  (hasPermission(req, "task.update.any") ||
+    (hasPermission(req, "task.update.department") &&
+      (await isInDepartmentScope(req, task.department))) ||
+    (hasPermission(req, "task.update.own") &&
+      task.createdBy.equals(req.user._id)));
+
+// Load a task of the current company the user may update
+const findUpdatableTask = async (req, { deleted = false } = {}) => {
+  const { taskId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(taskId)) {
+    throw new CustomError("Invalid task ID format", 400, "INVALID_TASK_ID");
+  }
+
+  const task = await Task.findOne({
+    _id: taskId,
+    company: req.user.company._id,
+    deletedAt: deleted ? { $ne: null } : null,
+  });
+
+  if (!task) {
+    throw new CustomError(
+      deleted ? "Task not found in the trash" : "Task not found",
+      404,
+      "TASK_NOT_FOUND"
+    );
+  }
+
+  if (!(await canUpdateTask(req, task))) {
+    throw new CustomError(
+      "Not authorized to update this task",
+      403,
+      "PERMISSION_DENIED"
+    );
+  }
+
+  return task;
+};
+
+// Department a task is created in, the user's own unless one is given.
+// verifyDepartmentAccess has already checked the user may access it.
+const resolveTaskDepartment = async (req, departmentId) => {
+  if (!departmentId) return req.user.department;
+
+  const department = await Department.findOne({
+    _id: departmentId,
+    company: req.user.company._id,
+    isActive: true,
+  })
+    .select("name")
+    .lean();
+
+  if (!department) {
+    throw new CustomError(
+      "Department not found or inactive",
+      404,
+      "DEPARTMENT_NOT_FOUND"
+    );
+  }
+
+  return department;
+};
 
 // @desc    Create a new task (AssignedTask or ProjectTask)
 // @route   POST /api/tasks
@@ -18,7 +120,8 @@ import { emitToUser, emitToManagers } from "../utils/SocketEmitter.js";
 export const createTask = asyncHandler(async (req, res, next) => {
   // --- PHASE 1: INPUT VALIDATION ---
 
-  const { taskType, assignedTo, clientInfo, ...taskData } = req.body;
+  const { taskType, assignedTo, clientInfo, department, ...taskData } =
+    req.body;
 
   // Required field validation
   const requiredFields = {
@@ -56,8 +159,8 @@ export const createTask = asyncHandler(async (req, res, next) => {
     );
   }
 
-  // Due date validation
-  const dueDate = new Date(taskData.dueDate);
+  // Due date validation, a day without time is due at the end of that workday
+  const dueDate = parseDueDate(taskData.dueDate, req.user.company);
   if (isNaN(dueDate.getTime())) {
     return next(
       new CustomError("Invalid due date format", 400, "INVALID_DUE_DATE")
@@ -72,6 +175,8 @@ export const createTask = asyncHandler(async (req, res, next) => {
 
   // --- PHASE 2: TASK TYPE SPECIFIC VALIDATION ---
 
+  const targetDepartment = await resolveTaskDepartment(req, department);
+
   let assignedUsers = [];
   let notificationReceivers = [];
 
@@ -101,14 +206,14 @@ export const createTask = asyncHandler(async (req, res, next) => {
     assignedUsers = await User.find({
       _id: { $in: assignedTo },
       company: req.user.company._id,
-      department: req.user.department._id,
+      department: targetDepartment._id,
       isActive: true,
     }).lean();
 
     if (assignedUsers.length !== assignedTo.length) {
       return next(
         new CustomError(
-          "One or more assigned users not found or not in your department",
+          "One or more assigned users not found or not in the task department",
           404,
           "INVALID_ASSIGNED_USERS"
         )
@@ -122,6 +227,8 @@ export const createTask = asyncHandler(async (req, res, next) => {
     );
   } else if (taskType === "ProjectTask") {
     // 8. ProjectTask validation
+    assertPlanFeature(req.user.company, "projectTasks");
+
     if (!clientInfo || typeof clientInfo !== "object") {
       return next(
         new CustomError(
@@ -144,13 +251,11 @@ export const createTask = asyncHandler(async (req, res, next) => {
       );
     }
 
-    // Notification receivers: managers and super admins in the department
-    const managersAndAdmins = await User.find({
-      company: req.user.company._id,
-      department: req.user.department._id,
-      role: { $in: ["Manager", "SuperAdmin"] },
-      isActive: true,
-    }).lean();
+    // Notification receivers: managers and super admins of the department
+    const managersAndAdmins = await findDepartmentLeaders(
+      req.user.company._id,
+      targetDepartment._id
+    );
 
     notificationReceivers = managersAndAdmins.map((user) => user._id);
     notificationReceivers = notificationReceivers.filter(
@@ -171,11 +276,11 @@ export const createTask = asyncHandler(async (req, res, next) => {
       description: taskData.description.trim(),
       location: taskData.location.trim(),
       dueDate: dueDate,
-      priority: taskData.priority || "Medium",
+      priority: taskData.priority || getDefaultTaskPriority(req.user.company),
       status: taskData.status || "To Do",
       createdBy: req.user._id,
       company: req.user.company._id,
-      department: req.user.department._id,
+      department: targetDepartment._id,
     };
 
     let task;
@@ -199,19 +304,22 @@ export const createTask = asyncHandler(async (req, res, next) => {
 
     await task.save({ session });
 
-    // 11. Create notifications
-    const notifications = notificationReceivers.map((userId) => ({
-      user: userId,
-      message: `New ${
-        taskType === "AssignedTask" ? "assigned" : "project"
-      } task: ${task.title}`,
-      type: "TaskAssignment",
-      task: task._id,
-      company: req.user.company._id,
-      department: req.user.department._id,
-      linkedDocument: task._id,
-      linkedDocumentType: "Task",
-    }));
+    // 11. Create notifications (types disabled in company settings are skipped)
+    const notifications = filterEnabledNotifications(
+      req.user.company,
+      notificationReceivers.map((userId) => ({
+        user: userId,
+        message: `New ${
+          taskType === "AssignedTask" ? "assigned" : "project"
+        } task: ${task.title}`,
+        type: "TaskAssignment",
+        task: task._id,
+        company: req.user.company._id,
+        department: targetDepartment._id,
+        linkedDocument: task._id,
+        linkedDocumentType: "Task",
+      }))
+    );
 
     if (notifications.length > 0) {
       await Notification.insertMany(notifications, { session });
@@ -256,30 +364,27 @@ export const createTask = asyncHandler(async (req, res, next) => {
   }
 });
 
-// @desc    Get all tasks for the authenticated user
+// @desc    Get all tasks for the authenticated user, filtered and sorted by
+//          the query parameters handled in utils/taskFilters.js
 // @route   GET /api/tasks
 // @access  Private
 export const getAllTasks = asyncHandler(async (req, res, next) => {
-  const { page = 1, limit = 10, status, taskType, departmentId } = req.query;
+  const { page = 1, limit = 10, departmentId, sort } = req.query;
   const user = req.user;
 
-  // Build base query
+  // Build base query, trashed tasks are only listed by the trash endpoint
   const query = {
     company: req.user.company._id,
     department: req.user.department._id,
+    deletedAt: null,
+    ...buildTaskFilter(req.query, {
+      userId: user._id,
+      company: req.user.company,
+    }),
   };
 
-  // Apply user-specific filters
-  if (status) query.status = status;
-  if (taskType) query.taskType = taskType;
-
-  // Apply task type filter
-  if (taskType && ["AssignedTask", "ProjectTask"].includes(taskType)) {
-    query.taskType = taskType;
-  }
-
-  // Apply user role filter
-  if (user.role === "User") {
+  // Without department access only assigned tasks are visible
+  if (!hasPermission(req, "task.read.any", "task.read.department")) {
     query.assignedTo = { $in: [user._id] };
     query.taskType = "AssignedTask";
   }
@@ -295,7 +400,12 @@ export const getAllTasks = asyncHandler(async (req, res, next) => {
         )
       );
     }
-    if (user.role === "SuperAdmin") {
+    // Department readers may list any department they manage
+    if (
+      hasPermission(req, "task.read.any") ||
+      (hasPermission(req, "task.read.department") &&
+        (await isInDepartmentScope(req, departmentId)))
+    ) {
       query.department = departmentId;
     }
   }
@@ -304,15 +414,8 @@ export const getAllTasks = asyncHandler(async (req, res, next) => {
   const options = {
     page: parseInt(page),
     limit: parseInt(limit),
-    populate: [
-      { path: "createdBy", select: "firstName lastName email" },
-      { path: "company", select: "name" },
-      { path: "department", select: "name" },
-      {
-        path: "assignedTo",
-        select: "firstName lastName email position role profilePicture",
-      },
-    ],
+    sort: buildTaskSort(sort),
+    populate: TASK_LIST_POPULATE,
   };
 
   // Execute paginated query
@@ -329,9 +432,83 @@ export const getAllTasks = asyncHandler(async (req, res, next) => {
   });
 });
 
+// @desc    Search tasks, their activities and client details, best match first
+// @route   GET /api/tasks/search?q=
+// @access  Private (task.read.any, task.read.department or task.read.assigned)
+export const searchTasks = asyncHandler(async (req, res, next) => {
+  const { page = 1, limit = 10 } = req.query;
+  const q = typeof req.query.q === "string" ? req.query.q.trim() : "";
+
+  if (q.length < MIN_QUERY_LENGTH || q.length > MAX_QUERY_LENGTH) {
+    return next(
+      new CustomError(
+        `Search text must be ${MIN_QUERY_LENGTH} to ${MAX_QUERY_LENGTH} characters`,
+        400,
+        "INVALID_QUERY_PARAMETER",
+        {
+          param: "q",
+          value: req.query.q,
+          expected: `${MIN_QUERY_LENGTH} to ${MAX_QUERY_LENGTH} characters`,
+        }
+      )
+    );
+  }
+
+  // Archived tasks are past jobs and stay searchable, trashed ones do not
+  const scope = { company: req.user.company._id, deletedAt: null };
+
+  if (!hasPermission(req, "task.read.any")) {
+    if (hasPermission(req, "task.read.department")) {
+      scope.department = { $in: await getScopedDepartmentIds(req) };
+    } else {
+      scope.assignedTo = req.user._id;
+      scope.taskType = "AssignedTask";
+    }
+  }
+
+  const pageNumber = Math.max(parseInt(page) || 1, 1);
+  const pageSize = Math.min(
+    Math.max(parseInt(limit) || 10, 1),
+    MAX_SEARCH_PAGE_SIZE
+  );
+
+  const matches = await rankTaskMatches(scope, q);
+  const pageMatches = matches.slice(
+    (pageNumber - 1) * pageSize,
+    pageNumber * pageSize
+  );
+
+  const tasks = await Task.find({
+    _id: { $in: pageMatches.map((match) => match.taskId) },
+  }).populate(TASK_LIST_POPULATE);
+  const tasksById = new Map(tasks.map((task) => [task._id.toString(), task]));
+
+  // Keep the ranking, a task deleted since the search is left out
+  const results = pageMatches
+    .filter((match) => tasksById.has(match.taskId.toString()))
+    .map((match) => {
+      const task = tasksById.get(match.taskId.toString());
+      return {
+        task,
+        score: match.score,
+        highlights: buildHighlights(task, match.activities, q),
+      };
+    });
+
+  res.status(200).json({
+    success: true,
+    message: "Search results retrieved successfully",
+    data: results,
+    page: pageNumber,
+    limit: pageSize,
+    totalPages: Math.ceil(matches.length / pageSize),
+    totalItems: matches.length,
+  });
+});
+
 // @desc    Get a task by ID
 // @route   GET /api/tasks/:taskId
-// @access  Private(SuperAdmin any, Manager and User department tasks only)
+// @access  Private(task.read.any, task.read.department or task.read.assigned)
 export const getTaskById = asyncHandler(async (req, res, next) => {
   const { taskId } = req.params;
   if (!mongoose.Types.ObjectId.isValid(taskId)) {
@@ -340,7 +517,7 @@ export const getTaskById = asyncHandler(async (req, res, next) => {
     );
   }
   // Fetch task
-  const task = await Task.findById(taskId)
+  const task = await Task.findOne({ _id: taskId, deletedAt: null })
     .populate("createdBy", "firstName lastName email")
     .populate("company", "name")
     .populate("department", "name");
@@ -351,7 +528,14 @@ export const getTaskById = asyncHandler(async (req, res, next) => {
   }
 
   // Check if user has access to the task
-  if (req.user.role === "User" && !task.assignedTo.includes(req.user._id)) {
+  const canView =
+    task.company._id.equals(req.user.company._id) &&
+    (hasPermission(req, "task.read.any") ||
+      (hasPermission(req, "task.read.department") &&
+        (await isInDepartmentScope(req, task.department._id))) ||
+      task.assignedTo?.some((id) => id.equals(req.user._id)));
+
+  if (!canView) {
     return next(
       new CustomError(
         "You do not have permission to view this task",
@@ -370,7 +554,7 @@ export const getTaskById = asyncHandler(async (req, res, next) => {
 
 // @desc    Update a task by ID
 // @route   PUT /api/tasks/:taskId
-// @access  Private(SuperAdmin and Manager both department tasks only)
+// @access  Private(task.update.any, task.update.department or task.update.own)
 export const updateTaskById = asyncHandler(async (req, res, next) => {
   const { taskId } = req.params;
   const updateData = { ...req.body };
@@ -383,34 +567,22 @@ export const updateTaskById = asyncHandler(async (req, res, next) => {
     );
   }
 
-  // User role validation, User cannot update tasks
-  if (user.role === "User") {
-    return next(
-      new CustomError(
-        "You do not have permission to update this task",
-        403,
-        "PERMISSION_DENIED"
-      )
-    );
-  }
-
   const session = await mongoose.startSession();
 
   try {
     session.startTransaction();
 
     // Check if task exists
-    const task = await Task.findById(taskId).session(session);
+    const task = await Task.findOne({ _id: taskId, deletedAt: null }).session(
+      session
+    );
     if (!task) {
       return next(new CustomError("Task not found", 404, "TASK_NOT_FOUND"));
     }
 
     // Authorization check
     const isCreator = task.createdBy.equals(user._id);
-    const isManagerPlus = ["SuperAdmin", "Manager"].includes(user.role);
-
-    const validDepartment = task.department.equals(user.department._id);
-    if (!(isCreator || (isManagerPlus && validDepartment))) {
+    if (!(await canUpdateTask(req, task))) {
       throw new CustomError(
         "Not authorized to update this task",
         403,
@@ -418,6 +590,14 @@ export const updateTaskById = asyncHandler(async (req, res, next) => {
       );
     }
 
+    if (task.archivedAt) {
+      throw new CustomError(
+        "Archived tasks cannot be edited. Unarchive the task first",
+        409,
+        "TASK_ARCHIVED"
+      );
+    }
+
     // Capture original state
     const originalTaskState = task.toObject();
     const originalAssignedTo =
@@ -448,7 +628,9 @@ export const updateTaskById = asyncHandler(async (req, res, next) => {
           hasAssignedToChange = !arraysEqual(newAssignees, oldAssignees);
         }
         task[key] =
-          key === "dueDate" ? new Date(updateData[key]) : updateData[key];
+          key === "dueDate"
+            ? parseDueDate(updateData[key], user.company)
+            : updateData[key];
       }
     });
 
@@ -457,7 +639,8 @@ export const updateTaskById = asyncHandler(async (req, res, next) => {
       const validUsers = await User.countDocuments({
         _id: { $in: updateData.assignedTo },
         company: user.company._id,
-        department: user.department._id,
+        department: task.department,
+        isActive: true,
       }).session(session);
 
       if (validUsers !== updateData.assignedTo.length) {
@@ -509,7 +692,7 @@ export const updateTaskById = asyncHandler(async (req, res, next) => {
             linkedDocument: task._id,
             linkedDocumentType: "Task",
             company: user.company._id,
-            department: user.department._id,
+            department: task.department,
           }))
         );
       }
@@ -535,7 +718,7 @@ export const updateTaskById = asyncHandler(async (req, res, next) => {
           linkedDocument: task._id,
           linkedDocumentType: "Task",
           company: user.company._id,
-          department: user.department._id,
+          department: task.department,
         });
       }
 
@@ -550,7 +733,7 @@ export const updateTaskById = asyncHandler(async (req, res, next) => {
               linkedDocument: task._id,
               linkedDocumentType: "Task",
               company: user.company._id,
-              department: user.department._id,
+              department: task.department,
             });
           }
         });
@@ -558,12 +741,13 @@ export const updateTaskById = asyncHandler(async (req, res, next) => {
 
       // Notify project stakeholders
       if (task.taskType === "ProjectTask") {
-        const leaders = await User.find({
-          company: user.company._id,
-          department: user.department._id,
-          role: { $in: ["Manager", "SuperAdmin"] },
-          _id: { $ne: user._id },
-        }).session(session);
+        const leaders = (
+          await findDepartmentLeaders(
+            user.company._id,
+            task.department,
+            session
+          )
+        ).filter((leader) => !leader._id.equals(user._id));
 
         leaders.forEach((leader) => {
           notifications.push({
@@ -573,16 +757,20 @@ export const updateTaskById = asyncHandler(async (req, res, next) => {
             linkedDocument: task._id,
             linkedDocumentType: "Task",
             company: user.company._id,
-            department: user.department._id,
+            department: task.department,
           });
         });
       }
     }
 
     // Save notifications and emit events
-    if (notifications.length) {
-      await Notification.insertMany(notifications, { session });
-      notifications.forEach((notif) => {
+    const enabledNotifications = filterEnabledNotifications(
+      user.company,
+      notifications
+    );
+    if (enabledNotifications.length) {
+      await Notification.insertMany(enabledNotifications, { session });
+      enabledNotifications.forEach((notif) => {
         emitToUser(notif.user, "notification-update", notif);
       });
     }
@@ -608,8 +796,10 @@ export const updateTaskById = asyncHandler(async (req, res, next) => {
           select:
             "firstName lastName fullName email position role profilePicture",
         },
+        // Latest entries only, GET /api/tasks/:taskId/activities pages the rest
         {
           path: "activities",
+          options: { sort: { createdAt: -1 }, limit: RECENT_ACTIVITY_LIMIT },
           populate: {
             path: "performedBy",
             select:
@@ -642,3 +832,207 @@ export const updateTaskById = asyncHandler(async (req, res, next) => {
     await session.endSession();
   }
 });
+
+// @desc    List tasks in the trash
+// @route   GET /api/tasks/trash
+// @access  Private (task.delete)
+export const getTrashedTasks = asyncHandler(async (req, res, next) => {
+  const { page = 1, limit = 10 } = req.query;
+
+  const query = {
+    company: req.user.company._id,
+    deletedAt: { $ne: null },
+  };
+
+  // Same reach as updating, without task.update.any only own scope is listed
+  if (!hasPermission(req, "task.update.any")) {
+    const scopes = [];
+    if (hasPermission(req, "task.update.department")) {
+      scopes.push({ department: { $in: await getScopedDepartmentIds(req) } });
+    }
+    if (hasPermission(req, "task.update.own")) {
+      scopes.push({ createdBy: req.user._id });
+    }
+    if (scopes.length === 0) scopes.push({ _id: null });
+    query.$or = scopes;
+  }
+
+  const results = await Task.paginate(query, {
+    page: parseInt(page),
+    limit: parseInt(limit),
+    sort: { deletedAt: -1 },
+    populate: [
+      { path: "department", select: "name" },
+      { path: "createdBy", select: "firstName lastName email" },
+      { path: "deletedBy", select: "firstName lastName email" },
+    ],
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Trashed tasks retrieved successfully",
+    data: results.docs,
+    page: results.page,
+    limit: results.limit,
+    totalPages: results.totalPages,
+    totalItems: results.totalDocs,
+    retentionDays: getTrashRetentionDays(),
+  });
+});
+
+// @desc    Move a task to the trash, its activities are kept
+// @route   DELETE /api/tasks/:taskId
+// @access  Private (task.delete)
+export const deleteTask = asyncHandler(async (req, res, next) => {
+  const task = await findUpdatableTask(req);
+
+  task.deletedAt = new Date();
+  task.deletedBy = req.user._id;
+  await task.save();
+
+  await recordAudit(req, {
+    action: "task.delete",
+    targetType: "Task",
+    target: task._id,
+    changes: { deletedAt: { from: null, to: task.deletedAt } },
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `Task moved to the trash. It is deleted permanently after ${getTrashRetentionDays()} days`,
+    data: task,
+  });
+});
+
+// @desc    Restore a task from the trash
+// @route   POST /api/tasks/:taskId/restore
+// @access  Private (task.delete)
+export const restoreTask = asyncHandler(async (req, res, next) => {
+  const task = await findUpdatableTask(req, { deleted: true });
+  const deletedAt = task.deletedAt;
+
+  task.deletedAt = null;
+  task.deletedBy = undefined;
+  await task.save();
+
+  await recordAudit(req, {
+    action: "task.restore",
+    targetType: "Task",
+    target: task._id,
+    changes: { deletedAt: { from: deletedAt, to: null } },
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Task restored successfully",
+    data: task,
+  });
+});
+
+// @desc    Permanently delete a task in the trash with its activities
+// @route   DELETE /api/tasks/:taskId/purge
+// @access  Private (task.purge)
+export const purgeTask = asyncHandler(async (req, res, next) => {
+  const { taskId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(taskId)) {
+    return next(
+      new CustomError("Invalid task ID format", 400, "INVALID_TASK_ID")
+    );
+  }
+
+  const purged = await purgeTrashedTasks({
+    _id: taskId,
+    company: req.user.company._id,
+  });
+
+  if (purged === 0) {
+    return next(
+      new CustomError("Task not found in the trash", 404, "TASK_NOT_FOUND")
+    );
+  }
+
+  await recordAudit(req, {
+    action: "task.purge",
+    targetType: "Task",
+    target: taskId,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Task deleted permanently",
+    data: null,
+  });
+});
+
+// @desc    Archive a completed task, hiding it from the default task list
+// @route   POST /api/tasks/:taskId/archive
+// @access  Private (task.update.any, task.update.department or task.update.own)
+export const archiveTask = asyncHandler(async (req, res, next) => {
+  const task = await findUpdatableTask(req);
+
+  if (task.status !== "Completed") {
+    return next(
+      new CustomError(
+        "Only completed tasks can be archived",
+        409,
+        "TASK_NOT_COMPLETED"
+      )
+    );
+  }
+
+  if (task.archivedAt) {
+    return next(
+      new CustomError("Task is already archived", 409, "TASK_ALREADY_ARCHIVED")
+    );
+  }
+
+  task.archivedAt = new Date();
+  task.archivedBy = req.user._id;
+  await task.save();
+
+  await recordAudit(req, {
+    action: "task.archive",
+    targetType: "Task",
+    target: task._id,
+    changes: { archivedAt: { from: null, to: task.archivedAt } },
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Task archived successfully",
+    data: task,
+  });
+});
+
+// @desc    Bring an archived task back to the task list
+// @route   POST /api/tasks/:taskId/unarchive
+// @access  Private (task.update.any, task.update.department or task.update.own)
+export const unarchiveTask = asyncHandler(async (req, res, next) => {
+  const task = await findUpdatableTask(req);
+
+  if (!task.archivedAt) {
+    return next(
+      new CustomError("Task is not archived", 409, "TASK_NOT_ARCHIVED")
+    );
+  }
+
+  const archivedAt = task.archivedAt;
+
+  task.archivedAt = null;
+  task.archivedBy = undefined;
+  await task.save();
+
+  await recordAudit(req, {
+    action: "task.unarchive",
+    targetType: "Task",
+    target: task._id,
+    changes: { archivedAt: { from: archivedAt, to: null } },
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Task unarchived successfully",
+    data: task,
+  });
+});
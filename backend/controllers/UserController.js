@@ -0,0 +1,719 @@
+// backend/controllers/UserController.js
+import mongoose from "mongoose";
+import asyncHandler from "express-async-handler";
+
+import { User, Department, Session, AssignedTask } from "../models/index.js";
+import CustomError from "../errorHandler/CustomError.js";
+
+import { recordAudit, diffChanges } from "../utils/auditLogger.js";
+import { assertWithinPlanLimit } from "../utils/planEntitlements.js";
+import {
+  hasPermission,
+  isManagerialRole,
+  canManageRole,
+  canAssignRole,
+  getManageableRoleNames,
+  assertRoleExists,
+} from "../utils/permissions.js";
+import { SUPER_ADMIN_ROLE } from "../config/permissions.js";
+import { OPEN_TASK_STATUSES } from "../config/tasks.js";
+import { emitToUser } from "../utils/SocketEmitter.js";
+import {
+  renderAvatar,
+  saveAvatar,
+  removeAvatar,
+  getAvatarUrls,
+} from "../utils/avatar.js";
+import {
+  getOpenAssignedTasks,
+  planReassignment,
+  applyReassignment,
+} from "../utils/taskReassignment.js";
+
+const USER_POPULATE = [
+  { path: "company", select: "name" },
+  { path: "department", select: "name" },
+];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Load a user of the current company, scope is checked by the caller or canManageUsers
+const findCompanyUser = async (req, session = null) => {
+  const { userId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(userId)) {
+    throw new CustomError("Invalid user ID format", 400, "INVALID_USER_ID");
+  }
+
+  const user = await User.findOne({
+    _id: userId,
+    company: req.user.company._id,
+  }).session(session);
+
+  if (!user) {
+    throw new CustomError("User not found", 404, "USER_NOT_FOUND");
+  }
+
+  return user;
+};
+
+// Users may not change their own role, department or status
+const preventSelfManagement = (req, user, action) => {
+  if (user._id.equals(req.user._id)) {
+    throw new CustomError(
+      `You cannot ${action} your own account`,
+      403,
+      "SELF_MANAGEMENT_DENIED"
+    );
+  }
+};
+
+// Make sure the company keeps at least one active SuperAdmin
+const ensureAnotherSuperAdmin = async (user, session) => {
+  if (user.role !== SUPER_ADMIN_ROLE) return;
+
+  const otherSuperAdmins = await User.countDocuments({
+    company: user.company,
+    role: SUPER_ADMIN_ROLE,
+    isActive: true,
+    _id: { $ne: user._id },
+  }).session(session);
+
+  if (otherSuperAdmins === 0) {
+    throw new CustomError(
+      "The company must keep at least one active SuperAdmin",
+      400,
+      "LAST_SUPERADMIN"
+    );
+  }
+};
+
+// @desc    List users of the company with search and pagination
+// @route   GET /api/users
+// @access  Private (user.read.any, user.manage, user.manage.department)
+export const getUsers = asyncHandler(async (req, res, next) => {
+  const {
+    page = 1,
+    limit = 10,
+    search,
+    role,
+    departmentId,
+    isActive,
+  } = req.query;
+
+  const query = { company: req.user.company._id };
+
+  if (search && search.trim()) {
+    const pattern = new RegExp(escapeRegex(search.trim()), "i");
+    query.$or = [
+      { firstName: pattern },
+      { lastName: pattern },
+      { email: pattern },
+      { employeeId: pattern },
+    ];
+  }
+
+  if (role) query.role = role;
+
+  if (departmentId) {
+    if (!mongoose.Types.ObjectId.isValid(departmentId)) {
+      return next(
+        new CustomError(
+          "Invalid department ID format",
+          400,
+          "INVALID_DEPARTMENT_ID"
+        )
+      );
+    }
+    query.department = departmentId;
+  }
+
+  if (isActive !== undefined) query.isActive = isActive === "true";
+
+  // Department managers only see the users they may manage
+  if (!hasPermission(req, "user.read.any", "user.manage")) {
+    const manageableRoles = await getManageableRoleNames(req);
+    query.department = req.user.department._id;
+    query.role = role
+      ? { $in: manageableRoles.filter((name) => name === role) }
+      : { $in: manageableRoles };
+  }
+
+  const results = await User.paginate(query, {
+    page: parseInt(page),
+    limit: parseInt(limit),
+    sort: { lastName: 1, firstName: 1 },
+    populate: USER_POPULATE,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Users retrieved successfully",
+    data: results.docs,
+    page: results.page,
+    limit: results.limit,
+    totalPages: results.totalPages,
+    totalItems: results.totalDocs,
+  });
+});
+
+// @desc    Get a user by ID
+// @route   GET /api/users/:userId
+// @access  Private (user.read.any, user.manage, user.manage.department)
+export const getUserById = asyncHandler(async (req, res, next) => {
+  const user = await findCompanyUser(req);
+
+  // Without company-wide access the user must be one they manage
+  if (
+    !hasPermission(req, "user.read.any", "user.manage") &&
+    (!user.department.equals(req.user.department._id) ||
+      !(await canManageRole(req, user.role)))
+  ) {
+    return next(
+      new CustomError(
+        "Cannot view users outside your management scope",
+        403,
+        "PRIVILEGE_MANAGEMENT_DENIED"
+      )
+    );
+  }
+
+  await user.populate(USER_POPULATE);
+
+  res.status(200).json({
+    success: true,
+    message: "User retrieved successfully",
+    data: user,
+  });
+});
+
+// @desc    Update profile fields of a user
+// @route   PATCH /api/users/:userId
+// @access  Private (user.manage, user.manage.department)
+export const updateUserProfile = asyncHandler(async (req, res, next) => {
+  const allowedUpdates = ["skills", "employeeId", "hireDate"];
+  const updates = Object.fromEntries(
+    Object.entries(req.body).filter(([key]) => allowedUpdates.includes(key))
+  );
+
+  if (Object.keys(updates).length === 0) {
+    return next(
+      new CustomError(
+        `Nothing to update. Allowed fields: ${allowedUpdates.join(", ")}`,
+        400,
+        "NO_VALID_UPDATES"
+      )
+    );
+  }
+
+  // Field validation
+  if (updates.skills !== undefined) {
+    if (
+      !Array.isArray(updates.skills) ||
+      updates.skills.some((skill) => typeof skill !== "string")
+    ) {
+      return next(
+        new CustomError(
+          "Skills must be an array of strings",
+          400,
+          "INVALID_SKILLS"
+        )
+      );
+    }
+    updates.skills = [
+      ...new Set(updates.skills.map((skill) => skill.trim()).filter(Boolean)),
+    ];
+  }
+
+  if (updates.hireDate !== undefined) {
+    const hireDate = new Date(updates.hireDate);
+    if (isNaN(hireDate.getTime())) {
+      return next(
+        new CustomError("Invalid hire date format", 400, "INVALID_HIRE_DATE")
+      );
+    }
+    if (hireDate > new Date()) {
+      return next(
+        new CustomError(
+          "Hire date cannot be in the future",
+          400,
+          "FUTURE_HIRE_DATE"
+        )
+      );
+    }
+    updates.hireDate = hireDate;
+  }
+
+  if (updates.employeeId !== undefined && updates.employeeId !== null) {
+    updates.employeeId = String(updates.employeeId).trim();
+  }
+
+  const user = await findCompanyUser(req);
+  const before = Object.fromEntries(
+    allowedUpdates.map((field) => [field, user[field]])
+  );
+
+  Object.assign(user, updates);
+  await user.save();
+
+  const changes = diffChanges(before, updates);
+  if (Object.keys(changes).length > 0) {
+    await recordAudit(req, {
+      action: "user.update",
+      targetType: "User",
+      target: user._id,
+      changes,
+    });
+  }
+
+  await user.populate(USER_POPULATE);
+
+  res.status(200).json({
+    success: true,
+    message: "User updated successfully",
+    data: user,
+  });
+});
+
+// @desc    Change the role of a user
+// @route   PATCH /api/users/:userId/role
+// @access  Private (user.role.assign)
+export const changeUserRole = asyncHandler(async (req, res, next) => {
+  const { role } = req.body;
+
+  await assertRoleExists(req.user.company._id, role);
+
+  const session = await mongoose.startSession();
+
+  try {
+    session.startTransaction();
+
+    const user = await findCompanyUser(req, session);
+    preventSelfManagement(req, user, "change the role of");
+
+    if (user.role === role) {
+      throw new CustomError(`User is already a ${role}`, 400, "ROLE_UNCHANGED");
+    }
+
+    // Both the current and the new role must be within the actor's permissions
+    if (
+      !(await canAssignRole(req, user.role)) ||
+      !(await canAssignRole(req, role))
+    ) {
+      throw new CustomError(
+        "You cannot assign a role with permissions you do not hold",
+        403,
+        "PRIVILEGE_ESCALATION_DENIED"
+      );
+    }
+
+    if (role !== SUPER_ADMIN_ROLE) await ensureAnotherSuperAdmin(user, session);
+
+    const previousRole = user.role;
+    user.role = role;
+    await user.save({ session });
+
+    // Keep department manager lists in line with the role
+    if (!(await isManagerialRole(user.company, role))) {
+      await Department.updateMany(
+        { company: user.company, managers: user._id },
+        { $pull: { managers: user._id } },
+        { session }
+      );
+    } else {
+      await Department.updateOne(
+        { _id: user.department },
+        { $addToSet: { managers: user._id } },
+        { session }
+      );
+    }
+
+    await recordAudit(
+      req,
+      {
+        action: "user.role.change",
+        targetType: "User",
+        target: user._id,
+        changes: { role: { from: previousRole, to: role } },
+      },
+      { session }
+    );
+
+    await session.commitTransaction();
+
+    await user.populate(USER_POPULATE);
+
+    res.status(200).json({
+      success: true,
+      message: `User role changed to ${role}`,
+      data: user,
+    });
+  } catch (error) {
+    if (session.inTransaction()) await session.abortTransaction();
+    next(error);
+  } finally {
+    await session.endSession();
+  }
+});
+
+// @desc    Move a user to another department
+// @route   PATCH /api/users/:userId/department
+// @access  Private (user.manage)
+export const changeUserDepartment = asyncHandler(async (req, res, next) => {
+  const { department } = req.body;
+
+  if (!department || !mongoose.Types.ObjectId.isValid(department)) {
+    return next(
+      new CustomError(
+        "A valid department ID is required",
+        400,
+        "INVALID_DEPARTMENT_ID"
+      )
+    );
+  }
+
+  const session = await mongoose.startSession();
+
+  try {
+    session.startTransaction();
+
+    const user = await findCompanyUser(req, session);
+    preventSelfManagement(req, user, "move");
+
+    const targetDepartment = await Department.findOne({
+      _id: department,
+      company: req.user.company._id,
+      isActive: true,
+    }).session(session);
+
+    if (!targetDepartment) {
+      throw new CustomError(
+        "Department not found or inactive",
+        404,
+        "DEPARTMENT_NOT_FOUND"
+      );
+    }
+
+    if (user.department.equals(targetDepartment._id)) {
+      throw new CustomError(
+        "User is already in this department",
+        400,
+        "DEPARTMENT_UNCHANGED"
+      );
+    }
+
+    const previousDepartment = user.department;
+    user.department = targetDepartment._id;
+    await user.save({ session });
+
+    // Managers manage the department they belong to
+    if (await isManagerialRole(user.company, user.role)) {
+      await Department.updateOne(
+        { _id: previousDepartment },
+        { $pull: { managers: user._id } },
+        { session }
+      );
+      await Department.updateOne(
+        { _id: targetDepartment._id },
+        { $addToSet: { managers: user._id } },
+        { session }
+      );
+    }
+
+    await recordAudit(
+      req,
+      {
+        action: "user.department.change",
+        targetType: "User",
+        target: user._id,
+        changes: {
+          department: { from: previousDepartment, to: targetDepartment._id },
+        },
+      },
+      { session }
+    );
+
+    await session.commitTransaction();
+
+    await user.populate(USER_POPULATE);
+
+    res.status(200).json({
+      success: true,
+      message: `User moved to ${targetDepartment.name}`,
+      data: user,
+    });
+  } catch (error) {
+    if (session.inTransaction()) await session.abortTransaction();
+    next(error);
+  } finally {
+    await session.endSession();
+  }
+});
+
+// @desc    List the open tasks of a user and who could take them over
+// @route   GET /api/users/:userId/offboarding
+// @access  Private (user.manage, user.manage.department)
+export const getUserOffboarding = asyncHandler(async (req, res, next) => {
+  const user = await findCompanyUser(req);
+
+  const openTasks = await getOpenAssignedTasks(user)
+    .select("title status priority dueDate department")
+    .populate("department", "name");
+
+  // A task can only go to a member of its own department
+  const departments = [
+    ...new Map(
+      openTasks
+        .filter((task) => task.department)
+        .map((task) => [task.department._id.toString(), task.department])
+    ).values(),
+  ];
+
+  const colleagues = await User.find({
+    company: user.company,
+    department: { $in: departments.map((department) => department._id) },
+    isActive: true,
+    _id: { $ne: user._id },
+  })
+    .select("firstName lastName email role department")
+    .sort({ lastName: 1, firstName: 1 })
+    .lean();
+
+  // Open workload helps pick a replacement
+  const workload = await AssignedTask.aggregate([
+    {
+      $match: {
+        assignedTo: { $in: colleagues.map((colleague) => colleague._id) },
+        status: { $in: OPEN_TASK_STATUSES },
+        deletedAt: null,
+      },
+    },
+    { $unwind: "$assignedTo" },
+    { $group: { _id: "$assignedTo", count: { $sum: 1 } } },
+  ]);
+
+  // Candidates per department of the open tasks
+  const candidates = departments.map((department) => ({
+    department,
+    taskCount: openTasks.filter((task) =>
+      task.department?._id.equals(department._id)
+    ).length,
+    users: colleagues
+      .filter((colleague) => colleague.department.equals(department._id))
+      .map((colleague) => ({
+        ...colleague,
+        openTaskCount:
+          workload.find(({ _id }) => _id.equals(colleague._id))?.count || 0,
+      })),
+  }));
+
+  res.status(200).json({
+    success: true,
+    message: "Offboarding details retrieved successfully",
+    data: { user: user._id, openTasks, candidates },
+  });
+});
+
+// @desc    Deactivate a user, reassign their open tasks and revoke sessions
+// @route   PATCH /api/users/:userId/deactivate
+// @access  Private (user.manage, user.manage.department)
+export const deactivateUser = asyncHandler(async (req, res, next) => {
+  const { strategy, replacementId } = req.body;
+  let notifications = [];
+
+  const session = await mongoose.startSession();
+
+  try {
+    session.startTransaction();
+
+    const user = await findCompanyUser(req, session);
+    preventSelfManagement(req, user, "deactivate");
+
+    if (!user.isActive) {
+      throw new CustomError(
+        "User is already deactivated",
+        400,
+        "USER_ALREADY_DEACTIVATED"
+      );
+    }
+
+    await ensureAnotherSuperAdmin(user, session);
+
+    // Open tasks must be handed over before the user leaves
+    const openTasks = await getOpenAssignedTasks(user, session);
+    let reassigned = [];
+
+    if (openTasks.length > 0) {
+      if (!strategy) {
+        throw new CustomError(
+          `User has ${openTasks.length} open task(s). Choose a replacement or spread them across the department`,
+          409,
+          "REASSIGNMENT_REQUIRED"
+        );
+      }
+
+      const plan = await planReassignment(openTasks, user, {
+        strategy,
+        replacementId,
+        session,
+      });
+      notifications = await applyReassignment(req, user, plan, { session });
+
+      reassigned = plan.map(({ task, assignee }) => ({
+        task: task._id,
+        title: task.title,
+        assignee: assignee._id,
+      }));
+    }
+
+    user.isActive = false;
+    await user.save({ session });
+
+    await recordAudit(
+      req,
+      {
+        action: "user.deactivate",
+        targetType: "User",
+        target: user._id,
+        changes: {
+          isActive: { from: true, to: false },
+          ...(reassigned.length > 0 && {
+            reassignedTasks: { from: null, to: reassigned },
+          }),
+        },
+      },
+      { session }
+    );
+
+    await session.commitTransaction();
+
+    // Sign the user out everywhere once the deactivation is committed
+    await Session.revokeAll({ user: user._id }, "admin");
+
+    notifications.forEach((notif) =>
+      emitToUser(notif.user, "New Task Assignment", notif)
+    );
+
+    await user.populate(USER_POPULATE);
+
+    res.status(200).json({
+      success: true,
+      message:
+        reassigned.length > 0
+          ? `User deactivated and ${reassigned.length} task(s) reassigned`
+          : "User deactivated successfully",
+      data: user,
+      reassigned,
+    });
+  } catch (error) {
+    if (session.inTransaction()) await session.abortTransaction();
+    next(error);
+  } finally {
+    await session.endSession();
+  }
+});
+
+// @desc    Reactivate a deactivated user
+// @route   PATCH /api/users/:userId/reactivate
+// @access  Private (user.manage, user.manage.department)
+export const reactivateUser = asyncHandler(async (req, res, next) => {
+  const user = await findCompanyUser(req);
+
+  if (user.isActive) {
+    return next(
+      new CustomError("User is already active", 400, "USER_ALREADY_ACTIVE")
+    );
+  }
+
+  await assertWithinPlanLimit(req.user.company, "users");
+
+  user.isActive = true;
+  await user.save();
+
+  await recordAudit(req, {
+    action: "user.reactivate",
+    targetType: "User",
+    target: user._id,
+    changes: { isActive: { from: false, to: true } },
+  });
+
+  await user.populate(USER_POPULATE);
+
+  res.status(200).json({
+    success: true,
+    message: "User reactivated successfully",
+    data: user,
+  });
+});
+
+// @desc    Upload a profile picture for the current user
+// @route   PUT /api/users/me/avatar
+// @access  Private
+export const uploadAvatar = asyncHandler(async (req, res, next) => {
+  if (!req.file) {
+    return next(
+      new CustomError(
+        "An image is required in the avatar field",
+        400,
+        "MISSING_AVATAR"
+      )
+    );
+  }
+
+  const renders = await renderAvatar(req.file.buffer);
+  const previous = req.user.profilePicture;
+
+  // Replacing an avatar only counts the difference against the plan
+  await assertWithinPlanLimit(
+    req.user.company,
+    "storageBytes",
+    renders.reduce((total, { body }) => total + body.length, 0) -
+      (previous?.size || 0)
+  );
+
+  const profilePicture = await saveAvatar(req.user, renders);
+
+  try {
+    await User.updateOne({ _id: req.user._id }, { $set: { profilePicture } });
+  } catch (error) {
+    await removeAvatar(profilePicture).catch(() => {});
+    throw error;
+  }
+
+  // The previous files are no longer referenced
+  removeAvatar(previous).catch((error) =>
+    console.error("Avatar cleanup error:", error.message)
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Profile picture updated successfully",
+    data: { profilePicture, sizes: getAvatarUrls(profilePicture) },
+  });
+});
+
+// @desc    Remove the profile picture of the current user
+// @route   DELETE /api/users/me/avatar
+// @access  Private
+export const deleteAvatar = asyncHandler(async (req, res, next) => {
+  const { profilePicture } = req.user;
+
+  if (!profilePicture?.public_id) {
+    return next(
+      new CustomError("No profile picture to remove", 404, "AVATAR_NOT_FOUND")
+    );
+  }
+
+  // Files first, so a storage failure leaves the avatar in place to retry
+  await removeAvatar(profilePicture);
+  await User.updateOne(
+    { _id: req.user._id },
+    { $unset: { profilePicture: 1 } }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Profile picture removed successfully",
+    data: null,
+  });
+});
@@ -0,0 +1,421 @@
+// backend/controllers/UserImportController.js
+// Bulk invitations from a CSV file. An import creates invitations carrying
+// the profile of each row, not users: accounts need a password, so the user
+// is created when the invitee accepts, with the imported profile prefilled.
+import mongoose from "mongoose";
+import asyncHandler from "express-async-handler";
+
+import { User, Department, Invitation, UserImport } from "../models/index.js";
+import CustomError from "../errorHandler/CustomError.js";
+
+import { parseCsv, toCsv } from "../utils/csv.js";
+import { assertWithinPlanLimit } from "../utils/planEntitlements.js";
+import { processUserImport, summarizeImportRows } from "../utils/userImport.js";
+import {
+  hasPermission,
+  canManageRole,
+  assertRoleExists,
+} from "../utils/permissions.js";
+
+const MAX_IMPORT_ROWS = 1000;
+
+// Accepted header spellings, compared lowercase without spaces, _ or -
+const COLUMNS = {
+  firstName: ["firstname", "first"],
+  lastName: ["lastname", "last", "surname"],
+  email: ["email", "emailaddress"],
+  role: ["role"],
+  department: ["department", "departmentname"],
+  employeeId: ["employeeid", "employeeno", "employeenumber"],
+  skills: ["skills"],
+};
+
+const REQUIRED_COLUMNS = ["firstName", "lastName", "email", "department"];
+
+// UserModel paths the import does not take from the file
+const IGNORED_USER_PATHS = ["password", "company", "department"];
+
+const REPORT_HEADER = [
+  "Row",
+  "Email",
+  "First name",
+  "Last name",
+  "Role",
+  "Department",
+  "Status",
+  "Issues",
+];
+
+const normalizeHeader = (name) => name.toLowerCase().replace(/[\s_-]/g, "");
+
+// Map each field to its column index
+const mapColumns = (header) => {
+  const columns = {};
+
+  header.forEach((name, index) => {
+    const field = Object.keys(COLUMNS).find((key) =>
+      COLUMNS[key].includes(normalizeHeader(name))
+    );
+    if (field && columns[field] === undefined) columns[field] = index;
+  });
+
+  const missing = REQUIRED_COLUMNS.filter(
+    (field) => columns[field] === undefined
+  );
+  if (missing.length > 0) {
+    throw new CustomError(
+      `Missing required columns: ${missing.join(", ")}`,
+      400,
+      "MISSING_IMPORT_COLUMNS"
+    );
+  }
+
+  return columns;
+};
+
+// Skills are separated by semicolons within their cell
+const splitSkills = (value) =>
+  value
+    ? value
+        .split(/[;|]/)
+        .map((skill) => skill.trim())
+        .filter(Boolean)
+    : [];
+
+// Read the CSV body into records keyed by field
+const readRecords = (req) => {
+  const text = typeof req.body === "string" ? req.body : req.body?.csv;
+
+  if (typeof text !== "string" || !text.trim()) {
+    throw new CustomError(
+      "CSV content is required (text/csv body)",
+      400,
+      "MISSING_CSV"
+    );
+  }
+
+  let rows;
+  try {
+    rows = parseCsv(text);
+  } catch (error) {
+    throw new CustomError(`Invalid CSV: ${error.message}`, 400, "INVALID_CSV");
+  }
+
+  const [header = [], ...dataRows] = rows;
+  const columns = mapColumns(header);
+
+  if (dataRows.length === 0) {
+    throw new CustomError("The CSV file has no rows", 400, "EMPTY_IMPORT");
+  }
+
+  if (dataRows.length > MAX_IMPORT_ROWS) {
+    throw new CustomError(
+      `An import is limited to ${MAX_IMPORT_ROWS} rows`,
+      400,
+      "IMPORT_TOO_LARGE"
+    );
+  }
+
+  return dataRows.map((cells, index) => {
+    const cell = (field) =>
+      columns[field] === undefined ? "" : cells[columns[field]] || "";
+
+    return {
+      row: index + 2, // Header is line 1
+      firstName: cell("firstName"),
+      lastName: cell("lastName"),
+      email: cell("email").toLowerCase(),
+      role: cell("role") || "User",
+      department: cell("department"),
+      employeeId: cell("employeeId") || undefined,
+      skills: splitSkills(cell("skills")),
+    };
+  });
+};
+
+// Check every record, collecting row-level errors instead of stopping
+const validateRecords = async (req, records) => {
+  const companyId = req.user.company._id;
+  const emails = records.map((record) => record.email).filter(Boolean);
+
+  const [departments, existingUsers, pendingInvitations] = await Promise.all([
+    Department.find({ company: companyId, isActive: true })
+      .select("name")
+      .lean(),
+    User.find({ email: { $in: emails } })
+      .select("email")
+      .lean(),
+    Invitation.find({
+      company: companyId,
+      email: { $in: emails },
+      status: "Pending",
+      expiresAt: { $gt: new Date() },
+    })
+      .select("email")
+      .lean(),
+  ]);
+
+  const departmentsByName = new Map(
+    departments.map((department) => [department.name.toLowerCase(), department])
+  );
+  const takenEmails = new Set([
+    ...existingUsers.map((user) => user.email),
+    ...pendingInvitations.map((invitation) => invitation.email),
+  ]);
+
+  // Role checks run once per distinct role
+  const roleErrors = new Map();
+  for (const role of new Set(records.map((record) => record.role))) {
+    try {
+      await assertRoleExists(companyId, role);
+      roleErrors.set(
+        role,
+        (await canManageRole(req, role))
+          ? null
+          : `You cannot invite users with the ${role} role`
+      );
+    } catch (error) {
+      roleErrors.set(role, error.message);
+    }
+  }
+
+  const seenEmails = new Set();
+
+  return records.map((record) => {
+    const errors = [];
+
+    // Same rules as UserModel
+    const validation = new User({
+      firstName: record.firstName,
+      lastName: record.lastName,
+      email: record.email,
+      role: record.role,
+      employeeId: record.employeeId,
+      skills: record.skills,
+    }).validateSync();
+
+    Object.entries(validation?.errors || {})
+      .filter(([path]) => !IGNORED_USER_PATHS.includes(path))
+      .forEach(([, error]) => errors.push(error.message));
+
+    if (record.email) {
+      if (seenEmails.has(record.email)) {
+        errors.push("Email appears more than once in the file");
+      } else if (takenEmails.has(record.email)) {
+        errors.push(
+          "A user or pending invitation already exists for this email"
+        );
+      }
+      seenEmails.add(record.email);
+    }
+
+    if (roleErrors.get(record.role)) errors.push(roleErrors.get(record.role));
+
+    const department = departmentsByName.get(record.department.toLowerCase());
+    if (!record.department) {
+      errors.push("Department is required");
+    } else if (!department) {
+      errors.push(`Department "${record.department}" not found or inactive`);
+    } else if (
+      !hasPermission(req, "user.manage") &&
+      !department._id.equals(req.user.department._id)
+    ) {
+      errors.push("Cannot invite users outside your department");
+    }
+
+    return { ...record, departmentId: department?._id, errors };
+  });
+};
+
+const toReportRow = ({
+  row,
+  email,
+  firstName,
+  lastName,
+  role,
+  department,
+  departmentId,
+  employeeId,
+  skills,
+  status,
+  issues = [],
+}) => ({
+  row,
+  email,
+  firstName,
+  lastName,
+  role,
+  department,
+  departmentId,
+  employeeId,
+  skills,
+  status,
+  issues,
+});
+
+// Load an import of the company, department managers only see their own
+const findUserImport = async (req) => {
+  const { importId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(importId)) {
+    throw new CustomError("Invalid import ID format", 400, "INVALID_IMPORT_ID");
+  }
+
+  const query = { _id: importId, company: req.user.company._id };
+  if (!hasPermission(req, "user.manage")) query.importedBy = req.user._id;
+
+  const userImport = await UserImport.findOne(query).lean();
+
+  if (!userImport) {
+    throw new CustomError("Import not found", 404, "IMPORT_NOT_FOUND");
+  }
+
+  return userImport;
+};
+
+// @desc    Invite users in bulk from a CSV file, or preview with dryRun=true.
+//          Users are created when they accept their invitation.
+// @route   POST /api/users/import
+// @access  Private (invitation.manage)
+export const importUsers = asyncHandler(async (req, res, next) => {
+  const dryRun = req.query.dryRun === "true";
+
+  const records = await validateRecords(req, readRecords(req));
+  const validRecords = records.filter((record) => record.errors.length === 0);
+
+  // --- DRY RUN ---
+
+  if (dryRun) {
+    let planLimitError = null;
+    if (validRecords.length > 0) {
+      try {
+        await assertWithinPlanLimit(
+          req.user.company,
+          "users",
+          validRecords.length
+        );
+      } catch (error) {
+        planLimitError = error.message;
+      }
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: `Dry run: ${validRecords.length} of ${records.length} rows are valid`,
+      data: {
+        dryRun: true,
+        summary: {
+          total: records.length,
+          valid: validRecords.length,
+          invalid: records.length - validRecords.length,
+        },
+        planLimitError,
+        rows: records.map((record) => ({
+          row: record.row,
+          email: record.email,
+          firstName: record.firstName,
+          lastName: record.lastName,
+          role: record.role,
+          department: record.department,
+          employeeId: record.employeeId,
+          skills: record.skills,
+          valid: record.errors.length === 0,
+          errors: record.errors,
+        })),
+      },
+    });
+  }
+
+  // --- COMMIT ---
+
+  if (validRecords.length === 0) {
+    return next(
+      new CustomError(
+        "No valid rows to import. Run a dry run to see the errors",
+        400,
+        "NO_VALID_ROWS"
+      )
+    );
+  }
+
+  // Pending invitations take seats of the plan user limit
+  await assertWithinPlanLimit(req.user.company, "users", validRecords.length);
+
+  const rows = records.map((record) =>
+    toReportRow(
+      record.errors.length > 0
+        ? { ...record, status: "Skipped", issues: record.errors }
+        : { ...record, status: "Pending" }
+    )
+  );
+
+  const userImport = await UserImport.create({
+    company: req.user.company._id,
+    importedBy: req.user._id,
+    summary: summarizeImportRows(rows),
+    rows,
+  });
+
+  // Sending can take minutes, it continues after the response. An import
+  // interrupted by a restart is resumed by jobs/userImports.js.
+  processUserImport(userImport._id).catch((error) =>
+    console.error("User import error:", error)
+  );
+
+  res.status(202).json({
+    success: true,
+    message: `Inviting ${validRecords.length} of ${records.length} users`,
+    data: {
+      dryRun: false,
+      importId: userImport._id,
+      status: userImport.status,
+      summary: userImport.summary,
+      statusUrl: `/api/users/imports/${userImport._id}`,
+      reportUrl: `/api/users/imports/${userImport._id}/report`,
+    },
+  });
+});
+
+// @desc    Get the progress and row results of an import
+// @route   GET /api/users/imports/:importId
+// @access  Private (invitation.manage)
+export const getUserImport = asyncHandler(async (req, res, next) => {
+  const userImport = await findUserImport(req);
+
+  res.status(200).json({
+    success: true,
+    message:
+      userImport.status === "Processing"
+        ? `Import in progress, ${userImport.summary.pending} invitation(s) left`
+        : "Import completed",
+    data: userImport,
+  });
+});
+
+// @desc    Download the result report of an import as CSV
+// @route   GET /api/users/imports/:importId/report
+// @access  Private (invitation.manage)
+export const getImportReport = asyncHandler(async (req, res, next) => {
+  const userImport = await findUserImport(req);
+
+  const csv = toCsv(
+    REPORT_HEADER,
+    userImport.rows.map((row) => [
+      row.row,
+      row.email,
+      row.firstName,
+      row.lastName,
+      row.role,
+      row.department,
+      row.status,
+      row.issues.join("; "),
+    ])
+  );
+
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="user-import-${userImport._id}.csv"`
+  );
+  res.status(200).send(csv);
+});
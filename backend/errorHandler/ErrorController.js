@@ -50,8 +50,8 @@ const handleSpecificErrors = (error) => {
     );
   }
 
-  // Handle rate limiting errors
-  if (error.statusCode === 429) {
+  // Handle rate limiting errors, keeping codes of our own 429 errors
+  if (error.statusCode === 429 && !error.isOperational) {
     return new CustomError(
       "Too many requests. Please try again later.",
       429,
@@ -81,6 +81,11 @@ const globalErrorHandler = (error, req, res, next) => {
       path: req.originalUrl,
       timestamp: new Date().toISOString(),
     }),
+    // Structured context of operational errors, e.g. the invalid parameter
+    ...(handledError.isOperational &&
+      Object.keys(handledError.context || {}).length > 0 && {
+        details: handledError.context,
+      }),
     ...(isDevelopment && { stack: handledError.stack }),
   };
 
@@ -0,0 +1,57 @@
+// backend/jobs/companyDeletion.js
+// Daily job deleting companies whose confirmed deletion date has passed.
+// Each company is purged on its own, a failure is logged and retried next run.
+import { Company } from "../models/index.js";
+import { purgeCompany } from "../utils/companyPurge.js";
+
+const RUN_INTERVAL = 24 * 60 * 60 * 1000; // Daily
+
+/**
+ * Run one pass of the deletion job
+ * @param {Date} now - Reference time, defaults to the current time
+ * @returns {Object} { deleted, failed } company counts
+ */
+export const runCompanyDeletion = async (now = new Date()) => {
+  const companies = await Company.find({
+    "deletion.confirmedAt": { $ne: null },
+    "deletion.scheduledFor": { $lte: now },
+  })
+    .select("name")
+    .lean();
+
+  let deleted = 0;
+  let failed = 0;
+
+  for (const company of companies) {
+    try {
+      const counts = await purgeCompany(company._id);
+      console.log(`🗑️  Deleted company ${company.name}:`, counts);
+      deleted++;
+    } catch (error) {
+      console.error(
+        `❌ Deleting company ${company.name} failed:`,
+        error.message
+      );
+      failed++;
+    }
+  }
+
+  return { deleted, failed };
+};
+
+// Run now and then daily for the lifetime of the process
+export const scheduleCompanyDeletion = () => {
+  const run = () =>
+    runCompanyDeletion()
+      .then(({ deleted, failed }) =>
+        console.log(`📅 Company deletion: ${deleted} deleted, ${failed} failed`)
+      )
+      .catch((error) =>
+        console.error("❌ Company deletion job failed:", error.message)
+      );
+
+  run();
+  const timer = setInterval(run, RUN_INTERVAL);
+  timer.unref();
+  return timer;
+};
@@ -0,0 +1,207 @@
+// backend/jobs/subscriptionLifecycle.js
+// Daily job moving subscriptions through their lifecycle:
+//   trialing/active -> past_due once the trial or paid period ends
+//   past_due -> suspended once the grace period ends
+// SuperAdmins are warned by email and in-app before expiry and on each change.
+// Companies created before billing get their end date from migration 005.
+import { Company, User, Notification } from "../models/index.js";
+import { sendEmail } from "../utils/mailer.js";
+import { emitToUser } from "../utils/SocketEmitter.js";
+import {
+  subscriptionExpiringEmail,
+  subscriptionPastDueEmail,
+  subscriptionSuspendedEmail,
+} from "../utils/emailTemplates.js";
+import {
+  getSubscriptionEnd,
+  getDaysRemaining,
+  addDays,
+} from "../utils/subscription.js";
+import { formatCompanyDate } from "../utils/companyDates.js";
+import { GRACE_PERIOD_DAYS, EXPIRY_WARNING_DAYS } from "../config/plans.js";
+
+const RUN_INTERVAL = 24 * 60 * 60 * 1000; // Daily
+
+const getBillingUrl = () =>
+  `${process.env.CLIENT_URL || "http://localhost:3000"}/settings/billing`;
+
+// Email and notify every active SuperAdmin of the company
+const notifySuperAdmins = async (company, { message, buildEmail }) => {
+  const superAdmins = await User.find({
+    company: company._id,
+    role: "SuperAdmin",
+    isActive: true,
+  }).lean();
+
+  const notifications = await Notification.insertMany(
+    superAdmins.map((admin) => ({
+      user: admin._id,
+      message,
+      type: "CompanyWide",
+      company: company._id,
+    }))
+  );
+  notifications.forEach((notif) =>
+    emitToUser(notif.user, "notification-update", notif)
+  );
+
+  await Promise.all(
+    superAdmins.map((admin) =>
+      sendEmail({ to: admin.email, ...buildEmail(admin) }).catch((error) =>
+        console.error("Subscription email error:", error.message)
+      )
+    )
+  );
+};
+
+// Warn once per threshold in EXPIRY_WARNING_DAYS before the period ends
+const sendExpiryWarnings = async (now) => {
+  const horizon = addDays(now, Math.max(...EXPIRY_WARNING_DAYS));
+  const companies = await Company.find({
+    isActive: true,
+    $or: [
+      {
+        "subscription.status": "trialing",
+        "subscription.trialEndsAt": { $gt: now, $lte: horizon },
+      },
+      {
+        "subscription.status": "active",
+        "subscription.paidThrough": { $gt: now, $lte: horizon },
+      },
+    ],
+  });
+
+  let warned = 0;
+
+  for (const company of companies) {
+    const endDate = getSubscriptionEnd(company.subscription);
+    const daysLeft = getDaysRemaining(endDate, now);
+    const threshold = [...EXPIRY_WARNING_DAYS]
+      .sort((a, b) => a - b)
+      .find((days) => daysLeft <= days);
+
+    if (company.subscription.expiryWarningsSent.includes(threshold)) continue;
+
+    const isTrial = company.subscription.status === "trialing";
+    await notifySuperAdmins(company, {
+      message: `Your ${
+        isTrial ? "trial" : "subscription"
+      } ends in ${daysLeft} day(s). Renew to avoid interruption.`,
+      buildEmail: (admin) =>
+        subscriptionExpiringEmail({
+          firstName: admin.firstName,
+          companyName: company.name,
+          isTrial,
+          daysLeft,
+          endDate: formatCompanyDate(endDate, company),
+          billingUrl: getBillingUrl(),
+        }),
+    });
+
+    company.subscription.expiryWarningsSent.push(threshold);
+    await company.save();
+    warned++;
+  }
+
+  return warned;
+};
+
+// Start the grace period for companies whose trial or paid period ended
+const markPastDue = async (now) => {
+  const companies = await Company.find({
+    $or: [
+      {
+        "subscription.status": "trialing",
+        "subscription.trialEndsAt": { $lte: now },
+      },
+      {
+        "subscription.status": "active",
+        "subscription.paidThrough": { $lte: now },
+      },
+    ],
+  });
+
+  for (const company of companies) {
+    const endDate = getSubscriptionEnd(company.subscription);
+    company.subscription.status = "past_due";
+    company.subscription.graceEndsAt = addDays(endDate, GRACE_PERIOD_DAYS);
+    await company.save();
+
+    const suspendOn = formatCompanyDate(
+      company.subscription.graceEndsAt,
+      company
+    );
+    await notifySuperAdmins(company, {
+      message: `Your subscription has expired. The account will be suspended on ${suspendOn}.`,
+      buildEmail: (admin) =>
+        subscriptionPastDueEmail({
+          firstName: admin.firstName,
+          companyName: company.name,
+          suspendOn,
+          billingUrl: getBillingUrl(),
+        }),
+    });
+  }
+
+  return companies.length;
+};
+
+// Suspend companies whose grace period ended without renewal
+const suspendLapsed = async (now) => {
+  const companies = await Company.find({
+    "subscription.status": "past_due",
+    "subscription.graceEndsAt": { $lte: now },
+  });
+
+  for (const company of companies) {
+    company.subscription.status = "suspended";
+    company.subscription.suspendedAt = now;
+    await company.save();
+
+    await notifySuperAdmins(company, {
+      message:
+        "Your account has been suspended. Renew the subscription to restore access.",
+      buildEmail: (admin) =>
+        subscriptionSuspendedEmail({
+          firstName: admin.firstName,
+          companyName: company.name,
+          billingUrl: getBillingUrl(),
+        }),
+    });
+  }
+
+  return companies.length;
+};
+
+/**
+ * Run one pass of the lifecycle
+ * @param {Date} now - Reference time, defaults to the current time
+ * @returns {Object} { warned, pastDue, suspended } company counts
+ */
+export const runSubscriptionLifecycle = async (now = new Date()) => {
+  // Suspend before marking past due so a company moves one step per run
+  const suspended = await suspendLapsed(now);
+  const pastDue = await markPastDue(now);
+  const warned = await sendExpiryWarnings(now);
+
+  return { warned, pastDue, suspended };
+};
+
+// Run now and then daily for the lifetime of the process
+export const scheduleSubscriptionLifecycle = () => {
+  const run = () =>
+    runSubscriptionLifecycle()
+      .then(({ warned, pastDue, suspended }) =>
+        console.log(
+          `📅 Subscription lifecycle: ${warned} warned, ${pastDue} past due, ${suspended} suspended`
+        )
+      )
+      .catch((error) =>
+        console.error("❌ Subscription lifecycle failed:", error.message)
+      );
+
+  run();
+  const timer = setInterval(run, RUN_INTERVAL);
+  timer.unref();
+  return timer;
+};
@@ -0,0 +1,38 @@
+// backend/jobs/taskRetention.js
+// Daily job purging tasks that have been in the trash longer than the
+// retention period (TASK_TRASH_RETENTION_DAYS).
+import { purgeTrashedTasks } from "../utils/taskPurge.js";
+import { addDays } from "../utils/subscription.js";
+import { getTrashRetentionDays } from "../config/tasks.js";
+
+const RUN_INTERVAL = 24 * 60 * 60 * 1000; // Daily
+
+/**
+ * Run one pass of the retention job
+ * @param {Date} now - Reference time, defaults to the current time
+ * @returns {Object} { purged } task count
+ */
+export const runTaskRetention = async (now = new Date()) => {
+  const purged = await purgeTrashedTasks({
+    deletedAt: { $lte: addDays(now, -getTrashRetentionDays()) },
+  });
+
+  return { purged };
+};
+
+// Run now and then daily for the lifetime of the process
+export const scheduleTaskRetention = () => {
+  const run = () =>
+    runTaskRetention()
+      .then(({ purged }) =>
+        console.log(`📅 Task retention: ${purged} trashed task(s) purged`)
+      )
+      .catch((error) =>
+        console.error("❌ Task retention job failed:", error.message)
+      );
+
+  run();
+  const timer = setInterval(run, RUN_INTERVAL);
+  timer.unref();
+  return timer;
+};
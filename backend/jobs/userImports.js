@@ -0,0 +1,24 @@
+// backend/jobs/userImports.js
+// Resumes bulk user imports left unfinished, e.g. by a restart while their
+// invitations were being sent. Imports are normally processed right after
+// they are committed, see utils/userImport.js.
+import { resumeUserImports } from "../utils/userImport.js";
+
+const RUN_INTERVAL = 60 * 1000; // Every minute
+
+// Run now and then every minute for the lifetime of the process
+export const scheduleUserImports = () => {
+  const run = () =>
+    resumeUserImports()
+      .then(({ resumed }) => {
+        if (resumed > 0) console.log(`📅 User imports: ${resumed} resumed`);
+      })
+      .catch((error) =>
+        console.error("❌ User import job failed:", error.message)
+      );
+
+  run();
+  const timer = setInterval(run, RUN_INTERVAL);
+  timer.unref();
+  return timer;
+};
@@ -1,5 +1,18 @@
 import jwt from "jsonwebtoken";
-import { User, Department } from "../models/index.js";
+import mongoose from "mongoose";
+import { User, Department, Session } from "../models/index.js";
+import {
+  isSubscriptionUsable,
+  canRenewLapsedSubscription,
+} from "../utils/subscription.js";
+import {
+  getRolePermissions,
+  hasPermission,
+  canManageRole,
+} from "../utils/permissions.js";
+
+// Minimum time between lastUsedAt updates of a session
+const SESSION_TOUCH_INTERVAL = 5 * 60 * 1000; // 5 minutes
 
 /**
  * Verify JWT token from cookies and attach user data to request
@@ -45,8 +58,9 @@ export const verifyJWT = async (req, res, next) => {
 
     // Fetch user data with company and department details
     const user = await User.findById(decoded.userId)
-      .populate("company", "name subscription.status isActive")
-      .populate("department", "name isActive");
+      .populate("company", "name subscription isActive settings")
+      .populate("department", "name isActive")
+      .select("+passwordChangedAt");
 
     if (!user) {
       return res.status(401).json({
@@ -56,6 +70,35 @@ export const verifyJWT = async (req, res, next) => {
       });
     }
 
+    // Check that the session behind this token is still active
+    const session = decoded.sid
+      ? await Session.findOne({ _id: decoded.sid, user: user._id }).lean()
+      : null;
+
+    if (!session || session.revokedAt || session.expiresAt < new Date()) {
+      return res.status(401).json({
+        success: false,
+        message: "Session has been revoked",
+        error: "SESSION_REVOKED",
+      });
+    }
+
+    // Record activity, at most once per interval to limit writes
+    if (Date.now() - session.lastUsedAt.getTime() > SESSION_TOUCH_INTERVAL) {
+      Session.updateOne({ _id: session._id }, { lastUsedAt: new Date() }).catch(
+        (err) => console.error("Session touch error:", err.message)
+      );
+    }
+
+    // Reject tokens issued before the last password change
+    if (user.changedPasswordAfter(decoded.iat)) {
+      return res.status(401).json({
+        success: false,
+        message: "Access token has been revoked",
+        error: "TOKEN_REVOKED",
+      });
+    }
+
     // Check if user is verified
     if (!user.isVerified) {
       return res.status(401).json({
@@ -83,8 +126,18 @@ export const verifyJWT = async (req, res, next) => {
       });
     }
 
-    // Check company subscription status
-    if (user.company.subscription.status !== "active") {
+    const permissions = new Set(
+      await getRolePermissions(user.company._id, user.role)
+    );
+
+    // Check company subscription status, billing routes stay open to renew
+    if (
+      !isSubscriptionUsable(user.company) &&
+      !(
+        req.allowLapsedSubscription &&
+        canRenewLapsedSubscription(user, permissions)
+      )
+    ) {
       return res.status(403).json({
         success: false,
         message: "Company subscription is not active",
@@ -101,8 +154,10 @@ export const verifyJWT = async (req, res, next) => {
       });
     }
 
-    // Attach user data to request
+    // Attach user, session and role permissions to request
     req.user = user;
+    req.sessionId = decoded.sid;
+    req.permissions = permissions;
     next();
   } catch (error) {
     console.error("JWT verification error:", error);
@@ -115,10 +170,10 @@ export const verifyJWT = async (req, res, next) => {
 };
 
 /**
- * Authorize user roles
- * @param {Array} allowedRoles - Array of allowed roles
+ * Require at least one of the given permissions from the user's role
+ * @param {...String} permissions - Permission strings, see config/permissions.js
  */
-export const authorizeRoles = (allowedRoles) => {
+export const requirePermission = (...permissions) => {
   return (req, res, next) => {
     try {
       if (!req.user) {
@@ -129,29 +184,40 @@ export const authorizeRoles = (allowedRoles) => {
         });
       }
 
-      if (!allowedRoles.includes(req.user.role)) {
+      if (!hasPermission(req, ...permissions)) {
         return res.status(403).json({
           success: false,
-          message: `Access denied. Required roles: ${allowedRoles.join(", ")}`,
+          message: `Access denied. Required permission: ${permissions.join(
+            " or "
+          )}`,
           error: "INSUFFICIENT_PERMISSIONS",
         });
       }
 
       next();
     } catch (error) {
-      console.error("Role authorization error:", error);
+      console.error("Permission authorization error:", error);
       return res.status(500).json({
         success: false,
-        message: "Internal server error during role authorization",
+        message: "Internal server error during permission authorization",
         error: "AUTHORIZATION_ERROR",
       });
     }
   };
 };
 
+/**
+ * Mark a route as reachable by SuperAdmins of a suspended company
+ * Must run before verifyJWT
+ */
+export const allowLapsedSubscription = (req, res, next) => {
+  req.allowLapsedSubscription = true;
+  next();
+};
+
 /**
  * Verify department access for resources
- * SuperAdmin can access all departments within their company
+ * department.access.any grants every department within the company
  */
 export const verifyDepartmentAccess = async (req, res, next) => {
   try {
@@ -163,8 +229,8 @@ export const verifyDepartmentAccess = async (req, res, next) => {
       });
     }
 
-    // SuperAdmin can access all departments within their company
-    if (req.user.role === "SuperAdmin") {
+    // Company-wide access to all departments
+    if (hasPermission(req, "department.access.any")) {
       return next();
     }
 
@@ -182,8 +248,8 @@ export const verifyDepartmentAccess = async (req, res, next) => {
     }
 
     // Check query parameters
-    if (req.query.department) {
-      resourceDepartmentId = req.query.department;
+    if (req.query.department || req.query.departmentId) {
+      resourceDepartmentId = req.query.department || req.query.departmentId;
     }
 
     // If no department specified in request, allow access (will be handled by business logic)
@@ -191,6 +257,14 @@ export const verifyDepartmentAccess = async (req, res, next) => {
       return next();
     }
 
+    if (!mongoose.Types.ObjectId.isValid(resourceDepartmentId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid department ID format",
+        error: "INVALID_DEPARTMENT_ID",
+      });
+    }
+
     // Validate department exists and belongs to user's company
     const department = await Department.findById(resourceDepartmentId);
 
@@ -211,38 +285,17 @@ export const verifyDepartmentAccess = async (req, res, next) => {
       });
     }
 
-    // Check if user has access to this department
-    // Managers can access their own department
-    // Users can only access their own department
-    if (req.user.role === "Manager") {
-      // Managers can access their own department or departments they manage
-      const managedDepartments = await Department.find({
-        company: req.user.company._id,
-        managers: { $in: [req.user._id] },
-      });
-
-      const canAccess =
-        req.user.department._id.equals(resourceDepartmentId) ||
-        managedDepartments.some((dept) =>
-          dept._id.equals(resourceDepartmentId)
-        );
+    // Others can access their own department or departments they manage
+    const canAccess =
+      req.user.department._id.equals(resourceDepartmentId) ||
+      department.managers.some((manager) => manager.equals(req.user._id));
 
-      if (!canAccess) {
-        return res.status(403).json({
-          success: false,
-          message: "Access denied to this department",
-          error: "DEPARTMENT_ACCESS_DENIED",
-        });
-      }
-    } else if (req.user.role === "User") {
-      // Users can only access their own department
-      if (!req.user.department._id.equals(resourceDepartmentId)) {
-        return res.status(403).json({
-          success: false,
-          message: "Access denied to department outside your scope",
-          error: "DEPARTMENT_ACCESS_DENIED",
-        });
-      }
+    if (!canAccess) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied to department outside your scope",
+        error: "DEPARTMENT_ACCESS_DENIED",
+      });
     }
 
     // Attach department to request for use in controllers
@@ -326,17 +379,20 @@ export const canManageUsers = async (req, res, next) => {
       });
     }
 
-    // SuperAdmin can manage all users in their company
-    if (req.user.role === "SuperAdmin") {
+    // Company-wide user management
+    if (hasPermission(req, "user.manage")) {
       return next();
     }
 
-    // Managers can manage users in their department
-    if (req.user.role === "Manager") {
+    // Department-scoped user management
+    if (hasPermission(req, "user.manage.department")) {
       const targetUserId = req.params.userId || req.body.userId;
 
       if (targetUserId) {
-        const targetUser = await User.findById(targetUserId);
+        const targetUser = await User.findOne({
+          _id: targetUserId,
+          company: req.user.company._id,
+        });
 
         if (!targetUser) {
           return res.status(404).json({
@@ -355,8 +411,8 @@ export const canManageUsers = async (req, res, next) => {
           });
         }
 
-        // Managers cannot manage other managers or superadmins
-        if (["Manager", "SuperAdmin"].includes(targetUser.role)) {
+        // Managers cannot manage users with equal or higher privileges
+        if (!(await canManageRole(req, targetUser.role))) {
           return res.status(403).json({
             success: false,
             message: "Cannot manage users with equal or higher privileges",
@@ -368,7 +424,7 @@ export const canManageUsers = async (req, res, next) => {
       return next();
     }
 
-    // Regular users cannot manage other users
+    // Others cannot manage users
     return res.status(403).json({
       success: false,
       message: "Insufficient permissions to manage users",
@@ -0,0 +1,72 @@
+// backend/middlewares/uploadMiddleware.js
+import multer from "multer";
+
+import CustomError from "../errorHandler/CustomError.js";
+import { MAX_AVATAR_BYTES, AVATAR_MIME_TYPES } from "../utils/avatar.js";
+import {
+  MAX_ATTACHMENT_BYTES,
+  MAX_ATTACHMENTS,
+  getAttachmentType,
+} from "../utils/attachments.js";
+
+const toMegabytes = (bytes) => bytes / 1024 / 1024;
+
+// kind is "image" or "file", used in the message and error code
+const rejectType = (cb, kind, allowed) =>
+  cb(
+    new CustomError(
+      `Unsupported ${kind} type. Allowed: ${allowed}`,
+      415,
+      `UNSUPPORTED_${kind.toUpperCase()}_TYPE`
+    )
+  );
+
+// Run a multer parser, turning its errors into CustomErrors
+const withUploadErrors =
+  (parser, { label, maxBytes }) =>
+  (req, res, next) =>
+    parser(req, res, (error) => {
+      if (error instanceof multer.MulterError) {
+        return next(
+          error.code === "LIMIT_FILE_SIZE"
+            ? new CustomError(
+                `${label} must be at most ${toMegabytes(maxBytes)} MB`,
+                413,
+                "FILE_TOO_LARGE"
+              )
+            : new CustomError(error.message, 400, "INVALID_UPLOAD")
+        );
+      }
+      next(error);
+    });
+
+/**
+ * Parse a multipart upload with one image in the "avatar" field into req.file
+ */
+export const avatarUpload = withUploadErrors(
+  multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_AVATAR_BYTES, files: 1 },
+    fileFilter: (req, file, cb) =>
+      AVATAR_MIME_TYPES.includes(file.mimetype)
+        ? cb(null, true)
+        : rejectType(cb, "image", AVATAR_MIME_TYPES.join(", ")),
+  }).single("avatar"),
+  { label: "Avatar", maxBytes: MAX_AVATAR_BYTES }
+);
+
+/**
+ * Parse optional files in the "attachments" field into req.files
+ * Requests without multipart content pass through untouched
+ */
+export const attachmentUpload = withUploadErrors(
+  multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_ATTACHMENT_BYTES, files: MAX_ATTACHMENTS },
+    fileFilter: (req, file, cb) =>
+      getAttachmentType(file.mimetype)
+        ? cb(null, true)
+        : rejectType(cb, "file", "images, videos (mp4, webm, mov) and PDF"),
+  }).array("attachments", MAX_ATTACHMENTS),
+  { label: "Attachments", maxBytes: MAX_ATTACHMENT_BYTES }
+);
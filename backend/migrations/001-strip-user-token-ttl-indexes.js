@@ -0,0 +1,42 @@
+// backend/migrations/001-strip-user-token-ttl-indexes.js
+// TTL indexes on users removed the whole user document once a token expired.
+// One-time tokens now live in the authtokens collection, so outstanding
+// tokens on users are discarded and must be requested again.
+export const description =
+  "Drop token TTL indexes and token fields from the users collection";
+
+const TTL_INDEXES = [
+  "verificationTokenExpiry_1",
+  "emailChangeTokenExpiry_1",
+  "resetPasswordExpiry_1",
+];
+
+export const up = async (db) => {
+  const users = db.collection("users");
+
+  const existingIndexes = await users.indexes();
+  for (const index of existingIndexes) {
+    if (TTL_INDEXES.includes(index.name)) {
+      await users.dropIndex(index.name);
+      console.log(`   Dropped index users.${index.name}`);
+    }
+  }
+
+  const { modifiedCount } = await users.updateMany(
+    {},
+    {
+      $unset: {
+        pendingEmail: "",
+        emailChangeToken: "",
+        emailChangeTokenExpiry: "",
+        verificationToken: "",
+        verificationTokenExpiry: "",
+        verificationAttempts: "",
+        verificationSentAt: "",
+        resetPasswordToken: "",
+        resetPasswordExpiry: "",
+      },
+    }
+  );
+  console.log(`   Removed token fields from ${modifiedCount} user(s)`);
+};
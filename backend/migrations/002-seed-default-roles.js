@@ -0,0 +1,35 @@
+// backend/migrations/002-seed-default-roles.js
+// Roles used to be a fixed enum on users. Every existing company gets the
+// SuperAdmin, Manager and User roles, existing roles are left untouched.
+import { DEFAULT_ROLES } from "../config/permissions.js";
+
+export const description = "Seed the default roles of every company";
+
+export const up = async (db) => {
+  const roles = db.collection("roles");
+  const companyIds = await db.collection("companies").distinct("_id");
+
+  let seeded = 0;
+  for (const company of companyIds) {
+    for (const role of DEFAULT_ROLES) {
+      const now = new Date();
+      const { upsertedCount } = await roles.updateOne(
+        { company, name: role.name },
+        {
+          $setOnInsert: {
+            ...role,
+            company,
+            isSystem: true,
+            createdAt: now,
+            updatedAt: now,
+          },
+        },
+        { upsert: true }
+      );
+      seeded += upsertedCount;
+    }
+  }
+  console.log(
+    `   Seeded ${seeded} role(s) for ${companyIds.length} company(ies)`
+  );
+};
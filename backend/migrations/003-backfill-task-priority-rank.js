@@ -0,0 +1,18 @@
+// backend/migrations/003-backfill-task-priority-rank.js
+// Tasks created before priorityRank existed cannot be sorted by priority.
+import { TASK_PRIORITIES } from "../config/tasks.js";
+
+export const description = "Backfill the sortable priority rank of tasks";
+
+export const up = async (db) => {
+  const { modifiedCount } = await db
+    .collection("tasks")
+    .updateMany({ priorityRank: { $exists: false } }, [
+      {
+        $set: {
+          priorityRank: { $indexOfArray: [TASK_PRIORITIES, "$priority"] },
+        },
+      },
+    ]);
+  console.log(`   Ranked ${modifiedCount} task(s)`);
+};
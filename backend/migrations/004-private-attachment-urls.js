@@ -0,0 +1,65 @@
+// backend/migrations/004-private-attachment-urls.js
+// Attachments used to link to the public /uploads mount. Point them at the
+// authenticated download route and keep the stored file name, which used to
+// be the last segment of the public URL. The type of these files was not
+// stored, so they are downloaded rather than shown inline.
+export const description = "Serve stored attachments through the task API";
+
+const lastSegment = (field) => ({
+  $arrayElemAt: [{ $split: [field, "/"] }, -1],
+});
+
+export const up = async (db) => {
+  const { modifiedCount } = await db.collection("taskactivities").updateMany(
+    {
+      attachments: {
+        $elemMatch: { public_id: /^attachments\//, name: { $exists: false } },
+      },
+    },
+    [
+      {
+        $set: {
+          attachments: {
+            $map: {
+              input: "$attachments",
+              as: "attachment",
+              in: {
+                $cond: [
+                  {
+                    $and: [
+                      { $eq: [{ $type: "$$attachment.name" }, "missing"] },
+                      {
+                        $eq: [
+                          { $substrCP: ["$$attachment.public_id", 0, 12] },
+                          "attachments/",
+                        ],
+                      },
+                    ],
+                  },
+                  {
+                    $mergeObjects: [
+                      "$$attachment",
+                      {
+                        name: lastSegment("$$attachment.url"),
+                        url: {
+                          $concat: [
+                            "/api/tasks/",
+                            { $toString: "$task" },
+                            "/attachments/",
+                            lastSegment("$$attachment.public_id"),
+                          ],
+                        },
+                      },
+                    ],
+                  },
+                  "$$attachment",
+                ],
+              },
+            },
+          },
+        },
+      },
+    ]
+  );
+  console.log(`   Updated attachments of ${modifiedCount} activity record(s)`);
+};
@@ -0,0 +1,40 @@
+// backend/migrations/005-backfill-subscription-periods.js
+// Companies created before billing have no trial end or paid period, so the
+// subscription lifecycle never expires them. They get the length of a trial
+// from now to renew: trialing companies as their trial, active companies as
+// their paid period. Warnings before the end are sent as usual.
+import { TRIAL_DAYS } from "../config/plans.js";
+
+export const description =
+  "Give subscriptions without an end date a trial-length period";
+
+export const up = async (db) => {
+  const companies = db.collection("companies");
+  const now = new Date();
+  const periodEnd = new Date(now.getTime() + TRIAL_DAYS * 24 * 60 * 60 * 1000);
+
+  const trialing = await companies.updateMany(
+    {
+      "subscription.status": "trialing",
+      "subscription.trialEndsAt": null,
+    },
+    {
+      $set: {
+        "subscription.trialStartedAt": now,
+        "subscription.trialEndsAt": periodEnd,
+      },
+    }
+  );
+
+  const active = await companies.updateMany(
+    {
+      "subscription.status": "active",
+      "subscription.paidThrough": null,
+    },
+    { $set: { "subscription.paidThrough": periodEnd } }
+  );
+
+  console.log(
+    `   Set the period end of ${trialing.modifiedCount} trialing and ${active.modifiedCount} active company(ies)`
+  );
+};
@@ -0,0 +1,23 @@
+// backend/migrations/006-backfill-activity-company.js
+// Task activities now carry the company of their task, so storage usage and
+// search can filter them per tenant without listing the company's tasks.
+export const description = "Copy the company of each task onto its activities";
+
+export const up = async (db) => {
+  const tasks = db.collection("tasks");
+  const activities = db.collection("taskactivities");
+  const companyIds = await tasks.distinct("company");
+
+  let updated = 0;
+  for (const company of companyIds) {
+    const taskIds = await tasks.distinct("_id", { company });
+    const { modifiedCount } = await activities.updateMany(
+      { task: { $in: taskIds }, company: { $exists: false } },
+      { $set: { company } }
+    );
+    updated += modifiedCount;
+  }
+  console.log(
+    `   Set the company of ${updated} activity record(s) for ${companyIds.length} company(ies)`
+  );
+};
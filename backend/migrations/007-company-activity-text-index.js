@@ -0,0 +1,22 @@
+// backend/migrations/007-company-activity-text-index.js
+// The activity text index now starts with the company. A collection holds a
+// single text index, so the previous one is dropped and the new one is built
+// by the model when the server starts. Run after 006, which sets the company.
+export const description = "Drop the activity text index without company";
+
+const PREVIOUS_INDEX = "task_activity_text_search";
+
+export const up = async (db) => {
+  const activities = db.collection("taskactivities");
+
+  const collections = await db
+    .listCollections({ name: "taskactivities" })
+    .toArray();
+  if (collections.length === 0) return;
+
+  const indexes = await activities.indexes();
+  if (indexes.some((index) => index.name === PREVIOUS_INDEX)) {
+    await activities.dropIndex(PREVIOUS_INDEX);
+    console.log(`   Dropped index taskactivities.${PREVIOUS_INDEX}`);
+  }
+};
@@ -0,0 +1,51 @@
+// backend/migrations/index.js
+// Runs the migrations of this folder not applied yet, in filename order.
+// Applied migrations are recorded in the migrations collection. A migration
+// that fails part way runs again in full, so migrations must be idempotent.
+import dotenv from "dotenv";
+dotenv.config();
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+import mongoose from "mongoose";
+import connectDB from "../config/db.js";
+
+const migrationsDir = path.dirname(fileURLToPath(import.meta.url));
+
+const runMigrations = async () => {
+  await connectDB();
+
+  const ledger = mongoose.connection.db.collection("migrations");
+  const applied = new Set(await ledger.distinct("name"));
+
+  const files = fs
+    .readdirSync(migrationsDir)
+    .filter((file) => /^\d+-.+\.js$/.test(file) && !applied.has(file))
+    .sort();
+
+  if (files.length === 0) console.log("✅ No pending migrations");
+
+  for (const file of files) {
+    const migration = await import(
+      pathToFileURL(path.join(migrationsDir, file))
+    );
+    console.log(`⏳ Running migration ${file}: ${migration.description}`);
+    await migration.up(mongoose.connection.db);
+    await ledger.insertOne({
+      name: file,
+      description: migration.description,
+      appliedAt: new Date(),
+    });
+    console.log(`✅ Migration ${file} complete`);
+  }
+};
+
+runMigrations()
+  .then(() => mongoose.disconnect())
+  .then(() => process.exit(0))
+  .catch(async (err) => {
+    console.error("❌ Migration failed:", err.message);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
@@ -0,0 +1,66 @@
+import mongoose from "mongoose";
+import mongoosePaginate from "mongoose-paginate-v2";
+
+const auditLogSchema = new mongoose.Schema(
+  {
+    company: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Company",
+      required: [true, "Company reference is required"],
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Acting user is required"],
+    },
+    // Dotted action name, e.g. "user.role.change"
+    action: {
+      type: String,
+      required: [true, "Audit action is required"],
+      trim: true,
+    },
+    targetType: {
+      type: String,
+      enum: ["User", "Department", "Company", "Task", "Invitation", "Role"],
+      required: [true, "Audit target type is required"],
+    },
+    target: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "targetType",
+    },
+    // { field: { from, to } }
+    changes: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    ip: {
+      type: String,
+      trim: true,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    versionKey: false,
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.id;
+        return ret;
+      },
+    },
+    toObject: {
+      transform: (doc, ret) => {
+        delete ret.id;
+        return ret;
+      },
+    },
+  }
+);
+
+// Indexes
+auditLogSchema.index({ company: 1, createdAt: -1 });
+auditLogSchema.index({ target: 1, createdAt: -1 });
+
+// Pagination plugin
+auditLogSchema.plugin(mongoosePaginate);
+
+export default mongoose.model("AuditLog", auditLogSchema);
@@ -0,0 +1,121 @@
+import mongoose from "mongoose";
+import crypto from "crypto";
+
+const authTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User reference is required"],
+    },
+    type: {
+      type: String,
+      enum: [
+        "EmailVerification",
+        "PasswordReset",
+        "EmailChange",
+        "MfaChallenge", // Login ticket, password accepted and MFA pending
+        "MfaEnrollment", // Login ticket, MFA required by policy but not set up
+        "CompanyDeletion", // Confirms a requested company deletion
+      ],
+      required: [true, "Token type is required"],
+    },
+    tokenHash: {
+      type: String,
+      required: [true, "Token hash is required"],
+      select: false,
+    },
+    // Target address for EmailChange tokens
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, "Token expiry is required"],
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.id;
+        delete ret.tokenHash;
+        return ret;
+      },
+    },
+    toObject: {
+      transform: (doc, ret) => {
+        delete ret.id;
+        return ret;
+      },
+    },
+  }
+);
+
+// Indexes
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Remove expired tokens only
+authTokenSchema.index({ user: 1, type: 1 });
+authTokenSchema.index({ tokenHash: 1, type: 1 });
+
+// Hash a raw token, only hashes are persisted
+authTokenSchema.statics.hashToken = function (token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+};
+
+/**
+ * Issue a new token, replacing any previous token of the same type for the user
+ * @param {Object} options - { user, type, expiresIn (ms), email }
+ * @returns {Object} { token, authToken } where token is the raw value to send
+ */
+authTokenSchema.statics.issue = async function ({
+  user,
+  type,
+  expiresIn,
+  email,
+}) {
+  await this.deleteMany({ user, type });
+
+  // Verification uses a short code typed by the user, others are link tokens
+  const token =
+    type === "EmailVerification"
+      ? crypto.randomBytes(3).toString("hex").toUpperCase()
+      : crypto.randomBytes(32).toString("hex");
+
+  const authToken = await this.create({
+    user,
+    type,
+    email,
+    tokenHash: this.hashToken(token),
+    expiresAt: new Date(Date.now() + expiresIn),
+  });
+
+  return { token, authToken };
+};
+
+// Find an unexpired token by its raw value (TTL cleanup is not immediate)
+authTokenSchema.statics.findValid = function (type, token) {
+  return this.findOne({
+    type,
+    tokenHash: this.hashToken(token),
+    expiresAt: { $gt: new Date() },
+  });
+};
+
+// Constant-time comparison against the stored hash
+authTokenSchema.methods.matches = function (token) {
+  const expected = Buffer.from(this.tokenHash);
+  const received = Buffer.from(this.constructor.hashToken(token));
+  return (
+    expected.length === received.length &&
+    crypto.timingSafeEqual(expected, received)
+  );
+};
+
+export default mongoose.model("AuthToken", authTokenSchema);
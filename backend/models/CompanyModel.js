@@ -1,5 +1,6 @@
 import mongoose from "mongoose";
 import mongoosePaginate from "mongoose-paginate-v2";
+import { TRIAL_DAYS } from "../config/plans.js";
 
 const companySchema = new mongoose.Schema(
   {
@@ -82,12 +83,79 @@ const companySchema = new mongoose.Schema(
         enum: ["basic", "premium", "enterprise"],
         default: "basic",
       },
+      // trialing -> active -> past_due (grace period) -> suspended
       status: {
         type: String,
-        enum: ["active", "inactive", "suspended"],
-        default: "active",
+        enum: ["trialing", "active", "past_due", "inactive", "suspended"],
+        default: "trialing",
         index: true,
       },
+      trialStartedAt: { type: Date },
+      trialEndsAt: { type: Date },
+      paidThrough: { type: Date },
+      graceEndsAt: { type: Date },
+      suspendedAt: { type: Date },
+      // Days-before-expiry warnings already sent for the current period
+      expiryWarningsSent: [{ type: Number }],
+      providerCustomerId: { type: String },
+      lastPaymentAt: { type: Date },
+      // Settled payment attempts, part of the idempotency key of the next
+      // charge so that concurrent renewals charge once
+      renewalAttempts: { type: Number, default: 0 },
+    },
+    settings: {
+      requireMfaForElevatedRoles: { type: Boolean, default: false },
+      defaultTaskPriority: {
+        type: String,
+        enum: ["Low", "Medium", "High"],
+        default: "Medium",
+      },
+      timezone: {
+        type: String,
+        default: "Africa/Addis_Ababa",
+        validate: {
+          validator: (v) => {
+            try {
+              Intl.DateTimeFormat("en-US", { timeZone: v });
+              return true;
+            } catch {
+              return false;
+            }
+          },
+          message: "Invalid time zone",
+        },
+      },
+      workingHours: {
+        start: {
+          type: String,
+          default: "08:30",
+          match: [/^([01]\d|2[0-3]):[0-5]\d$/, "Start time must be HH:mm"],
+        },
+        end: {
+          type: String,
+          default: "17:30",
+          match: [/^([01]\d|2[0-3]):[0-5]\d$/, "End time must be HH:mm"],
+        },
+        // 0 = Sunday ... 6 = Saturday
+        workDays: {
+          type: [{ type: Number, min: 0, max: 6 }],
+          default: [1, 2, 3, 4, 5],
+        },
+      },
+      // In-app notifications sent for each notification type
+      notifications: {
+        taskAssignment: { type: Boolean, default: true },
+        taskUpdate: { type: Boolean, default: true },
+        statusChange: { type: Boolean, default: true },
+        taskCompletion: { type: Boolean, default: true },
+      },
+    },
+    // Two-step deletion: requested, then confirmed and run after a delay
+    deletion: {
+      requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      requestedAt: { type: Date },
+      confirmedAt: { type: Date },
+      scheduledFor: { type: Date, index: true },
     },
     isActive: { type: Boolean, default: true, index: true },
   },
@@ -139,6 +207,22 @@ companySchema.pre("save", function (next) {
   next();
 });
 
+// New companies start with a trial
+companySchema.pre("save", function (next) {
+  if (
+    this.isNew &&
+    this.subscription.status === "trialing" &&
+    !this.subscription.trialEndsAt
+  ) {
+    const now = new Date();
+    this.subscription.trialStartedAt = now;
+    this.subscription.trialEndsAt = new Date(
+      now.getTime() + TRIAL_DAYS * 24 * 60 * 60 * 1000
+    );
+  }
+  next();
+});
+
 // Pagination plugin
 companySchema.plugin(mongoosePaginate);
 
@@ -0,0 +1,97 @@
+import mongoose from "mongoose";
+import mongoosePaginate from "mongoose-paginate-v2";
+
+const invitationSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: [true, "Invitee email is required"],
+      lowercase: true,
+      trim: true,
+      match: [
+        /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/,
+        "Please enter a valid email",
+      ],
+    },
+    // Name of a Role of the company, see RoleModel
+    role: {
+      type: String,
+      trim: true,
+      default: "User",
+    },
+    company: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Company",
+      required: [true, "Company reference is required"],
+    },
+    department: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Department",
+      required: [true, "Department reference is required"],
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Inviting user is required"],
+    },
+    status: {
+      type: String,
+      enum: ["Pending", "Accepted", "Revoked"],
+      default: "Pending",
+      index: true,
+    },
+    // Bumped on resend so earlier invitation links stop working
+    tokenVersion: {
+      type: Number,
+      default: 0,
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, "Invitation expiry is required"],
+    },
+    // Profile details from a bulk import, applied when the invitation is accepted
+    profile: {
+      firstName: { type: String, trim: true },
+      lastName: { type: String, trim: true },
+      employeeId: { type: String, trim: true },
+      skills: [{ type: String, trim: true, maxlength: 30 }],
+    },
+    acceptedAt: { type: Date },
+    acceptedUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+    toJSON: {
+      virtuals: true,
+      transform: (doc, ret) => {
+        delete ret.id;
+        delete ret.tokenVersion;
+        return ret;
+      },
+    },
+    toObject: {
+      virtuals: true,
+      transform: (doc, ret) => {
+        delete ret.id;
+        return ret;
+      },
+    },
+  }
+);
+
+// Indexes
+invitationSchema.index({ company: 1, email: 1, status: 1 });
+
+// Virtuals
+invitationSchema.virtual("isExpired").get(function () {
+  return this.status === "Pending" && this.expiresAt < new Date();
+});
+
+// Pagination plugin
+invitationSchema.plugin(mongoosePaginate);
+
+export default mongoose.model("Invitation", invitationSchema);
@@ -0,0 +1,47 @@
+import mongoose from "mongoose";
+
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    // "email:<address>" or "ip:<address>"
+    key: {
+      type: String,
+      required: [true, "Attempt key is required"],
+      unique: true,
+    },
+    failedCount: {
+      type: Number,
+      default: 0,
+    },
+    lastFailedAt: {
+      type: Date,
+    },
+    lockedUntil: {
+      type: Date,
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, "Attempt expiry is required"],
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.id;
+        return ret;
+      },
+    },
+    toObject: {
+      transform: (doc, ret) => {
+        delete ret.id;
+        return ret;
+      },
+    },
+  }
+);
+
+// Counters are forgotten once the attempt window has passed
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("LoginAttempt", loginAttemptSchema);
@@ -0,0 +1,84 @@
+import mongoose from "mongoose";
+import mongoosePaginate from "mongoose-paginate-v2";
+import { ALL_PERMISSIONS, DEFAULT_ROLES } from "../config/permissions.js";
+
+const roleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Role name is required"],
+      trim: true,
+      minlength: [2, "Role name must be at least 2 characters"],
+      maxlength: [30, "Role name cannot exceed 30 characters"],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Description cannot exceed 200 characters"],
+    },
+    company: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Company",
+      required: [true, "Company reference is required"],
+    },
+    permissions: [
+      {
+        type: String,
+        enum: {
+          values: ALL_PERMISSIONS,
+          message: "Unknown permission: {VALUE}",
+        },
+      },
+    ],
+    // Default roles cannot be renamed or deleted
+    isSystem: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+    toJSON: {
+      virtuals: true,
+      transform: (doc, ret) => {
+        delete ret.id;
+        return ret;
+      },
+    },
+    toObject: {
+      virtuals: true,
+      transform: (doc, ret) => {
+        delete ret.id;
+        return ret;
+      },
+    },
+  }
+);
+
+// Role names are unique within a company, users reference roles by name
+roleSchema.index({ company: 1, name: 1 }, { unique: true });
+
+roleSchema.virtual("userCount", {
+  ref: "User",
+  localField: "name",
+  foreignField: "role",
+  count: true,
+  match: (doc) => ({ company: doc.company }),
+});
+
+// Create any missing default roles for a company
+roleSchema.statics.seedDefaults = async function (company, { session } = {}) {
+  for (const role of DEFAULT_ROLES) {
+    await this.updateOne(
+      { company, name: role.name },
+      { $setOnInsert: { ...role, company, isSystem: true } },
+      { upsert: true, session }
+    );
+  }
+};
+
+// Pagination plugin
+roleSchema.plugin(mongoosePaginate);
+
+export default mongoose.model("Role", roleSchema);
@@ -0,0 +1,110 @@
+import mongoose from "mongoose";
+import crypto from "crypto";
+import { disconnectSessions } from "../utils/SocketEmitter.js";
+
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User reference is required"],
+      index: true,
+    },
+    company: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Company",
+      required: [true, "Company reference is required"],
+    },
+    // Every refresh token rotated from the same login shares a family
+    family: {
+      type: String,
+      required: [true, "Token family is required"],
+      unique: true,
+    },
+    refreshTokenHash: {
+      type: String,
+      required: [true, "Refresh token hash is required"],
+      select: false,
+    },
+    // Kept briefly so concurrent refreshes are not mistaken for reuse
+    previousTokenHash: {
+      type: String,
+      select: false,
+    },
+    rotatedAt: {
+      type: Date,
+    },
+    userAgent: {
+      type: String,
+      trim: true,
+      maxlength: [500, "User agent cannot exceed 500 characters"],
+    },
+    ip: {
+      type: String,
+      trim: true,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, "Session expiry is required"],
+    },
+    revokedAt: {
+      type: Date,
+    },
+    revokedReason: {
+      type: String,
+      enum: ["logout", "reuse", "password_change", "user", "admin"],
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.id;
+        delete ret.refreshTokenHash;
+        delete ret.previousTokenHash;
+        return ret;
+      },
+    },
+    toObject: {
+      transform: (doc, ret) => {
+        delete ret.id;
+        return ret;
+      },
+    },
+  }
+);
+
+// Indexes
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Hash a raw refresh token, only hashes are persisted
+sessionSchema.statics.hashToken = function (token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+};
+
+// Revoke every active session matching the filter and close its sockets
+sessionSchema.statics.revokeAll = async function (filter, reason) {
+  const sessionIds = await this.find({ ...filter, revokedAt: null }).distinct(
+    "_id"
+  );
+
+  const result = await this.updateMany(
+    { _id: { $in: sessionIds }, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+
+  disconnectSessions(sessionIds);
+
+  return result;
+};
+
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+export default mongoose.model("Session", sessionSchema);
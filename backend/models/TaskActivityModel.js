@@ -1,13 +1,7 @@
 import mongoose from "mongoose";
 import mongoosePaginate from "mongoose-paginate-v2";
 
-// Status transition rules
-const validTransitions = {
-  "To Do": ["In Progress", "Pending"],
-  "In Progress": ["In Progress", "Completed", "Pending"], // Allow self-transition
-  Completed: ["Pending", "In Progress"],
-  Pending: ["In Progress", "Completed"],
-};
+import { STATUS_TRANSITIONS } from "../config/tasks.js";
 
 const taskActivitySchema = new mongoose.Schema(
   {
@@ -16,6 +10,12 @@ const taskActivitySchema = new mongoose.Schema(
       ref: "Task",
       required: [true, "Task reference is required"],
     },
+    // Company of the task, lets usage and search queries stay per tenant
+    company: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Company",
+      required: [true, "Company reference is required"],
+    },
     performedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
@@ -30,24 +30,27 @@ const taskActivitySchema = new mongoose.Schema(
     statusChange: {
       from: {
         type: String,
-        enum: Object.keys(validTransitions),
+        enum: Object.keys(STATUS_TRANSITIONS),
       },
       to: {
         type: String,
-        enum: Object.keys(validTransitions),
+        enum: Object.keys(STATUS_TRANSITIONS),
         required: [true, "Status change is required"],
       },
     },
     attachments: [
       {
         _id: false,
-        url: { type: String },
+        url: { type: String }, // Authenticated download route, see utils/attachments.js
         public_id: { type: String },
+        name: { type: String }, // Stored file name
+        mimeType: { type: String },
         type: {
           type: String,
           enum: ["image", "video", "pdf"],
           default: "image",
         },
+        size: { type: Number, min: 0, default: 0 }, // Bytes, counted against the plan storage limit
         uploadedAt: {
           type: Date,
           default: Date.now,
@@ -73,6 +76,22 @@ const taskActivitySchema = new mongoose.Schema(
   }
 );
 
+// Indexes
+taskActivitySchema.index({ task: 1, createdAt: -1 });
+// Storage usage only reads activities with attachments
+taskActivitySchema.index(
+  { company: 1 },
+  {
+    name: "task_activity_attachments",
+    partialFilterExpression: { "attachments.0": { $exists: true } },
+  }
+);
+// Search always runs within one company
+taskActivitySchema.index(
+  { company: 1, description: "text" },
+  { name: "task_activity_company_text_search" }
+);
+
 // Pagination plugin
 taskActivitySchema.plugin(mongoosePaginate);
 
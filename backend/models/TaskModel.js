@@ -1,6 +1,8 @@
 import mongoose from "mongoose";
 import mongoosePaginate from "mongoose-paginate-v2";
 
+import { TASK_STATUSES, TASK_PRIORITIES } from "../config/tasks.js";
+
 const taskSchema = new mongoose.Schema(
   {
     title: {
@@ -16,7 +18,7 @@ const taskSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ["To Do", "In Progress", "Completed", "Pending"],
+      enum: TASK_STATUSES,
       default: "To Do",
     },
     location: {
@@ -30,9 +32,14 @@ const taskSchema = new mongoose.Schema(
     },
     priority: {
       type: String,
-      enum: ["Low", "Medium", "High"],
+      enum: TASK_PRIORITIES,
       default: "Medium",
     },
+    // Index of priority in TASK_PRIORITIES, lets lists sort by priority
+    priorityRank: {
+      type: Number,
+      select: false,
+    },
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
@@ -48,6 +55,25 @@ const taskSchema = new mongoose.Schema(
       ref: "Department",
       required: true,
     },
+    // Completed tasks can be archived out of the default task list
+    archivedAt: {
+      type: Date,
+      default: null,
+    },
+    archivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // Soft delete, the task stays in the trash until purged
+    deletedAt: {
+      type: Date,
+      default: null,
+      index: true,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
   },
   {
     discriminatorKey: "taskType",
@@ -76,6 +102,36 @@ taskSchema.virtual("activities", {
   options: { sort: { createdAt: -1 } },
 });
 
+// Keep priorityRank in step with priority
+taskSchema.pre("validate", function (next) {
+  this.priorityRank = TASK_PRIORITIES.indexOf(this.priority);
+  next();
+});
+
+// Indexes
+taskSchema.index({ company: 1, department: 1, dueDate: 1 });
+
+// Full-text search, client fields belong to ProjectTask documents of the
+// same collection
+taskSchema.index(
+  {
+    title: "text",
+    description: "text",
+    location: "text",
+    "clientInfo.name": "text",
+    "clientInfo.phone": "text",
+  },
+  {
+    name: "task_text_search",
+    weights: {
+      title: 10,
+      "clientInfo.name": 8,
+      "clientInfo.phone": 8,
+      location: 3,
+      description: 2,
+    },
+  }
+);
 
 // Pagination plugin
 taskSchema.plugin(mongoosePaginate);
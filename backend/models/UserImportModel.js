@@ -0,0 +1,93 @@
+import mongoose from "mongoose";
+
+const REPORT_RETENTION_DAYS = 30;
+
+const importRowSchema = new mongoose.Schema(
+  {
+    row: { type: Number, required: true }, // Line number in the CSV file
+    email: { type: String, trim: true },
+    firstName: { type: String, trim: true },
+    lastName: { type: String, trim: true },
+    role: { type: String, trim: true },
+    department: { type: String, trim: true },
+    // Invitation details of valid rows, kept until the invitation is sent
+    departmentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Department",
+    },
+    employeeId: { type: String, trim: true },
+    skills: [{ type: String, trim: true }],
+    status: {
+      type: String,
+      enum: ["Pending", "Invited", "Skipped", "Failed"],
+      required: true,
+    },
+    issues: [{ type: String }], // Validation errors or failure reason
+    invitation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Invitation",
+    },
+  },
+  { _id: false }
+);
+
+const userImportSchema = new mongoose.Schema(
+  {
+    company: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Company",
+      required: [true, "Company reference is required"],
+    },
+    importedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Importing user is required"],
+    },
+    // Invitations are sent in the background, clients poll until Completed
+    status: {
+      type: String,
+      enum: ["Processing", "Completed"],
+      default: "Processing",
+    },
+    completedAt: { type: Date },
+    // Lease of the worker sending the invitations, see utils/userImport.js
+    lockedUntil: { type: Date, default: null },
+    summary: {
+      total: { type: Number, default: 0 },
+      pending: { type: Number, default: 0 },
+      invited: { type: Number, default: 0 },
+      skipped: { type: Number, default: 0 },
+      failed: { type: Number, default: 0 },
+    },
+    rows: [importRowSchema],
+    // Reports are kept for a limited time
+    expiresAt: {
+      type: Date,
+      default: () =>
+        new Date(Date.now() + REPORT_RETENTION_DAYS * 24 * 60 * 60 * 1000),
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    versionKey: false,
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.id;
+        return ret;
+      },
+    },
+    toObject: {
+      transform: (doc, ret) => {
+        delete ret.id;
+        return ret;
+      },
+    },
+  }
+);
+
+// Indexes
+userImportSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+userImportSchema.index({ company: 1, createdAt: -1 });
+userImportSchema.index({ status: 1, lockedUntil: 1 });
+
+export default mongoose.model("UserImport", userImportSchema);
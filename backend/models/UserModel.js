@@ -1,6 +1,5 @@
 import mongoose from "mongoose";
 import bcrypt from "bcrypt";
-import crypto from "crypto";
 import mongoosePaginate from "mongoose-paginate-v2";
 
 const userSchema = new mongoose.Schema(
@@ -36,9 +35,10 @@ const userSchema = new mongoose.Schema(
       minlength: [6, "Password must be at least 6 characters long."],
       select: false, // Do not return password in queries by default
     },
+    // Name of a Role of the company, see RoleModel
     role: {
       type: String,
-      enum: ["SuperAdmin", "Manager", "User"],
+      trim: true,
       default: "User",
     },
     company: {
@@ -51,20 +51,22 @@ const userSchema = new mongoose.Schema(
       ref: "Department",
       required: [true, "Department is required."],
     },
-    profilePicture: { url: String, public_id: String },
+    // Stored through the storage adapter, size is counted as plan storage
+    profilePicture: { url: String, public_id: String, size: Number },
     skills: [{ type: String, trim: true, maxlength: 30 }],
     employeeId: { type: String, trim: true, sparse: true },
     hireDate: { type: Date, default: Date.now },
     lastLogin: { type: Date },
     isActive: { type: Boolean, default: true, index: true },
     isVerified: { type: Boolean, default: false },
-    pendingEmail: { type: String, trim: true, lowercase: true },
-    emailChangeToken: { type: String, select: false },
-    emailChangeTokenExpiry: { type: Date, select: false },
-    verificationToken: { type: String, select: false },
-    verificationTokenExpiry: { type: Date, select: false },
-    resetPasswordToken: { type: String, select: false },
-    resetPasswordExpiry: { type: Date, select: false },
+    passwordChangedAt: { type: Date, select: false },
+    mfa: {
+      enabled: { type: Boolean, default: false },
+      secret: { type: String, select: false },
+      recoveryCodes: { type: [String], select: false }, // SHA-256 hashes
+      lastUsedStep: { type: Number, select: false }, // Prevents code replay
+      enabledAt: { type: Date },
+    },
   },
   {
     timestamps: true,
@@ -86,11 +88,6 @@ const userSchema = new mongoose.Schema(
   }
 );
 
-// Indexes
-userSchema.index({ verificationTokenExpiry: 1 }, { expireAfterSeconds: 900 });
-userSchema.index({ emailChangeTokenExpiry: 1 }, { expireAfterSeconds: 900 });
-userSchema.index({ resetPasswordExpiry: 1 }, { expireAfterSeconds: 3600 });
-
 // Virtuals
 userSchema.virtual("fullName").get(function () {
   return `${this.firstName} ${this.lastName}`;
@@ -138,6 +135,7 @@ userSchema.pre("save", async function (next) {
   try {
     const salt = await bcrypt.genSalt(12);
     this.password = await bcrypt.hash(this.password, salt);
+    if (!this.isNew) this.passwordChangedAt = new Date();
     next();
   } catch (error) {
     next(error);
@@ -146,26 +144,19 @@ userSchema.pre("save", async function (next) {
 
 // Method to compare passwords
 userSchema.methods.comparePassword = async function (enteredPassword) {
+  // Request bodies are JSON, anything but a string cannot match
+  if (typeof enteredPassword !== "string") return false;
+
   // We must re-select the password field as it's excluded by default.
   const user = await this.constructor.findById(this._id).select("+password");
   if (!user) return false;
   return await bcrypt.compare(enteredPassword, user.password);
 };
 
-// Verification token
-userSchema.methods.generateVerificationToken = function () {
-  const token = crypto.randomBytes(3).toString("hex").toUpperCase();
-  this.verificationToken = token;
-  this.verificationTokenExpiry = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
-  return token;
-};
-
-// Password  reset token
-userSchema.methods.generatePasswordResetToken = function () {
-  const token = crypto.randomBytes(32).toString("hex");
-  this.resetPasswordToken = token;
-  this.resetPasswordExpiry = new Date(Date.now() + 15 * 60 * 1000); // 15 minutes
-  return token;
+// Check if password was changed after a token was issued
+userSchema.methods.changedPasswordAfter = function (tokenIssuedAt) {
+  if (!this.passwordChangedAt) return false;
+  return Math.floor(this.passwordChangedAt.getTime() / 1000) > tokenIssuedAt;
 };
 
 // Pagination plugin
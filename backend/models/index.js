@@ -12,3 +12,10 @@ export { default as ProjectTask } from "./ProjectTaskModel.js";
 export { default as RoutineTask } from "./RoutineTaskModel.js";
 export { default as TaskActivity } from "./TaskActivityModel.js";
 export { default as Notification } from "./NotificationModel.js";
+export { default as AuthToken } from "./AuthTokenModel.js";
+export { default as Session } from "./SessionModel.js";
+export { default as LoginAttempt } from "./LoginAttemptModel.js";
+export { default as Invitation } from "./InvitationModel.js";
+export { default as AuditLog } from "./AuditLogModel.js";
+export { default as Role } from "./RoleModel.js";
+export { default as UserImport } from "./UserImportModel.js";
@@ -7,21 +7,49 @@ import {
   logoutUser,
   getRefreshToken,
   getCurrentUser,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  requestEmailChange,
+  confirmEmailChange,
 } from "../controllers/AuthController.js";
 
-import { verifyJWT } from "../middlewares/authMiddleware.js";
+import { acceptInvitation } from "../controllers/InvitationController.js";
+
+import {
+  getMySessions,
+  revokeMySession,
+  revokeAllMySessions,
+  getUserSessions,
+  revokeUserSessions,
+} from "../controllers/SessionController.js";
+
+import {
+  setupMfa,
+  enableMfa,
+  disableMfa,
+  regenerateRecoveryCodes,
+  verifyMfaChallenge,
+  setupRequiredMfa,
+  verifyRequiredMfa,
+  updateMfaPolicy,
+} from "../controllers/MfaController.js";
+
+import { verifyJWT, requirePermission } from "../middlewares/authMiddleware.js";
+import authLimiter from "../middlewares/rateLimiter.js";
 
 const router = express.Router();
 
 // @route   POST /api/auth/register
 // @desc    Register company and assign department and user as super admin
 // @access  Public
-router.post("/register", registerUser);
+router.post("/register", authLimiter, registerUser);
 
 // @route   POST /api/auth/login
 // @desc    Authenticate user and get token
 // @access  Public
-router.post("/login", loginUser);
+router.post("/login", authLimiter, loginUser);
 
 // @route   DELETE /api/auth/logout
 // @desc    Logout user
@@ -29,13 +57,133 @@ router.post("/login", loginUser);
 router.delete("/logout", verifyJWT, logoutUser);
 
 // @route   GET /api/auth/refresh-token
-// @desc    Refresh user token
-// @access  Private
-router.get("/refresh-token", verifyJWT, getRefreshToken);
+// @desc    Rotate refresh token and issue a new access token
+// @access  Private (refresh token cookie)
+router.get("/refresh-token", getRefreshToken);
 
 // @route   GET /api/auth/me
 // @desc    Get current user profile
 // @access  Private
 router.get("/me", verifyJWT, getCurrentUser);
 
+// @route   POST /api/auth/verify-email
+// @desc    Verify user email with the emailed code
+// @access  Public
+router.post("/verify-email", authLimiter, verifyEmail);
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new email verification code
+// @access  Public
+router.post("/resend-verification", authLimiter, resendVerification);
+
+// @route   POST /api/auth/forgot-password
+// @desc    Send a password reset link
+// @access  Public
+router.post("/forgot-password", authLimiter, forgotPassword);
+
+// @route   POST /api/auth/reset-password/:token
+// @desc    Reset password with the emailed token
+// @access  Public
+router.post("/reset-password/:token", authLimiter, resetPassword);
+
+// @route   POST /api/auth/accept-invite
+// @desc    Accept an invitation and create the account
+// @access  Public
+router.post("/accept-invite", authLimiter, acceptInvitation);
+
+// @route   PATCH /api/auth/me/email
+// @desc    Request an email change for the current user
+// @access  Private
+router.patch("/me/email", verifyJWT, requestEmailChange);
+
+// @route   POST /api/auth/confirm-email/:token
+// @desc    Confirm email change with the emailed token
+// @access  Public
+router.post("/confirm-email/:token", confirmEmailChange);
+
+// @route   GET /api/auth/sessions
+// @desc    List active sessions of the current user
+// @access  Private
+router.get("/sessions", verifyJWT, getMySessions);
+
+// @route   DELETE /api/auth/sessions
+// @desc    Log out everywhere (keepCurrent=true keeps this device)
+// @access  Private
+router.delete("/sessions", verifyJWT, revokeAllMySessions);
+
+// @route   DELETE /api/auth/sessions/:sessionId
+// @desc    Revoke a session of the current user
+// @access  Private
+router.delete("/sessions/:sessionId", verifyJWT, revokeMySession);
+
+// @route   GET /api/auth/users/:userId/sessions
+// @desc    List active sessions of a user in the company
+// @access  Private (session.manage)
+router.get(
+  "/users/:userId/sessions",
+  verifyJWT,
+  requirePermission("session.manage"),
+  getUserSessions
+);
+
+// @route   DELETE /api/auth/users/:userId/sessions
+// @desc    Force-logout a user in the company
+// @access  Private (session.manage)
+router.delete(
+  "/users/:userId/sessions",
+  verifyJWT,
+  requirePermission("session.manage"),
+  revokeUserSessions
+);
+
+// @route   POST /api/auth/mfa/challenge
+// @desc    Complete login with a two-factor or recovery code
+// @access  Public (MFA ticket)
+router.post("/mfa/challenge", authLimiter, verifyMfaChallenge);
+
+// @route   POST /api/auth/mfa/enroll/setup
+// @desc    Start two-factor enrollment required by company policy at login
+// @access  Public (MFA ticket)
+router.post("/mfa/enroll/setup", authLimiter, setupRequiredMfa);
+
+// @route   POST /api/auth/mfa/enroll/verify
+// @desc    Confirm required two-factor enrollment and complete login
+// @access  Public (MFA ticket)
+router.post("/mfa/enroll/verify", authLimiter, verifyRequiredMfa);
+
+// @route   POST /api/auth/mfa/setup
+// @desc    Start two-factor enrollment (secret and otpauth URI)
+// @access  Private (mfa.enroll)
+router.post("/mfa/setup", verifyJWT, requirePermission("mfa.enroll"), setupMfa);
+
+// @route   POST /api/auth/mfa/enable
+// @desc    Confirm enrollment and enable two-factor
+// @access  Private (mfa.enroll)
+router.post(
+  "/mfa/enable",
+  verifyJWT,
+  requirePermission("mfa.enroll"),
+  enableMfa
+);
+
+// @route   POST /api/auth/mfa/disable
+// @desc    Disable two-factor
+// @access  Private
+router.post("/mfa/disable", verifyJWT, disableMfa);
+
+// @route   POST /api/auth/mfa/recovery-codes
+// @desc    Regenerate recovery codes
+// @access  Private
+router.post("/mfa/recovery-codes", verifyJWT, regenerateRecoveryCodes);
+
+// @route   PUT /api/auth/mfa/policy
+// @desc    Require two-factor for elevated roles in the company
+// @access  Private (company.manage)
+router.put(
+  "/mfa/policy",
+  verifyJWT,
+  requirePermission("company.manage"),
+  updateMfaPolicy
+);
+
 export default router;
@@ -0,0 +1,145 @@
+import express from "express";
+
+import {
+  getCompany,
+  updateCompany,
+  updateCompanySettings,
+  getCompanyUsage,
+} from "../controllers/CompanyController.js";
+import {
+  getSubscription,
+  renewSubscription,
+} from "../controllers/SubscriptionController.js";
+import {
+  exportCompanyData,
+  requestCompanyDeletion,
+  confirmCompanyDeletion,
+  cancelCompanyDeletion,
+} from "../controllers/CompanyDataController.js";
+
+import {
+  verifyJWT,
+  verifyCompanyAccess,
+  requirePermission,
+  allowLapsedSubscription,
+} from "../middlewares/authMiddleware.js";
+
+const router = express.Router();
+
+// @route   GET /api/company
+// @desc    Get the company profile and settings
+// @access  Private (company.manage)
+router.get(
+  "/",
+  verifyJWT,
+  requirePermission("company.manage"),
+  verifyCompanyAccess,
+  getCompany
+);
+
+// @route   PATCH /api/company
+// @desc    Update the company profile
+// @access  Private (company.manage)
+router.patch(
+  "/",
+  verifyJWT,
+  requirePermission("company.manage"),
+  verifyCompanyAccess,
+  updateCompany
+);
+
+// @route   PATCH /api/company/settings
+// @desc    Update company-wide defaults
+// @access  Private (company.manage)
+router.patch(
+  "/settings",
+  verifyJWT,
+  requirePermission("company.manage"),
+  verifyCompanyAccess,
+  updateCompanySettings
+);
+
+// @route   GET /api/company/usage
+// @desc    Show usage against the subscription plan limits
+// @access  Private (company.manage)
+router.get(
+  "/usage",
+  verifyJWT,
+  requirePermission("company.manage"),
+  verifyCompanyAccess,
+  getCompanyUsage
+);
+
+// @route   GET /api/company/subscription
+// @desc    Get the subscription status and current period
+// @access  Private (billing.manage)
+router.get(
+  "/subscription",
+  allowLapsedSubscription,
+  verifyJWT,
+  requirePermission("billing.manage"),
+  verifyCompanyAccess,
+  getSubscription
+);
+
+// @route   POST /api/company/subscription/renew
+// @desc    Pay for the subscription, optionally changing plan
+// @access  Private (billing.manage)
+router.post(
+  "/subscription/renew",
+  allowLapsedSubscription,
+  verifyJWT,
+  requirePermission("billing.manage"),
+  verifyCompanyAccess,
+  renewSubscription
+);
+
+// @route   GET /api/company/export
+// @desc    Download all company data as a zip archive
+// @access  Private (company.export)
+router.get(
+  "/export",
+  allowLapsedSubscription,
+  verifyJWT,
+  requirePermission("company.export"),
+  verifyCompanyAccess,
+  exportCompanyData
+);
+
+// @route   POST /api/company/deletion
+// @desc    Request the deletion of the company
+// @access  Private (company.delete)
+router.post(
+  "/deletion",
+  allowLapsedSubscription,
+  verifyJWT,
+  requirePermission("company.delete"),
+  verifyCompanyAccess,
+  requestCompanyDeletion
+);
+
+// @route   POST /api/company/deletion/confirm
+// @desc    Confirm the deletion, which runs after a delay
+// @access  Private (company.delete)
+router.post(
+  "/deletion/confirm",
+  allowLapsedSubscription,
+  verifyJWT,
+  requirePermission("company.delete"),
+  verifyCompanyAccess,
+  confirmCompanyDeletion
+);
+
+// @route   DELETE /api/company/deletion
+// @desc    Cancel a requested or scheduled deletion
+// @access  Private (company.delete)
+router.delete(
+  "/deletion",
+  allowLapsedSubscription,
+  verifyJWT,
+  requirePermission("company.delete"),
+  verifyCompanyAccess,
+  cancelCompanyDeletion
+);
+
+export default router;
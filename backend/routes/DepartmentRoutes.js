@@ -0,0 +1,110 @@
+import express from "express";
+
+import {
+  getDepartments,
+  getDepartmentById,
+  createDepartment,
+  updateDepartment,
+  deactivateDepartment,
+  reactivateDepartment,
+  addDepartmentManager,
+  removeDepartmentManager,
+} from "../controllers/DepartmentController.js";
+
+import {
+  verifyJWT,
+  verifyCompanyAccess,
+  requirePermission,
+} from "../middlewares/authMiddleware.js";
+
+const router = express.Router();
+
+// @route   GET /api/departments
+// @desc    List departments with user and task counts
+// @access  Private (department.manage)
+router.get(
+  "/",
+  verifyJWT,
+  requirePermission("department.manage"),
+  verifyCompanyAccess,
+  getDepartments
+);
+
+// @route   POST /api/departments
+// @desc    Create a department
+// @access  Private (department.manage)
+router.post(
+  "/",
+  verifyJWT,
+  requirePermission("department.manage"),
+  verifyCompanyAccess,
+  createDepartment
+);
+
+// @route   GET /api/departments/:departmentId
+// @desc    Get a department by ID
+// @access  Private (department.manage)
+router.get(
+  "/:departmentId",
+  verifyJWT,
+  requirePermission("department.manage"),
+  verifyCompanyAccess,
+  getDepartmentById
+);
+
+// @route   PATCH /api/departments/:departmentId
+// @desc    Rename or describe a department
+// @access  Private (department.manage)
+router.patch(
+  "/:departmentId",
+  verifyJWT,
+  requirePermission("department.manage"),
+  verifyCompanyAccess,
+  updateDepartment
+);
+
+// @route   PATCH /api/departments/:departmentId/deactivate
+// @desc    Deactivate a department (body.transferTo moves users and open tasks)
+// @access  Private (department.manage)
+router.patch(
+  "/:departmentId/deactivate",
+  verifyJWT,
+  requirePermission("department.manage"),
+  verifyCompanyAccess,
+  deactivateDepartment
+);
+
+// @route   PATCH /api/departments/:departmentId/reactivate
+// @desc    Reactivate a department
+// @access  Private (department.manage)
+router.patch(
+  "/:departmentId/reactivate",
+  verifyJWT,
+  requirePermission("department.manage"),
+  verifyCompanyAccess,
+  reactivateDepartment
+);
+
+// @route   POST /api/departments/:departmentId/managers
+// @desc    Add a manager to a department
+// @access  Private (department.manage)
+router.post(
+  "/:departmentId/managers",
+  verifyJWT,
+  requirePermission("department.manage"),
+  verifyCompanyAccess,
+  addDepartmentManager
+);
+
+// @route   DELETE /api/departments/:departmentId/managers/:userId
+// @desc    Remove a manager from a department
+// @access  Private (department.manage)
+router.delete(
+  "/:departmentId/managers/:userId",
+  verifyJWT,
+  requirePermission("department.manage"),
+  verifyCompanyAccess,
+  removeDepartmentManager
+);
+
+export default router;
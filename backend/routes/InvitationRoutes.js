@@ -0,0 +1,64 @@
+import express from "express";
+
+import {
+  createInvitation,
+  getInvitations,
+  resendInvitation,
+  revokeInvitation,
+} from "../controllers/InvitationController.js";
+
+import {
+  verifyJWT,
+  verifyCompanyAccess,
+  verifyDepartmentAccess,
+  requirePermission,
+} from "../middlewares/authMiddleware.js";
+
+const router = express.Router();
+
+// @route   POST /api/invitations
+// @desc    Invite a user into the company by email
+// @access  Private (invitation.manage)
+router.post(
+  "/",
+  verifyJWT,
+  requirePermission("invitation.manage"),
+  verifyCompanyAccess,
+  verifyDepartmentAccess,
+  createInvitation
+);
+
+// @route   GET /api/invitations
+// @desc    List company invitations (pending by default)
+// @access  Private (invitation.manage)
+router.get(
+  "/",
+  verifyJWT,
+  requirePermission("invitation.manage"),
+  verifyCompanyAccess,
+  getInvitations
+);
+
+// @route   POST /api/invitations/:invitationId/resend
+// @desc    Resend an invitation with a new link
+// @access  Private (invitation.manage)
+router.post(
+  "/:invitationId/resend",
+  verifyJWT,
+  requirePermission("invitation.manage"),
+  verifyCompanyAccess,
+  resendInvitation
+);
+
+// @route   DELETE /api/invitations/:invitationId
+// @desc    Revoke a pending invitation
+// @access  Private (invitation.manage)
+router.delete(
+  "/:invitationId",
+  verifyJWT,
+  requirePermission("invitation.manage"),
+  verifyCompanyAccess,
+  revokeInvitation
+);
+
+export default router;
@@ -0,0 +1,74 @@
+import express from "express";
+
+import {
+  getRoles,
+  getPermissions,
+  createRole,
+  updateRole,
+  deleteRole,
+} from "../controllers/RoleController.js";
+
+import {
+  verifyJWT,
+  verifyCompanyAccess,
+  requirePermission,
+} from "../middlewares/authMiddleware.js";
+
+const router = express.Router();
+
+// @route   GET /api/roles
+// @desc    List company roles with their user counts
+// @access  Private (role.manage)
+router.get(
+  "/",
+  verifyJWT,
+  requirePermission("role.manage"),
+  verifyCompanyAccess,
+  getRoles
+);
+
+// @route   GET /api/roles/permissions
+// @desc    List the permissions a role can grant
+// @access  Private (role.manage)
+router.get(
+  "/permissions",
+  verifyJWT,
+  requirePermission("role.manage"),
+  verifyCompanyAccess,
+  getPermissions
+);
+
+// @route   POST /api/roles
+// @desc    Create a custom role
+// @access  Private (role.manage)
+router.post(
+  "/",
+  verifyJWT,
+  requirePermission("role.manage"),
+  verifyCompanyAccess,
+  createRole
+);
+
+// @route   PATCH /api/roles/:roleId
+// @desc    Rename a custom role or change its description and permissions
+// @access  Private (role.manage)
+router.patch(
+  "/:roleId",
+  verifyJWT,
+  requirePermission("role.manage"),
+  verifyCompanyAccess,
+  updateRole
+);
+
+// @route   DELETE /api/roles/:roleId
+// @desc    Delete a custom role nobody holds
+// @access  Private (role.manage)
+router.delete(
+  "/:roleId",
+  verifyJWT,
+  requirePermission("role.manage"),
+  verifyCompanyAccess,
+  deleteRole
+);
+
+export default router;
@@ -1,67 +1,262 @@
-import express from "express";
-
-import {
-  createTask,
-  getAllTasks,
-  getTaskById,
-  updateTaskById,
-} from "../controllers/TaskController.js";
-
-import {
-  verifyJWT,
-  verifyCompanyAccess,
-  verifyDepartmentAccess,
-  authorizeRoles,
-} from "../middlewares/authMiddleware.js";
-
-const router = express.Router();
-
-// @route   POST /api/tasks
-// @desc    Create a new task (AssignedTask or ProjectTask)
-// @access  Private (Authenticated users)
-router.post(
-  "/",
-  verifyJWT,
-  authorizeRoles(["SuperAdmin", "Manager"]),
-  verifyCompanyAccess,
-  verifyDepartmentAccess,
-  createTask
-);
-
-// @route   GET /api/tasks
-// @desc    Get all tasks for the authenticated user
-// @access  Private
-router.get(
-  "/",
-  verifyJWT,
-  authorizeRoles(["SuperAdmin", "Manager", "User"]),
-  verifyCompanyAccess,
-  verifyDepartmentAccess,
-  getAllTasks
-);
-
-// @route   GET /api/tasks/:taskId
-// @desc    Get a task by ID
-// @access  Private
-router.get(
-  "/:taskId",
-  verifyJWT,
-  authorizeRoles(["SuperAdmin", "Manager", "User"]),
-  verifyCompanyAccess,
-  verifyDepartmentAccess,
-  getTaskById
-);
-
-// @route   PUT /api/tasks/:taskId
-// @desc    Update a task by ID
-// @access  Private
-router.put(
-  "/:taskId",
-  verifyJWT,
-  authorizeRoles(["SuperAdmin", "Manager"]),
-  verifyCompanyAccess,
-  verifyDepartmentAccess,
-  updateTaskById
-);
-
-export default router;
+import express from "express";
+
+import {
+  createTask,
+  getAllTasks,
+  searchTasks,
+  getTaskById,
+  updateTaskById,
+  getTrashedTasks,
+  deleteTask,
+  restoreTask,
+  purgeTask,
+  archiveTask,
+  unarchiveTask,
+} from "../controllers/TaskController.js";
+import {
+  createTaskActivity,
+  getTaskActivities,
+  updateTaskActivity,
+  deleteTaskActivity,
+  downloadAttachment,
+} from "../controllers/TaskActivityController.js";
+
+import {
+  verifyJWT,
+  verifyCompanyAccess,
+  verifyDepartmentAccess,
+  requirePermission,
+} from "../middlewares/authMiddleware.js";
+import { attachmentUpload } from "../middlewares/uploadMiddleware.js";
+
+const router = express.Router();
+
+// @route   POST /api/tasks
+// @desc    Create a new task (AssignedTask or ProjectTask)
+// @access  Private (task.create)
+router.post(
+  "/",
+  verifyJWT,
+  requirePermission("task.create"),
+  verifyCompanyAccess,
+  verifyDepartmentAccess,
+  createTask
+);
+
+// @route   GET /api/tasks
+// @desc    Get all tasks for the authenticated user
+// @access  Private
+router.get(
+  "/",
+  verifyJWT,
+  requirePermission(
+    "task.read.any",
+    "task.read.department",
+    "task.read.assigned"
+  ),
+  verifyCompanyAccess,
+  verifyDepartmentAccess,
+  getAllTasks
+);
+
+// @route   GET /api/tasks/search?q=
+// @desc    Full-text search of tasks, activities and client details
+// @access  Private
+router.get(
+  "/search",
+  verifyJWT,
+  requirePermission(
+    "task.read.any",
+    "task.read.department",
+    "task.read.assigned"
+  ),
+  verifyCompanyAccess,
+  searchTasks
+);
+
+// @route   GET /api/tasks/trash
+// @desc    List tasks in the trash
+// @access  Private (task.delete)
+router.get(
+  "/trash",
+  verifyJWT,
+  requirePermission("task.delete"),
+  verifyCompanyAccess,
+  getTrashedTasks
+);
+
+// @route   GET /api/tasks/:taskId
+// @desc    Get a task by ID
+// @access  Private
+router.get(
+  "/:taskId",
+  verifyJWT,
+  requirePermission(
+    "task.read.any",
+    "task.read.department",
+    "task.read.assigned"
+  ),
+  verifyCompanyAccess,
+  verifyDepartmentAccess,
+  getTaskById
+);
+
+// @route   PUT /api/tasks/:taskId
+// @desc    Update a task by ID
+// @access  Private
+router.put(
+  "/:taskId",
+  verifyJWT,
+  requirePermission(
+    "task.update.any",
+    "task.update.department",
+    "task.update.own"
+  ),
+  verifyCompanyAccess,
+  verifyDepartmentAccess,
+  updateTaskById
+);
+
+// @route   GET /api/tasks/:taskId/activities
+// @desc    Get the activity timeline of a task, paginated
+// @access  Private
+router.get(
+  "/:taskId/activities",
+  verifyJWT,
+  requirePermission(
+    "task.read.any",
+    "task.read.department",
+    "task.read.assigned"
+  ),
+  verifyCompanyAccess,
+  getTaskActivities
+);
+
+// @route   POST /api/tasks/:taskId/activities
+// @desc    Log progress with a status change and optional attachments
+// @access  Private
+router.post(
+  "/:taskId/activities",
+  verifyJWT,
+  requirePermission(
+    "task.read.assigned",
+    "task.update.any",
+    "task.update.department",
+    "task.update.own"
+  ),
+  verifyCompanyAccess,
+  attachmentUpload,
+  createTaskActivity
+);
+
+// @route   PATCH /api/tasks/:taskId/activities/:activityId
+// @desc    Edit a progress entry, author only and within the edit window
+// @access  Private
+router.patch(
+  "/:taskId/activities/:activityId",
+  verifyJWT,
+  requirePermission(
+    "task.read.assigned",
+    "task.update.any",
+    "task.update.department",
+    "task.update.own"
+  ),
+  verifyCompanyAccess,
+  updateTaskActivity
+);
+
+// @route   DELETE /api/tasks/:taskId/activities/:activityId
+// @desc    Delete a progress entry, author only and within the edit window
+// @access  Private
+router.delete(
+  "/:taskId/activities/:activityId",
+  verifyJWT,
+  requirePermission(
+    "task.read.assigned",
+    "task.update.any",
+    "task.update.department",
+    "task.update.own"
+  ),
+  verifyCompanyAccess,
+  deleteTaskActivity
+);
+
+// @route   GET /api/tasks/:taskId/attachments/:attachmentId
+// @desc    Download an activity attachment of a task the user can view
+// @access  Private
+router.get(
+  "/:taskId/attachments/:attachmentId",
+  verifyJWT,
+  requirePermission(
+    "task.read.any",
+    "task.read.department",
+    "task.read.assigned"
+  ),
+  verifyCompanyAccess,
+  downloadAttachment
+);
+
+// @route   DELETE /api/tasks/:taskId
+// @desc    Move a task to the trash
+// @access  Private (task.delete)
+router.delete(
+  "/:taskId",
+  verifyJWT,
+  requirePermission("task.delete"),
+  verifyCompanyAccess,
+  deleteTask
+);
+
+// @route   POST /api/tasks/:taskId/restore
+// @desc    Restore a task from the trash
+// @access  Private (task.delete)
+router.post(
+  "/:taskId/restore",
+  verifyJWT,
+  requirePermission("task.delete"),
+  verifyCompanyAccess,
+  restoreTask
+);
+
+// @route   DELETE /api/tasks/:taskId/purge
+// @desc    Permanently delete a task in the trash
+// @access  Private (task.purge)
+router.delete(
+  "/:taskId/purge",
+  verifyJWT,
+  requirePermission("task.purge"),
+  verifyCompanyAccess,
+  purgeTask
+);
+
+// @route   POST /api/tasks/:taskId/archive
+// @desc    Archive a completed task
+// @access  Private (task.update.any, task.update.department or task.update.own)
+router.post(
+  "/:taskId/archive",
+  verifyJWT,
+  requirePermission(
+    "task.update.any",
+    "task.update.department",
+    "task.update.own"
+  ),
+  verifyCompanyAccess,
+  archiveTask
+);
+
+// @route   POST /api/tasks/:taskId/unarchive
+// @desc    Bring an archived task back to the task list
+// @access  Private (task.update.any, task.update.department or task.update.own)
+router.post(
+  "/:taskId/unarchive",
+  verifyJWT,
+  requirePermission(
+    "task.update.any",
+    "task.update.department",
+    "task.update.own"
+  ),
+  verifyCompanyAccess,
+  unarchiveTask
+);
+
+export default router;
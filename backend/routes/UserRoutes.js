@@ -0,0 +1,180 @@
+import express from "express";
+
+import {
+  getUsers,
+  getUserById,
+  updateUserProfile,
+  changeUserRole,
+  changeUserDepartment,
+  getUserOffboarding,
+  deactivateUser,
+  reactivateUser,
+  uploadAvatar,
+  deleteAvatar,
+} from "../controllers/UserController.js";
+import {
+  importUsers,
+  getUserImport,
+  getImportReport,
+} from "../controllers/UserImportController.js";
+
+import {
+  verifyJWT,
+  verifyCompanyAccess,
+  requirePermission,
+  canManageUsers,
+} from "../middlewares/authMiddleware.js";
+import { avatarUpload } from "../middlewares/uploadMiddleware.js";
+
+const router = express.Router();
+
+// CSV uploads are sent as the raw request body
+const csvBody = express.text({
+  type: ["text/csv", "text/plain"],
+  limit: "2mb",
+});
+
+// @route   GET /api/users
+// @desc    List and search company users
+// @access  Private (user.read.any or user.manage or user.manage.department)
+router.get(
+  "/",
+  verifyJWT,
+  requirePermission("user.read.any", "user.manage", "user.manage.department"),
+  verifyCompanyAccess,
+  getUsers
+);
+
+// @route   POST /api/users/import
+// @desc    Invite users in bulk from a CSV file, ?dryRun=true to preview
+// @access  Private (invitation.manage)
+router.post(
+  "/import",
+  verifyJWT,
+  requirePermission("invitation.manage"),
+  verifyCompanyAccess,
+  csvBody,
+  importUsers
+);
+
+// @route   GET /api/users/imports/:importId
+// @desc    Get the progress of an import
+// @access  Private (invitation.manage)
+router.get(
+  "/imports/:importId",
+  verifyJWT,
+  requirePermission("invitation.manage"),
+  verifyCompanyAccess,
+  getUserImport
+);
+
+// @route   GET /api/users/imports/:importId/report
+// @desc    Download the result report of an import as CSV
+// @access  Private (invitation.manage)
+router.get(
+  "/imports/:importId/report",
+  verifyJWT,
+  requirePermission("invitation.manage"),
+  verifyCompanyAccess,
+  getImportReport
+);
+
+// @route   PUT /api/users/me/avatar
+// @desc    Upload a profile picture (multipart, "avatar" field)
+// @access  Private
+router.put(
+  "/me/avatar",
+  verifyJWT,
+  verifyCompanyAccess,
+  avatarUpload,
+  uploadAvatar
+);
+
+// @route   DELETE /api/users/me/avatar
+// @desc    Remove the profile picture
+// @access  Private
+router.delete("/me/avatar", verifyJWT, verifyCompanyAccess, deleteAvatar);
+
+// @route   GET /api/users/:userId
+// @desc    Get a user by ID
+// @access  Private (user.read.any or user.manage or user.manage.department)
+router.get(
+  "/:userId",
+  verifyJWT,
+  requirePermission("user.read.any", "user.manage", "user.manage.department"),
+  verifyCompanyAccess,
+  getUserById
+);
+
+// @route   PATCH /api/users/:userId
+// @desc    Update skills, employee ID and hire date
+// @access  Private (user.manage or user.manage.department)
+router.patch(
+  "/:userId",
+  verifyJWT,
+  requirePermission("user.manage", "user.manage.department"),
+  verifyCompanyAccess,
+  canManageUsers,
+  updateUserProfile
+);
+
+// @route   PATCH /api/users/:userId/role
+// @desc    Change the role of a user
+// @access  Private (user.role.assign)
+router.patch(
+  "/:userId/role",
+  verifyJWT,
+  requirePermission("user.role.assign"),
+  verifyCompanyAccess,
+  changeUserRole
+);
+
+// @route   PATCH /api/users/:userId/department
+// @desc    Move a user to another department
+// @access  Private (user.manage)
+router.patch(
+  "/:userId/department",
+  verifyJWT,
+  requirePermission("user.manage"),
+  verifyCompanyAccess,
+  canManageUsers,
+  changeUserDepartment
+);
+
+// @route   GET /api/users/:userId/offboarding
+// @desc    List open tasks of a user and candidates to take them over
+// @access  Private (user.manage or user.manage.department)
+router.get(
+  "/:userId/offboarding",
+  verifyJWT,
+  requirePermission("user.manage", "user.manage.department"),
+  verifyCompanyAccess,
+  canManageUsers,
+  getUserOffboarding
+);
+
+// @route   PATCH /api/users/:userId/deactivate
+// @desc    Deactivate a user, reassign their open tasks and sign them out
+// @access  Private (user.manage or user.manage.department)
+router.patch(
+  "/:userId/deactivate",
+  verifyJWT,
+  requirePermission("user.manage", "user.manage.department"),
+  verifyCompanyAccess,
+  canManageUsers,
+  deactivateUser
+);
+
+// @route   PATCH /api/users/:userId/reactivate
+// @desc    Reactivate a deactivated user
+// @access  Private (user.manage or user.manage.department)
+router.patch(
+  "/:userId/reactivate",
+  verifyJWT,
+  requirePermission("user.manage", "user.manage.department"),
+  verifyCompanyAccess,
+  canManageUsers,
+  reactivateUser
+);
+
+export default router;
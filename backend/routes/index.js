@@ -3,10 +3,20 @@ import express from "express";
 
 import AuthRoutes from "./AuthRoutes.js";
 import TaskRoutes from "./TaskRoutes.js";
+import InvitationRoutes from "./InvitationRoutes.js";
+import UserRoutes from "./UserRoutes.js";
+import DepartmentRoutes from "./DepartmentRoutes.js";
+import CompanyRoutes from "./CompanyRoutes.js";
+import RoleRoutes from "./RoleRoutes.js";
 
 const router = express.Router();
 
 router.use("/auth", AuthRoutes);
 router.use("/tasks", TaskRoutes);
+router.use("/invitations", InvitationRoutes);
+router.use("/users", UserRoutes);
+router.use("/departments", DepartmentRoutes);
+router.use("/company", CompanyRoutes);
+router.use("/roles", RoleRoutes);
 
 export default router;
@@ -3,9 +3,14 @@ import http from "http";
 import mongoose from "mongoose";
 import app from "./app.js";
 import connectDB from "./config/db.js";
+import { assertRequiredEnv } from "./config/env.js";
 import { corsSocketOptions } from "./config/corsOptions.js";
 import setupSocketIO from "./socket.js";
 import { getIO } from "./utils/SocketInstance.js";
+import { scheduleSubscriptionLifecycle } from "./jobs/subscriptionLifecycle.js";
+import { scheduleCompanyDeletion } from "./jobs/companyDeletion.js";
+import { scheduleTaskRetention } from "./jobs/taskRetention.js";
+import { scheduleUserImports } from "./jobs/userImports.js";
 
 const PORT = parseInt(process.env.PORT || "5000", 10);
 const GRACEFUL_SHUTDOWN_TIMEOUT = 10000;
@@ -14,12 +19,20 @@ const server = http.createServer(app);
 
 const startServer = async () => {
   try {
+    assertRequiredEnv();
+
     // Connect to MongoDB
     await connectDB();
 
     // Initialize Socket.IO
     setupSocketIO(server, corsSocketOptions);
 
+    // Daily trial expiry, grace period and suspension checks
+    scheduleSubscriptionLifecycle();
+    scheduleCompanyDeletion();
+    scheduleTaskRetention();
+    scheduleUserImports();
+
     server.listen(PORT, () => {
       console.log(`🚀 Server running on http://localhost:${PORT}`);
       console.log(`⚙️  Environment: ${process.env.NODE_ENV || "development"}`);
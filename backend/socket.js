@@ -1,8 +1,10 @@
 import jwt from "jsonwebtoken";
 import User from "./models/UserModel.js";
+import Session from "./models/SessionModel.js";
 import { Server as SocketIOServer } from "socket.io";
-import { joinDepartmentRooms } from "./utils/SocketEmitter.js";
+import { joinDepartmentRooms, sessionRoom } from "./utils/SocketEmitter.js";
 import { setIO } from "./utils/SocketInstance.js";
+import { isSubscriptionUsable } from "./utils/subscription.js";
 
 const extractToken = (cookieHeader) => {
   if (!cookieHeader) return null;
@@ -12,15 +14,18 @@ const extractToken = (cookieHeader) => {
   return tokenCookie ? tokenCookie.split("=")[1].trim() : null;
 };
 
+// Socket.IO middleware errors reach the client as connect_error
+const socketError = (message, code) => {
+  const error = new Error(message);
+  error.data = { success: false, message, error: code };
+  return error;
+};
+
 const socketAuth = async (socket, next) => {
   try {
     const token = extractToken(socket.handshake.headers.cookie);
     if (!token) {
-      return res.status(401).json({
-        success: false,
-        message: "Access token is required",
-        error: "UNAUTHORIZED",
-      });
+      return next(socketError("Access token is required", "UNAUTHORIZED"));
     }
     // Verify token
     let decoded;
@@ -28,94 +33,92 @@ const socketAuth = async (socket, next) => {
       decoded = jwt.verify(token, process.env.JWT_ACCESS_SECRET);
     } catch (jwtError) {
       if (jwtError.name === "TokenExpiredError") {
-        return res.status(401).json({
-          success: false,
-          message: "Access token has expired",
-          error: "TOKEN_EXPIRED",
-        });
+        return next(socketError("Access token has expired", "TOKEN_EXPIRED"));
       } else if (jwtError.name === "JsonWebTokenError") {
-        return res.status(401).json({
-          success: false,
-          message: "Invalid access token",
-          error: "INVALID_TOKEN",
-        });
+        return next(socketError("Invalid access token", "INVALID_TOKEN"));
       } else {
-        return res.status(401).json({
-          success: false,
-          message: "Token verification failed",
-          error: "TOKEN_VERIFICATION_FAILED",
-        });
+        return next(
+          socketError("Token verification failed", "TOKEN_VERIFICATION_FAILED")
+        );
       }
     }
 
     // Fetch user data with company and department details
     const user = await User.findById(decoded.userId)
       .populate("company", "name subscription.status isActive")
-      .populate("department", "name isActive");
+      .populate("department", "name isActive")
+      .select("+passwordChangedAt");
 
     if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: "User not found",
-        error: "USER_NOT_FOUND",
-      });
+      return next(socketError("User not found", "USER_NOT_FOUND"));
+    }
+
+    // Check that the session behind this token is still active
+    const session = decoded.sid
+      ? await Session.findOne({ _id: decoded.sid, user: user._id }).lean()
+      : null;
+
+    if (!session || session.revokedAt || session.expiresAt < new Date()) {
+      return next(socketError("Session has been revoked", "SESSION_REVOKED"));
+    }
+
+    // Reject tokens issued before the last password change
+    if (user.changedPasswordAfter(decoded.iat)) {
+      return next(
+        socketError("Access token has been revoked", "TOKEN_REVOKED")
+      );
     }
 
     // Check if user is verified
     if (!user.isVerified) {
-      return res.status(401).json({
-        success: false,
-        message: "User account is not verified",
-        error: "ACCOUNT_NOT_VERIFIED",
-      });
+      return next(
+        socketError("User account is not verified", "ACCOUNT_NOT_VERIFIED")
+      );
     }
 
     // Check if user is active
     if (!user.isActive) {
-      return res.status(401).json({
-        success: false,
-        message: "User account is deactivated",
-        error: "USER_DEACTIVATED",
-      });
+      return next(
+        socketError("User account is deactivated", "USER_DEACTIVATED")
+      );
     }
 
     // Check if company is active
     if (!user.company.isActive) {
-      return res.status(401).json({});
-      res.clearCookie("refresh_token", {
-        message: "Company account is deactivated",
-        error: "COMPANY_DEACTIVATED",
-      });
+      return next(
+        socketError("Company account is deactivated", "COMPANY_DEACTIVATED")
+      );
     }
 
     // Check company subscription status
-    if (user.company.subscription.status !== "active") {
-      return res.status(403).json({
-        success: false,
-        message: "Company subscription is not active",
-        error: "SUBSCRIPTION_INACTIVE",
-      });
+    if (!isSubscriptionUsable(user.company)) {
+      return next(
+        socketError(
+          "Company subscription is not active",
+          "SUBSCRIPTION_INACTIVE"
+        )
+      );
     }
 
     // Check if department is active
     if (!user.department.isActive) {
-      return res.status(401).json({
-        success: false,
-        message: "Department is deactivated",
-        error: "DEPARTMENT_DEACTIVATED",
-      });
+      return next(
+        socketError("Department is deactivated", "DEPARTMENT_DEACTIVATED")
+      );
     }
 
-    // Attach user data to request
-    req.user = user;
+    // Attach user and session to the socket
+    socket.user = user;
+    socket.sessionId = decoded.sid;
     next();
   } catch (error) {
-    console.error("JWT verification error:", error);
-    return res.status(500).json({
-      success: false,
-      message: "Internal server error during authentication",
-      error: "AUTHENTICATION_ERROR",
-    });
+    console.error("Socket authentication error:", error);
+    return next(
+      socketError(
+        "Internal server error during authentication",
+        "AUTHENTICATION_ERROR"
+      )
+    );
   }
 };
 
@@ -126,7 +129,8 @@ const setupSocketIO = (server, corsSocketOptions) => {
       cors: corsSocketOptions,
       connectionStateRecovery: {
         maxDisconnectionDuration: 2 * 60 * 1000,
-        skipMiddlewares: true,
+        // Recovered sockets are authenticated again, their session may be revoked
+        skipMiddlewares: false,
       },
     });
 
@@ -136,9 +140,12 @@ const setupSocketIO = (server, corsSocketOptions) => {
     io.on("connection", (socket) => {
       console.log(`Socket connected: ${socket.id} | User: ${socket.user._id}`);
 
+      // Joined right away so a revocation can close the socket
+      socket.join(sessionRoom(socket.sessionId));
+
       // Non-blocking room join
       setTimeout(() => {
-        joinDepartmentRooms(socket.user._id).catch((err) =>
+        joinDepartmentRooms(socket).catch((err) =>
           console.error(`Room join error: ${err.message}`)
         );
       }, 0);
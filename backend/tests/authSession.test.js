@@ -0,0 +1,201 @@
+// backend/tests/authSession.test.js
+import { describe, it, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import jwt from "jsonwebtoken";
+
+import { query, mockRequest, mockResponse, runHandler } from "./helpers.js";
+import { Session, User } from "../models/index.js";
+import { rotateAuthSession } from "../utils/authSession.js";
+import { generateRefreshToken } from "../utils/generateTokens.js";
+import { getRefreshToken } from "../controllers/AuthController.js";
+
+const userId = new mongoose.Types.ObjectId();
+
+const buildSession = (overrides = {}) =>
+  new Session({
+    user: userId,
+    company: new mongoose.Types.ObjectId(),
+    family: "family-1",
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    ...overrides,
+  });
+
+const activeUser = {
+  _id: userId,
+  role: "Employee",
+  isActive: true,
+  isVerified: true,
+  company: { isActive: true, subscription: { status: "active" } },
+  department: { isActive: true },
+  changedPasswordAfter: () => false,
+};
+
+// Session whose current token is refreshToken, with its previous token
+const setup = ({ rotatedAgo = 60 * 1000, ...overrides } = {}) => {
+  const previousToken = generateRefreshToken(userId, "family-1");
+  const refreshToken = generateRefreshToken(userId, "family-1");
+  const session = buildSession({
+    refreshTokenHash: Session.hashToken(refreshToken),
+    previousTokenHash: Session.hashToken(previousToken),
+    rotatedAt: new Date(Date.now() - rotatedAgo),
+    ...overrides,
+  });
+  mock.method(Session, "findOne", () => query(session));
+  mock.method(User, "findById", () => query(activeUser));
+  return { session, refreshToken, previousToken };
+};
+
+afterEach(() => mock.restoreAll());
+
+describe("rotateAuthSession", () => {
+  it("swaps the token only while the presented one is current", async () => {
+    const session = buildSession();
+    const update = mock.method(Session, "findOneAndUpdate", () =>
+      query(session)
+    );
+    const res = mockResponse();
+
+    const rotated = await rotateAuthSession(
+      mockRequest(),
+      res,
+      session,
+      "hash"
+    );
+
+    assert.equal(rotated, session);
+    const [filter, { $set }] = update.mock.calls[0].arguments;
+    assert.deepEqual(filter, {
+      _id: session._id,
+      refreshTokenHash: "hash",
+      revokedAt: null,
+    });
+    assert.equal($set.previousTokenHash, "hash");
+    assert.equal(
+      $set.refreshTokenHash,
+      Session.hashToken(res.cookies.refresh_token)
+    );
+    assert.equal(jwt.decode(res.cookies.refresh_token).family, "family-1");
+    assert.equal(
+      jwt.decode(res.cookies.access_token).sid,
+      session._id.toString()
+    );
+  });
+
+  it("sets no cookies when a concurrent refresh rotated first", async () => {
+    mock.method(Session, "findOneAndUpdate", () => query(null));
+    const res = mockResponse();
+
+    const rotated = await rotateAuthSession(
+      mockRequest(),
+      res,
+      buildSession(),
+      "hash"
+    );
+
+    assert.equal(rotated, null);
+    assert.deepEqual(res.cookies, {});
+  });
+});
+
+describe("getRefreshToken", () => {
+  it("rotates the current token", async () => {
+    const { session, refreshToken } = setup();
+    const update = mock.method(Session, "findOneAndUpdate", () =>
+      query(session)
+    );
+
+    const { res, error } = await runHandler(
+      getRefreshToken,
+      mockRequest({ cookies: { refresh_token: refreshToken } })
+    );
+
+    assert.equal(error, null);
+    assert.equal(res.statusCode, 200);
+    assert.equal(update.mock.callCount(), 1);
+    assert.notEqual(res.cookies.refresh_token, refreshToken);
+  });
+
+  it("answers a lost rotation race without revoking", async () => {
+    const { refreshToken } = setup();
+    mock.method(Session, "findOneAndUpdate", () => query(null));
+    const revokeAll = mock.method(Session, "revokeAll", async () => {});
+
+    const { error } = await runHandler(
+      getRefreshToken,
+      mockRequest({ cookies: { refresh_token: refreshToken } })
+    );
+
+    assert.equal(error.errorCode, "REFRESH_TOKEN_ROTATED");
+    assert.equal(revokeAll.mock.callCount(), 0);
+  });
+
+  it("tolerates the previous token within the grace period", async () => {
+    const { previousToken } = setup({ rotatedAgo: 1000 });
+    const revokeAll = mock.method(Session, "revokeAll", async () => {});
+
+    const { error, res } = await runHandler(
+      getRefreshToken,
+      mockRequest({ cookies: { refresh_token: previousToken } })
+    );
+
+    assert.equal(error.errorCode, "REFRESH_TOKEN_ROTATED");
+    assert.equal(revokeAll.mock.callCount(), 0);
+    assert.deepEqual(res.clearedCookies, []);
+  });
+
+  it("revokes the family when the previous token comes back later", async () => {
+    const { previousToken } = setup();
+    const revokeAll = mock.method(Session, "revokeAll", async () => {});
+    mock.method(console, "warn", () => {});
+
+    const { error, res } = await runHandler(
+      getRefreshToken,
+      mockRequest({ cookies: { refresh_token: previousToken } })
+    );
+
+    assert.equal(error.errorCode, "REFRESH_TOKEN_REUSED");
+    assert.deepEqual(revokeAll.mock.calls[0].arguments, [
+      { family: "family-1" },
+      "reuse",
+    ]);
+    assert.deepEqual(res.clearedCookies, ["refresh_token"]);
+  });
+
+  it("revokes the family when an older token is replayed", async () => {
+    const olderToken = generateRefreshToken(userId, "family-1");
+    setup({ rotatedAgo: 1000 });
+    const revokeAll = mock.method(Session, "revokeAll", async () => {});
+    mock.method(console, "warn", () => {});
+
+    const { error } = await runHandler(
+      getRefreshToken,
+      mockRequest({ cookies: { refresh_token: olderToken } })
+    );
+
+    assert.equal(error.errorCode, "REFRESH_TOKEN_REUSED");
+    assert.equal(revokeAll.mock.callCount(), 1);
+  });
+
+  it("rejects a revoked session", async () => {
+    const { refreshToken } = setup({ revokedAt: new Date() });
+
+    const { error } = await runHandler(
+      getRefreshToken,
+      mockRequest({ cookies: { refresh_token: refreshToken } })
+    );
+
+    assert.equal(error.errorCode, "SESSION_REVOKED");
+  });
+
+  it("rejects a token of another user's session", async () => {
+    const { refreshToken } = setup({ user: new mongoose.Types.ObjectId() });
+
+    const { error } = await runHandler(
+      getRefreshToken,
+      mockRequest({ cookies: { refresh_token: refreshToken } })
+    );
+
+    assert.equal(error.errorCode, "INVALID_REFRESH_TOKEN");
+  });
+});
@@ -0,0 +1,132 @@
+// backend/tests/companyPurge.test.js
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+
+import { query } from "./helpers.js";
+import * as models from "../models/index.js";
+import { setStorage } from "../utils/storage.js";
+import { purgeCompany } from "../utils/companyPurge.js";
+
+const companyId = new mongoose.Types.ObjectId();
+const userIds = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+const taskIds = [new mongoose.Types.ObjectId()];
+
+// Found through the users and tasks of the company
+const INDIRECT_MODELS = ["TaskActivity", "AuthToken", "LoginAttempt"];
+
+// Base models own a collection, discriminators share their base's
+const baseModels = Object.values(models).filter(
+  (model) => !model.baseModelName
+);
+
+let deletes;
+let removedPrefixes;
+
+beforeEach(() => {
+  deletes = [];
+  removedPrefixes = [];
+
+  mock.method(models.User, "find", () =>
+    query([
+      { _id: userIds[0], email: "jane@example.com" },
+      { _id: userIds[1], email: "joe@example.com" },
+    ])
+  );
+  mock.method(models.Task, "find", () => query(taskIds));
+
+  for (const model of Object.values(models)) {
+    mock.method(model, "deleteMany", async (filter) => {
+      deletes.push({ modelName: model.modelName, filter });
+      return { deletedCount: 1 };
+    });
+  }
+
+  setStorage({
+    removePrefix: async (prefix) => {
+      removedPrefixes.push(prefix);
+    },
+  });
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  setStorage(null);
+});
+
+describe("purgeCompany", () => {
+  it("exports every registered model from models/index.js", () => {
+    const exported = Object.values(models).map((model) => model.modelName);
+
+    assert.deepEqual(mongoose.modelNames().sort(), exported.sort());
+  });
+
+  it("deletes from every collection exactly once", async () => {
+    const deleted = await purgeCompany(companyId);
+
+    assert.deepEqual(
+      deletes.map(({ modelName }) => modelName).sort(),
+      baseModels.map((model) => model.modelName).sort()
+    );
+    assert.deepEqual(
+      Object.keys(deleted).sort(),
+      baseModels.map((model) => model.modelName).sort()
+    );
+  });
+
+  it("scopes every model with a company path to the company", async () => {
+    await purgeCompany(companyId);
+
+    const filters = Object.fromEntries(
+      deletes.map(({ modelName, filter }) => [modelName, filter])
+    );
+    for (const model of baseModels) {
+      if (
+        !model.schema.path("company") ||
+        INDIRECT_MODELS.includes(model.modelName)
+      ) {
+        continue;
+      }
+      assert.deepEqual(
+        filters[model.modelName],
+        { company: companyId },
+        `${model.modelName} is not scoped to the company`
+      );
+    }
+    assert.deepEqual(filters.Company, { _id: companyId });
+  });
+
+  it("reaches tokens, attempts and activities through users and tasks", async () => {
+    await purgeCompany(companyId);
+
+    const filters = Object.fromEntries(
+      deletes.map(({ modelName, filter }) => [modelName, filter])
+    );
+    assert.deepEqual(filters.TaskActivity, { task: { $in: taskIds } });
+    assert.deepEqual(filters.AuthToken, { user: { $in: userIds } });
+    assert.deepEqual(filters.LoginAttempt, {
+      key: { $in: ["email:jane@example.com", "email:joe@example.com"] },
+    });
+  });
+
+  it("deletes indirect data first and the company last", async () => {
+    await purgeCompany(companyId);
+
+    const order = deletes.map(({ modelName }) => modelName);
+    const lastIndirect = Math.max(
+      ...INDIRECT_MODELS.map((name) => order.indexOf(name))
+    );
+    assert.ok(lastIndirect < order.indexOf("User"));
+    assert.ok(lastIndirect < order.indexOf("Task"));
+    assert.equal(order.at(-1), "Company");
+  });
+
+  it("removes the stored files of the company", async () => {
+    await purgeCompany(companyId);
+
+    assert.deepEqual(removedPrefixes.sort(), [
+      `attachments/${companyId}`,
+      `avatars/${companyId}`,
+    ]);
+  });
+});
@@ -0,0 +1,78 @@
+// backend/tests/csv.test.js
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { parseCsv, toCsv } from "../utils/csv.js";
+
+describe("parseCsv", () => {
+  it("splits rows and trims cells", () => {
+    assert.deepEqual(parseCsv("email, role\n jane@example.com ,Manager\n"), [
+      ["email", "role"],
+      ["jane@example.com", "Manager"],
+    ]);
+  });
+
+  it("accepts CRLF line endings and a byte order mark", () => {
+    assert.deepEqual(parseCsv("\uFEFFa,b\r\n1,2\r\n"), [
+      ["a", "b"],
+      ["1", "2"],
+    ]);
+  });
+
+  it("keeps commas, escaped quotes and line breaks inside quotes", () => {
+    assert.deepEqual(parseCsv('name,notes\n"Doe, Jane","Said ""hi""\nbye"'), [
+      ["name", "notes"],
+      ["Doe, Jane", 'Said "hi"\nbye'],
+    ]);
+  });
+
+  it("skips blank lines but keeps empty cells", () => {
+    assert.deepEqual(parseCsv("a,b,c\n\n,,\n1,,3\n\r\n"), [
+      ["a", "b", "c"],
+      ["1", "", "3"],
+    ]);
+  });
+
+  it("reads a last row without a line break", () => {
+    assert.deepEqual(parseCsv("a\n1"), [["a"], ["1"]]);
+  });
+
+  it("returns no rows for empty input", () => {
+    assert.deepEqual(parseCsv(""), []);
+  });
+
+  it("rejects an unterminated quoted field", () => {
+    assert.throws(() => parseCsv('a,"b\n1,2'), /Unterminated quoted field/);
+  });
+});
+
+describe("toCsv", () => {
+  it("joins rows with CRLF and quotes only when needed", () => {
+    assert.equal(
+      toCsv(
+        ["name", "notes"],
+        [
+          ["Doe, Jane", 'Said "hi"'],
+          ["Joe", null],
+        ]
+      ),
+      'name,notes\r\n"Doe, Jane","Said ""hi"""\r\nJoe,'
+    );
+  });
+
+  it("defuses spreadsheet formulas", () => {
+    assert.equal(
+      toCsv(["a", "b", "c", "d"], [["=SUM(A1)", "+1", "-2", "@cmd"]]),
+      "a,b,c,d\r\n'=SUM(A1),'+1,'-2,'@cmd"
+    );
+  });
+
+  it("round-trips through parseCsv", () => {
+    const rows = [["Doe, Jane", 'a "quoted"\nvalue', "plain"]];
+
+    assert.deepEqual(parseCsv(toCsv(["x", "y", "z"], rows)), [
+      ["x", "y", "z"],
+      ...rows,
+    ]);
+  });
+});
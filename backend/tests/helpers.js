@@ -0,0 +1,102 @@
+// backend/tests/helpers.js
+// Shared doubles for the unit tests. No database runs here, model methods are
+// replaced with node:test mocks returning the documents a test needs.
+import mongoose from "mongoose";
+
+process.env.JWT_ACCESS_SECRET ??= "test-access-secret";
+process.env.JWT_REFRESH_SECRET ??= "test-refresh-secret";
+process.env.JWT_INVITE_SECRET ??= "test-invite-secret";
+
+// A query that was not mocked fails at once instead of waiting for a connection
+mongoose.set("bufferCommands", false);
+
+/**
+ * Stand-in for a mongoose query: every chained call returns the query, and
+ * awaiting it resolves to the given result
+ * @param {*} result - Value the query resolves to
+ * @returns {Object} Thenable query
+ */
+export const query = (result) => {
+  const chain = new Proxy(
+    {},
+    {
+      get: (target, prop) => {
+        if (prop === "then") {
+          return (resolve, reject) =>
+            Promise.resolve(result).then(resolve, reject);
+        }
+        if (prop === "exec") return () => Promise.resolve(result);
+        return () => chain;
+      },
+    }
+  );
+  return chain;
+};
+
+/**
+ * Express request with the given body, params, query and cookies
+ * @param {Object} overrides - Request fields
+ * @returns {Object} Request
+ */
+export const mockRequest = (overrides = {}) => ({
+  body: {},
+  params: {},
+  query: {},
+  cookies: {},
+  headers: {},
+  ip: "127.0.0.1",
+  get(name) {
+    return this.headers[name.toLowerCase()];
+  },
+  ...overrides,
+});
+
+/**
+ * Express response recording the status, body, headers and cookies it got
+ * @returns {Object} Response
+ */
+export const mockResponse = () => {
+  const res = {
+    statusCode: 200,
+    body: undefined,
+    headers: {},
+    cookies: {},
+    clearedCookies: [],
+  };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  res.set = (name, value) => {
+    res.headers[name] = value;
+    return res;
+  };
+  res.cookie = (name, value) => {
+    res.cookies[name] = value;
+    return res;
+  };
+  res.clearCookie = (name) => {
+    res.clearedCookies.push(name);
+    return res;
+  };
+  return res;
+};
+
+/**
+ * Run an asyncHandler-wrapped controller to completion
+ * @param {Function} handler - Controller
+ * @param {Object} req - Request from mockRequest
+ * @returns {Object} { res, error } with the error passed to next, if any
+ */
+export const runHandler = async (handler, req) => {
+  const res = mockResponse();
+  let error = null;
+  await handler(req, res, (err) => {
+    error = err ?? null;
+  });
+  return { res, error };
+};
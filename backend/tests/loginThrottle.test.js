@@ -0,0 +1,314 @@
+// backend/tests/loginThrottle.test.js
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import mongoose from "mongoose";
+
+import { query, mockRequest, mockResponse, runHandler } from "./helpers.js";
+import { LoginAttempt, AuthToken, User, Session } from "../models/index.js";
+import {
+  getLoginBlock,
+  recordFailedLogin,
+  rejectFailedLogin,
+  clearFailedLogins,
+  emailKey,
+} from "../utils/loginThrottle.js";
+import { setMailTransport } from "../utils/mailer.js";
+import {
+  generateTOTPSecret,
+  generateTOTP,
+  getCurrentStep,
+} from "../utils/totp.js";
+import CustomError from "../errorHandler/CustomError.js";
+import { verifyMfaChallenge } from "../controllers/MfaController.js";
+
+const EMAIL = "jane@example.com";
+const IP = "10.0.0.1";
+const HOUR = 60 * 60 * 1000;
+
+// In-memory LoginAttempt collection behind the queries loginThrottle runs
+let attempts;
+let sentMails;
+
+const mockLoginAttempts = () => {
+  attempts = new Map();
+
+  mock.method(LoginAttempt, "find", ({ key }) =>
+    query(
+      key.$in
+        .filter((k) => attempts.has(k))
+        .map((k) => ({ ...attempts.get(k) }))
+    )
+  );
+  mock.method(LoginAttempt, "findOneAndUpdate", ({ key }, { $inc, $set }) => {
+    const attempt = attempts.get(key) ?? {
+      _id: new mongoose.Types.ObjectId(),
+      key,
+      failedCount: 0,
+    };
+    attempt.failedCount += $inc.failedCount;
+    Object.assign(attempt, $set);
+    attempts.set(key, attempt);
+    return query({ ...attempt });
+  });
+  mock.method(LoginAttempt, "updateOne", ({ _id, failedCount }, update) => {
+    const attempt = [...attempts.values()].find(
+      (a) => a._id.equals(_id) && a.failedCount === failedCount
+    );
+    if (attempt) Object.assign(attempt, update);
+    return query({ modifiedCount: attempt ? 1 : 0 });
+  });
+  mock.method(LoginAttempt, "deleteOne", ({ key }) =>
+    query({ deletedCount: attempts.delete(key) ? 1 : 0 })
+  );
+};
+
+// Seed a counter whose last failure is long enough ago to need no delay
+const seedFailures = (key, failedCount) => {
+  attempts.set(key, {
+    _id: new mongoose.Types.ObjectId(),
+    key,
+    failedCount,
+    lastFailedAt: new Date(Date.now() - HOUR / 2),
+    expiresAt: new Date(Date.now() + HOUR / 2),
+  });
+};
+
+beforeEach(() => {
+  mockLoginAttempts();
+  sentMails = [];
+  setMailTransport({
+    sendMail: async (mail) => {
+      sentMails.push(mail);
+      return { messageId: "<test@local>" };
+    },
+  });
+});
+
+afterEach(() => mock.restoreAll());
+
+describe("login throttle", () => {
+  it("lets the first failures through without delay", async () => {
+    for (let i = 0; i < 3; i++) {
+      assert.equal(await getLoginBlock({ email: EMAIL, ip: IP }), null);
+      await recordFailedLogin({ email: EMAIL, ip: IP });
+    }
+
+    const block = await getLoginBlock({ email: EMAIL, ip: IP });
+    assert.equal(block.errorCode, "LOGIN_DELAY_REQUIRED");
+    assert.equal(block.context.retryAfter, 1);
+  });
+
+  it("doubles the delay with each further failure", async () => {
+    seedFailures(emailKey(EMAIL), 5);
+    attempts.get(emailKey(EMAIL)).lastFailedAt = new Date();
+
+    const block = await getLoginBlock({ email: EMAIL, ip: IP });
+    assert.equal(block.context.retryAfter, 4);
+  });
+
+  it("locks the account on the tenth failure and resets the counter", async () => {
+    seedFailures(emailKey(EMAIL), 8);
+
+    assert.deepEqual(await recordFailedLogin({ email: EMAIL, ip: IP }), {
+      accountLocked: false,
+    });
+    assert.deepEqual(await recordFailedLogin({ email: EMAIL, ip: IP }), {
+      accountLocked: true,
+    });
+    assert.equal(attempts.get(emailKey(EMAIL)).failedCount, 0);
+
+    const block = await getLoginBlock({ email: "  JANE@example.com", ip: IP });
+    assert.equal(block.errorCode, "ACCOUNT_LOCKED");
+    assert.equal(block.statusCode, 423);
+  });
+
+  it("blocks the network after fifty failures from one IP", async () => {
+    seedFailures(`ip:${IP}`, 49);
+
+    await recordFailedLogin({ email: "other@example.com", ip: IP });
+
+    const block = await getLoginBlock({ email: EMAIL, ip: IP });
+    assert.equal(block.errorCode, "IP_TEMPORARILY_BLOCKED");
+  });
+
+  it("clears the email counter but keeps the IP counter", async () => {
+    await recordFailedLogin({ email: EMAIL, ip: IP });
+
+    await clearFailedLogins({ email: EMAIL });
+
+    assert.equal(attempts.has(emailKey(EMAIL)), false);
+    assert.equal(attempts.get(`ip:${IP}`).failedCount, 1);
+  });
+
+  it("passes the step's own error until the account locks", async () => {
+    const error = new CustomError("Invalid code", 401, "INVALID_MFA_CODE");
+    const req = mockRequest({ ip: IP });
+    const user = { email: EMAIL, firstName: "Jane" };
+    let passed;
+    const next = (err) => {
+      passed = err;
+    };
+
+    await rejectFailedLogin(req, mockResponse(), next, {
+      email: EMAIL,
+      user,
+      error,
+    });
+    assert.equal(passed, error);
+
+    seedFailures(emailKey(EMAIL), 9);
+    const res = mockResponse();
+    await rejectFailedLogin(req, res, next, { email: EMAIL, user, error });
+    assert.equal(passed.errorCode, "ACCOUNT_LOCKED");
+    assert.equal(res.headers["Retry-After"], "900");
+    assert.equal(sentMails.length, 1);
+    assert.equal(sentMails[0].to, EMAIL);
+  });
+});
+
+describe("verifyMfaChallenge", () => {
+  let user;
+  let ticket;
+
+  // Six digits no clock drift window accepts
+  const wrongCode = () => {
+    const valid = [-1, 0, 1].map((offset) =>
+      generateTOTP(user.mfa.secret, Date.now() + offset * 30 * 1000)
+    );
+    let code = 0;
+    while (valid.includes(String(code).padStart(6, "0"))) code++;
+    return String(code).padStart(6, "0");
+  };
+
+  const challenge = (body) =>
+    runHandler(
+      verifyMfaChallenge,
+      mockRequest({ ip: IP, body: { ticket: "ticket", ...body } })
+    );
+
+  beforeEach(() => {
+    user = {
+      _id: new mongoose.Types.ObjectId(),
+      email: EMAIL,
+      firstName: "Jane",
+      role: "Employee",
+      isActive: true,
+      isVerified: true,
+      company: {
+        _id: new mongoose.Types.ObjectId(),
+        isActive: true,
+        subscription: { status: "active" },
+      },
+      department: { isActive: true },
+      mfa: { enabled: true, secret: generateTOTPSecret(), recoveryCodes: [] },
+      save: mock.fn(async () => {}),
+    };
+    ticket = {
+      user: user._id,
+      attempts: 0,
+      save: mock.fn(async () => {}),
+      deleteOne: mock.fn(async () => {}),
+    };
+
+    mock.method(AuthToken, "findValid", async () => ticket);
+    mock.method(User, "findById", () => query(user));
+    mock.method(Session, "create", async (doc) => ({
+      _id: new mongoose.Types.ObjectId(),
+      ...doc,
+    }));
+  });
+
+  it("signs in with a valid code and clears the failure counter", async () => {
+    seedFailures(emailKey(EMAIL), 2);
+
+    const { res, error } = await challenge({
+      code: generateTOTP(user.mfa.secret),
+    });
+
+    assert.equal(error, null);
+    assert.equal(res.statusCode, 200);
+    assert.ok(res.cookies.refresh_token);
+    assert.equal(ticket.deleteOne.mock.callCount(), 1);
+    assert.equal(attempts.has(emailKey(EMAIL)), false);
+    assert.equal(user.mfa.lastUsedStep, getCurrentStep());
+  });
+
+  it("counts a wrong code against the ticket and the email", async () => {
+    const { res, error } = await challenge({ code: wrongCode() });
+
+    assert.equal(error.errorCode, "INVALID_MFA_CODE");
+    assert.equal(ticket.attempts, 1);
+    assert.equal(attempts.get(emailKey(EMAIL)).failedCount, 1);
+    assert.deepEqual(res.cookies, {});
+  });
+
+  it("rejects a code whose time step was already used", async () => {
+    user.mfa.lastUsedStep = getCurrentStep() + 1;
+
+    const { error } = await challenge({ code: generateTOTP(user.mfa.secret) });
+
+    assert.equal(error.errorCode, "INVALID_MFA_CODE");
+  });
+
+  it("locks the account once wrong codes reach the threshold", async () => {
+    seedFailures(emailKey(EMAIL), 9);
+
+    const locked = await challenge({ code: wrongCode() });
+    assert.equal(locked.error.errorCode, "ACCOUNT_LOCKED");
+    assert.equal(sentMails.length, 1);
+
+    // The lockout holds even for a fresh ticket and a valid code
+    ticket.attempts = 0;
+    const { res, error } = await challenge({
+      code: generateTOTP(user.mfa.secret),
+    });
+    assert.equal(error.errorCode, "ACCOUNT_LOCKED");
+    assert.ok(Number(res.headers["Retry-After"]) > 0);
+    assert.deepEqual(res.cookies, {});
+  });
+
+  it("waits out the login delay before checking the code", async () => {
+    seedFailures(emailKey(EMAIL), 4);
+    attempts.get(emailKey(EMAIL)).lastFailedAt = new Date();
+
+    const { error } = await challenge({ code: generateTOTP(user.mfa.secret) });
+
+    assert.equal(error.errorCode, "LOGIN_DELAY_REQUIRED");
+    assert.equal(user.save.mock.callCount(), 0);
+  });
+
+  it("rejects a ticket after five wrong codes", async () => {
+    ticket.attempts = 5;
+
+    const { error } = await challenge({ code: generateTOTP(user.mfa.secret) });
+
+    assert.equal(error.errorCode, "INVALID_MFA_TICKET");
+  });
+
+  it("drops the ticket of an account deactivated since the password step", async () => {
+    user.isActive = false;
+
+    const { res, error } = await challenge({
+      code: generateTOTP(user.mfa.secret),
+    });
+
+    assert.equal(error.errorCode, "USER_DEACTIVATED");
+    assert.equal(ticket.deleteOne.mock.callCount(), 1);
+    assert.deepEqual(res.cookies, {});
+  });
+
+  it("accepts each recovery code once", async () => {
+    const recoveryCode = "abcde-12345";
+    user.mfa.recoveryCodes = [
+      crypto.createHash("sha256").update(recoveryCode).digest("hex"),
+    ];
+
+    const first = await challenge({ recoveryCode });
+    assert.equal(first.error, null);
+    assert.deepEqual(user.mfa.recoveryCodes, []);
+
+    const second = await challenge({ recoveryCode });
+    assert.equal(second.error.errorCode, "INVALID_MFA_CODE");
+  });
+});
@@ -0,0 +1,226 @@
+// backend/tests/subscriptionLifecycle.test.js
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+
+import { query } from "./helpers.js";
+import { Company, User, Notification } from "../models/index.js";
+import { setMailTransport } from "../utils/mailer.js";
+import { addDays, getRenewedPeriodEnd } from "../utils/subscription.js";
+import { runSubscriptionLifecycle } from "../jobs/subscriptionLifecycle.js";
+import { GRACE_PERIOD_DAYS } from "../config/plans.js";
+
+// Months away from daylight saving changes, addMonths works in local time
+const NOW = new Date("2026-06-10T09:00:00Z");
+
+// Enough of the query language for the filters the job runs
+const matches = (doc, filter) =>
+  Object.entries(filter).every(([path, condition]) => {
+    if (path === "$or") return condition.some((sub) => matches(doc, sub));
+    const value = doc.get(path);
+    if (condition === null || typeof condition !== "object") {
+      return value === condition;
+    }
+    return Object.entries(condition).every(([op, operand]) => {
+      if (value == null) return false;
+      if (op === "$lte") return value <= operand;
+      if (op === "$gt") return value > operand;
+      throw new Error(`Unsupported operator ${op}`);
+    });
+  });
+
+let companies;
+let sentMails;
+let notifications;
+
+const addCompany = (subscription) => {
+  const company = new Company({
+    name: `Company ${companies.length + 1}`,
+    isActive: true,
+    subscription,
+  });
+  companies.push(company);
+  return company;
+};
+
+beforeEach(() => {
+  companies = [];
+  sentMails = [];
+  notifications = [];
+
+  mock.method(Company, "find", (filter) =>
+    query(companies.filter((company) => matches(company, filter)))
+  );
+  mock.method(Company.prototype, "save", async function () {
+    return this;
+  });
+  mock.method(User, "find", ({ company }) =>
+    query([
+      {
+        _id: new mongoose.Types.ObjectId(),
+        email: `admin-${company}@example.com`,
+        firstName: "Admin",
+      },
+    ])
+  );
+  mock.method(Notification, "insertMany", async (docs) => {
+    notifications.push(...docs);
+    return docs;
+  });
+  // No socket server runs in the tests
+  mock.method(console, "error", () => {});
+  setMailTransport({
+    sendMail: async (mail) => {
+      sentMails.push(mail);
+      return { messageId: "<test@local>" };
+    },
+  });
+});
+
+afterEach(() => mock.restoreAll());
+
+describe("runSubscriptionLifecycle", () => {
+  it("leaves a subscription alone until the warning window", async () => {
+    const company = addCompany({
+      status: "active",
+      paidThrough: addDays(NOW, 20),
+    });
+
+    assert.deepEqual(await runSubscriptionLifecycle(NOW), {
+      warned: 0,
+      pastDue: 0,
+      suspended: 0,
+    });
+    assert.equal(company.subscription.status, "active");
+  });
+
+  it("warns once per threshold before the period ends", async () => {
+    const company = addCompany({
+      status: "trialing",
+      trialEndsAt: addDays(NOW, 5),
+    });
+
+    assert.equal((await runSubscriptionLifecycle(NOW)).warned, 1);
+    assert.deepEqual([...company.subscription.expiryWarningsSent], [7]);
+    assert.equal(sentMails.length, 1);
+    assert.match(notifications[0].message, /trial ends in 5 day/);
+
+    // Same threshold the next day, nothing new
+    assert.equal((await runSubscriptionLifecycle(addDays(NOW, 1))).warned, 0);
+
+    // Three days left crosses the next threshold
+    assert.equal((await runSubscriptionLifecycle(addDays(NOW, 2))).warned, 1);
+    assert.deepEqual([...company.subscription.expiryWarningsSent], [7, 3]);
+  });
+
+  it("moves an ended period to past due with a grace period", async () => {
+    const paidThrough = addDays(NOW, -1);
+    const company = addCompany({ status: "active", paidThrough });
+
+    assert.equal((await runSubscriptionLifecycle(NOW)).pastDue, 1);
+    assert.equal(company.subscription.status, "past_due");
+    assert.deepEqual(
+      company.subscription.graceEndsAt,
+      addDays(paidThrough, GRACE_PERIOD_DAYS)
+    );
+    assert.equal(sentMails.length, 1);
+  });
+
+  it("moves an ended trial to past due", async () => {
+    const company = addCompany({
+      status: "trialing",
+      trialEndsAt: NOW,
+    });
+
+    await runSubscriptionLifecycle(NOW);
+
+    assert.equal(company.subscription.status, "past_due");
+  });
+
+  it("suspends once the grace period ends, one step per run", async () => {
+    const company = addCompany({
+      status: "active",
+      paidThrough: addDays(NOW, -GRACE_PERIOD_DAYS - 1),
+    });
+
+    // Far past the grace period, still past due first
+    assert.deepEqual(await runSubscriptionLifecycle(NOW), {
+      warned: 0,
+      pastDue: 1,
+      suspended: 0,
+    });
+
+    assert.deepEqual(await runSubscriptionLifecycle(NOW), {
+      warned: 0,
+      pastDue: 0,
+      suspended: 1,
+    });
+    assert.equal(company.subscription.status, "suspended");
+    assert.deepEqual(company.subscription.suspendedAt, NOW);
+
+    // A suspended company stays suspended until it renews
+    assert.deepEqual(await runSubscriptionLifecycle(addDays(NOW, 30)), {
+      warned: 0,
+      pastDue: 0,
+      suspended: 0,
+    });
+  });
+
+  it("keeps a past due company usable during the grace period", async () => {
+    const company = addCompany({
+      status: "past_due",
+      graceEndsAt: addDays(NOW, 2),
+    });
+
+    assert.equal((await runSubscriptionLifecycle(NOW)).suspended, 0);
+    assert.equal(company.subscription.status, "past_due");
+  });
+});
+
+describe("getRenewedPeriodEnd", () => {
+  it("extends the paid period of the same plan", () => {
+    const end = getRenewedPeriodEnd(
+      { plan: "basic", status: "active", paidThrough: addDays(NOW, 10) },
+      { plan: "basic", months: 1, now: NOW }
+    );
+
+    assert.deepEqual(end, new Date("2026-07-20T09:00:00Z"));
+  });
+
+  it("keeps the remaining trial whatever the plan", () => {
+    const end = getRenewedPeriodEnd(
+      { plan: "basic", status: "trialing", trialEndsAt: addDays(NOW, 4) },
+      { plan: "enterprise", months: 1, now: NOW }
+    );
+
+    assert.deepEqual(end, new Date("2026-07-14T09:00:00Z"));
+  });
+
+  it("converts the unused time of a plan change at the price ratio", () => {
+    const end = getRenewedPeriodEnd(
+      { plan: "basic", status: "active", paidThrough: addDays(NOW, 30) },
+      { plan: "premium", months: 1, now: NOW }
+    );
+
+    // 30 days of basic are worth 10 days of premium
+    assert.deepEqual(end, new Date("2026-07-20T09:00:00Z"));
+  });
+
+  it("starts today after the period lapsed", () => {
+    const end = getRenewedPeriodEnd(
+      { plan: "basic", status: "suspended", paidThrough: addDays(NOW, -30) },
+      { plan: "basic", months: 2, now: NOW }
+    );
+
+    assert.deepEqual(end, new Date("2026-08-10T09:00:00Z"));
+  });
+
+  it("ignores time left of a past due period", () => {
+    const end = getRenewedPeriodEnd(
+      { plan: "premium", status: "past_due", paidThrough: addDays(NOW, -1) },
+      { plan: "basic", months: 1, now: NOW }
+    );
+
+    assert.deepEqual(end, new Date("2026-07-10T09:00:00Z"));
+  });
+});
@@ -0,0 +1,149 @@
+// backend/tests/taskFilters.test.js
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+
+import {
+  buildTaskFilter,
+  buildTaskSort,
+  parsePagination,
+} from "../utils/taskFilters.js";
+import { OPEN_TASK_STATUSES } from "../config/tasks.js";
+
+const userId = new mongoose.Types.ObjectId();
+// UTC+3 without daylight saving
+const company = { settings: { timezone: "Africa/Addis_Ababa" } };
+const now = new Date("2026-06-10T09:00:00Z");
+
+const filter = (query) => buildTaskFilter(query, { userId, company, now });
+
+// Assert the query is rejected for the given parameter
+const assertInvalid = (build, param) =>
+  assert.throws(build, (error) => {
+    assert.equal(error.statusCode, 400);
+    assert.equal(error.errorCode, "INVALID_QUERY_PARAMETER");
+    assert.equal(error.context.param, param);
+    return true;
+  });
+
+describe("buildTaskFilter", () => {
+  it("lists unarchived tasks without parameters", () => {
+    assert.deepEqual(filter({}), { $and: [{ archivedAt: null }] });
+  });
+
+  it("accepts comma separated and repeated values", () => {
+    assert.deepEqual(filter({ status: "To Do, Pending" }).$and[0], {
+      status: { $in: ["To Do", "Pending"] },
+    });
+    assert.deepEqual(filter({ priority: ["High", "Low"] }).$and[0], {
+      priority: { $in: ["High", "Low"] },
+    });
+  });
+
+  it("rejects values outside the allowed lists", () => {
+    assertInvalid(() => filter({ status: "Done" }), "status");
+    assertInvalid(() => filter({ priority: "Urgent" }), "priority");
+    assertInvalid(() => filter({ taskType: "RoutineTask" }), "taskType");
+  });
+
+  it("resolves me and validates user IDs", () => {
+    const other = new mongoose.Types.ObjectId();
+
+    const { $and } = filter({ assignedTo: `me,${other}` });
+    assert.deepEqual($and[0], { assignedTo: { $in: [userId, other] } });
+
+    assertInvalid(() => filter({ createdBy: "nobody" }), "createdBy");
+    assertInvalid(() => filter({ assignedTo: { $ne: null } }), "assignedTo");
+  });
+
+  it("reads date-only bounds as whole days of the company", () => {
+    const { $and } = filter({ dueFrom: "2026-06-01", dueTo: "2026-06-30" });
+
+    assert.deepEqual($and[0], {
+      dueDate: {
+        $gte: new Date("2026-05-31T21:00:00.000Z"),
+        $lte: new Date("2026-06-30T20:59:59.999Z"),
+      },
+    });
+  });
+
+  it("keeps date-time bounds as given", () => {
+    const { $and } = filter({ createdFrom: "2026-06-01T12:00:00Z" });
+
+    assert.deepEqual($and[0], {
+      createdAt: { $gte: new Date("2026-06-01T12:00:00Z") },
+    });
+  });
+
+  it("rejects invalid dates and reversed ranges", () => {
+    assertInvalid(() => filter({ dueFrom: "tomorrow" }), "dueFrom");
+    assertInvalid(() => filter({ dueTo: ["2026-06-01"] }), "dueTo");
+    assertInvalid(
+      () => filter({ createdFrom: "2026-06-02", createdTo: "2026-06-01" }),
+      "createdFrom"
+    );
+  });
+
+  it("finds overdue tasks among the open ones", () => {
+    assert.deepEqual(filter({ overdue: "true" }).$and[0], {
+      dueDate: { $lt: now },
+      status: { $in: OPEN_TASK_STATUSES },
+    });
+    assert.deepEqual(filter({ overdue: "false" }).$and[0], {
+      $or: [
+        { dueDate: { $gte: now } },
+        { status: { $nin: OPEN_TASK_STATUSES } },
+      ],
+    });
+  });
+
+  it("lists archived tasks only on request", () => {
+    assert.deepEqual(filter({ archived: "true" }).$and, [
+      { archivedAt: { $ne: null } },
+    ]);
+    assertInvalid(() => filter({ archived: "yes" }), "archived");
+    assertInvalid(() => filter({ overdue: "1" }), "overdue");
+  });
+});
+
+describe("buildTaskSort", () => {
+  it("sorts newest first by default", () => {
+    assert.deepEqual(buildTaskSort(), { createdAt: -1, _id: -1 });
+  });
+
+  it("maps fields and directions with _id as the tie breaker", () => {
+    assert.deepEqual(buildTaskSort("-priority,dueDate"), {
+      priorityRank: -1,
+      dueDate: 1,
+      _id: -1,
+    });
+  });
+
+  it("rejects unknown and inherited fields", () => {
+    assertInvalid(() => buildTaskSort("-password"), "sort");
+    assertInvalid(() => buildTaskSort("constructor"), "sort");
+  });
+});
+
+describe("parsePagination", () => {
+  const options = { defaultLimit: 20, maxLimit: 100 };
+
+  it("falls back to the first page and the default limit", () => {
+    assert.deepEqual(parsePagination({}, options), { page: 1, limit: 20 });
+  });
+
+  it("reads whole numbers", () => {
+    assert.deepEqual(parsePagination({ page: "3", limit: "100" }, options), {
+      page: 3,
+      limit: 100,
+    });
+  });
+
+  it("rejects pages and limits out of range or not whole", () => {
+    assertInvalid(() => parsePagination({ page: "0" }, options), "page");
+    assertInvalid(() => parsePagination({ page: "1.5" }, options), "page");
+    assertInvalid(() => parsePagination({ page: "abc" }, options), "page");
+    assertInvalid(() => parsePagination({ limit: "101" }, options), "limit");
+    assertInvalid(() => parsePagination({ limit: "-5" }, options), "limit");
+  });
+});
@@ -1,5 +1,6 @@
 // backend/utils/SocketEmitter.js
 import { getIO } from "./SocketInstance.js";
+import { Department } from "../models/index.js";
 
 export const emitToUser = (userId, event, data) => {
   try {
@@ -36,6 +37,23 @@ export const emitToDepartment = async (departmentId, event, data) => {
   }
 };
 
+// Room of the sockets opened with one login session
+export const sessionRoom = (sessionId) => `session_${sessionId}`;
+
+// Close the sockets of revoked sessions, the client has to log in again
+export const disconnectSessions = (sessionIds) => {
+  try {
+    const io = getIO();
+    sessionIds.forEach((sessionId) =>
+      io.in(sessionRoom(sessionId)).disconnectSockets(true)
+    );
+    return true;
+  } catch (err) {
+    console.error(`Disconnect sessions failed: ${err.message}`);
+    return false;
+  }
+};
+
 export const joinDepartmentRooms = async (socket) => {
   try {
     const user = socket.user;
@@ -47,12 +65,20 @@ export const joinDepartmentRooms = async (socket) => {
     const userIdStr = user._id.toString();
     socket.join(userIdStr); // Join user-specific room
 
-    const deptIdStr = user.department.toString();
+    const deptIdStr = (user.department._id || user.department).toString();
     socket.join(`department_${deptIdStr}`); // Join department-wide room
 
-    if (["Manager", "Admin", "SuperAdmin"].includes(user.role)) {
-      socket.join(`dept_managers_${deptIdStr}`); // Join department manager room
-    }
+    // Join the manager room of every department the user manages
+    const managedDepartments = await Department.find({
+      managers: user._id,
+      isActive: true,
+    })
+      .select("_id")
+      .lean();
+
+    managedDepartments.forEach((department) =>
+      socket.join(`dept_managers_${department._id}`)
+    );
   } catch (error) {
     console.error("Socket room join error:", error.message);
   }
@@ -0,0 +1,85 @@
+// backend/utils/attachments.js
+// Task activity attachments, stored through the storage adapter under
+// attachments/<company>/<task>/<id>/<file name>. public_id is the folder.
+// Attachments are private: they are not served from the storage URL but
+// through GET /api/tasks/:taskId/attachments/:attachmentId, which checks
+// that the user may view the task.
+import crypto from "crypto";
+
+import { getStorage } from "./storage.js";
+
+export const MAX_ATTACHMENT_BYTES = 20 * 1024 * 1024; // 20 MB
+export const MAX_ATTACHMENTS = 5;
+
+// Attachment type stored on the activity for an uploaded MIME type
+export const getAttachmentType = (mimeType) => {
+  if (mimeType === "application/pdf") return "pdf";
+  if (/^image\/(jpeg|png|webp|gif)$/.test(mimeType)) return "image";
+  if (/^video\/(mp4|webm|quicktime)$/.test(mimeType)) return "video";
+  return null;
+};
+
+// Keep file names readable in URLs without encoding or path tricks
+const toSafeFileName = (name) =>
+  name
+    .replace(/[^A-Za-z0-9._-]+/g, "-")
+    .replace(/^[.-]+/, "")
+    .slice(-100) || "file";
+
+// Download route of an attachment, the id is the last public_id segment
+export const getAttachmentUrl = (taskId, attachmentId) =>
+  `/api/tasks/${taskId}/attachments/${attachmentId}`;
+
+export const getAttachmentPublicId = (task, attachmentId) =>
+  `attachments/${task.company}/${task._id}/${attachmentId}`;
+
+/**
+ * Store uploaded files of a task activity
+ * @param {Object} task - Task the activity belongs to
+ * @param {Array} files - Multer files held in memory
+ * @returns {Array} Attachments for TaskActivity.attachments
+ */
+export const saveAttachments = async (task, files = []) => {
+  const storage = getStorage();
+  const attachments = [];
+
+  try {
+    for (const file of files) {
+      const attachmentId = crypto.randomBytes(8).toString("hex");
+      const publicId = getAttachmentPublicId(task, attachmentId);
+      const name = toSafeFileName(file.originalname);
+
+      await storage.save({
+        key: `${publicId}/${name}`,
+        body: file.buffer,
+        contentType: file.mimetype,
+      });
+
+      attachments.push({
+        url: getAttachmentUrl(task._id, attachmentId),
+        public_id: publicId,
+        name,
+        mimeType: file.mimetype,
+        type: getAttachmentType(file.mimetype),
+        size: file.size,
+      });
+    }
+  } catch (error) {
+    await removeAttachments(attachments).catch(() => {});
+    throw error;
+  }
+
+  return attachments;
+};
+
+// Stream of the stored file of an attachment
+export const readAttachment = (attachment) =>
+  getStorage().read(`${attachment.public_id}/${attachment.name}`);
+
+// Remove the stored files of attachments
+export const removeAttachments = (attachments = []) =>
+  Promise.all(
+    attachments
+      .filter((attachment) => attachment.public_id)
+      .map((attachment) => getStorage().removePrefix(attachment.public_id))
+  );
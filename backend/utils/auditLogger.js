@@ -0,0 +1,36 @@
+// backend/utils/auditLogger.js
+import { AuditLog } from "../models/index.js";
+
+/**
+ * Collect { field: { from, to } } for fields whose value changed
+ * @param {Object} before - Values before the change
+ * @param {Object} after - Values after the change
+ */
+export const diffChanges = (before, after) =>
+  Object.keys(after).reduce((changes, field) => {
+    if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+      changes[field] = { from: before[field], to: after[field] };
+    }
+    return changes;
+  }, {});
+
+/**
+ * Record an audit entry for an action performed by the current user
+ * @param {Object} req - Express request with the authenticated user
+ * @param {Object} entry - { action, targetType, target, changes }
+ * @param {Object} options - { session } to write inside a transaction
+ */
+export const recordAudit = async (req, entry, { session } = {}) => {
+  const [log] = await AuditLog.create(
+    [
+      {
+        company: req.user.company._id,
+        actor: req.user._id,
+        ip: req.ip,
+        ...entry,
+      },
+    ],
+    { session }
+  );
+  return log;
+};
@@ -0,0 +1,152 @@
+// backend/utils/authSession.js
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { Session } from "../models/index.js";
+import CustomError from "../errorHandler/CustomError.js";
+import { getRolePermissions } from "./permissions.js";
+import {
+  isSubscriptionUsable,
+  canRenewLapsedSubscription,
+} from "./subscription.js";
+import {
+  generateAccessToken,
+  generateRefreshToken,
+  getAccessTokenCookieOptions,
+  getRefreshTokenCookieOptions,
+} from "./generateTokens.js";
+
+// Window in which a just-rotated refresh token is not treated as reuse
+export const ROTATION_GRACE_PERIOD = 10 * 1000; // 10 seconds
+
+const getTokenExpiry = (token) => new Date(jwt.decode(token).exp * 1000);
+
+const getClientInfo = (req) => ({
+  userAgent: req.get("user-agent")?.slice(0, 500),
+  ip: req.ip,
+});
+
+const setAuthCookies = (res, accessToken, refreshToken) => {
+  res.cookie("access_token", accessToken, getAccessTokenCookieOptions());
+  res.cookie("refresh_token", refreshToken, getRefreshTokenCookieOptions());
+};
+
+/**
+ * Check that a user whose credentials were accepted may sign in. Runs again
+ * after the two-factor step, the account may have changed in between.
+ * @param {Object} user - User with company (isActive, subscription.status)
+ *   and department (isActive) populated
+ * @returns {CustomError|null} Error to return
+ */
+export const getSignInBlock = async (user) => {
+  if (!user.isActive) {
+    return new CustomError(
+      "User account is deactivated",
+      401,
+      "USER_DEACTIVATED"
+    );
+  }
+
+  if (!user.isVerified) {
+    return new CustomError(
+      "User account is not verified",
+      401,
+      "ACCOUNT_NOT_VERIFIED"
+    );
+  }
+
+  if (!user.company.isActive) {
+    return new CustomError(
+      "Company account is deactivated",
+      401,
+      "COMPANY_DEACTIVATED"
+    );
+  }
+
+  // Billing managers may still sign in to renew
+  if (
+    !isSubscriptionUsable(user.company) &&
+    !canRenewLapsedSubscription(
+      user,
+      await getRolePermissions(user.company._id, user.role)
+    )
+  ) {
+    return new CustomError(
+      "Company subscription is not active",
+      403,
+      "SUBSCRIPTION_INACTIVE"
+    );
+  }
+
+  if (!user.department.isActive) {
+    return new CustomError(
+      "Department is deactivated",
+      401,
+      "DEPARTMENT_DEACTIVATED"
+    );
+  }
+
+  return null;
+};
+
+/**
+ * Create a server-side session for a new login and set the auth cookies
+ * @param {Object} req - Express request, used for user agent and IP
+ * @param {Object} res - Express response
+ * @param {Object} user - User document
+ * @returns {Object} Created session
+ */
+export const createAuthSession = async (req, res, user) => {
+  const family = crypto.randomUUID();
+  const refreshToken = generateRefreshToken(user._id, family);
+
+  const session = await Session.create({
+    user: user._id,
+    company: user.company._id,
+    family,
+    refreshTokenHash: Session.hashToken(refreshToken),
+    expiresAt: getTokenExpiry(refreshToken),
+    ...getClientInfo(req),
+  });
+
+  const accessToken = generateAccessToken(user._id, session._id);
+  setAuthCookies(res, accessToken, refreshToken);
+
+  return session;
+};
+
+/**
+ * Rotate the refresh token of an existing session and set the auth cookies.
+ * The swap only applies while the presented token is still the current one,
+ * so of two concurrent refreshes exactly one rotates.
+ * @param {Object} req - Express request, used for user agent and IP
+ * @param {Object} res - Express response
+ * @param {Object} session - Session of the presented token
+ * @param {String} tokenHash - Hash of the presented refresh token
+ * @returns {Object|null} Updated session, null if another request rotated first
+ */
+export const rotateAuthSession = async (req, res, session, tokenHash) => {
+  const refreshToken = generateRefreshToken(session.user, session.family);
+  const now = new Date();
+
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: tokenHash, revokedAt: null },
+    {
+      $set: {
+        previousTokenHash: tokenHash,
+        refreshTokenHash: Session.hashToken(refreshToken),
+        rotatedAt: now,
+        lastUsedAt: now,
+        expiresAt: getTokenExpiry(refreshToken),
+        ...getClientInfo(req),
+      },
+    },
+    { new: true }
+  );
+
+  if (!rotated) return null;
+
+  const accessToken = generateAccessToken(rotated.user, rotated._id);
+  setAuthCookies(res, accessToken, refreshToken);
+
+  return rotated;
+};
@@ -0,0 +1,118 @@
+// backend/utils/avatar.js
+// Profile pictures are stored as square WebP images in AVATAR_SIZES under one
+// public_id: <public_id>/<size>.webp. profilePicture.url points to the default
+// size, the other sizes are derived from it.
+import crypto from "crypto";
+import sharp from "sharp";
+
+import CustomError from "../errorHandler/CustomError.js";
+import { getStorage } from "./storage.js";
+
+export const AVATAR_SIZES = [64, 128, 256, 512];
+export const MAX_AVATAR_BYTES = 5 * 1024 * 1024; // 5 MB
+export const AVATAR_MIME_TYPES = [
+  "image/jpeg",
+  "image/png",
+  "image/webp",
+  "image/gif",
+];
+
+const DEFAULT_SIZE = 256;
+
+// Formats detected from the file content, the declared type is not trusted
+const AVATAR_FORMATS = ["jpeg", "png", "webp", "gif"];
+
+// Refuse decompression bombs before resizing
+const MAX_INPUT_PIXELS = 50 * 1000 * 1000;
+
+const readImage = (buffer) =>
+  sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS });
+
+/**
+ * Check an uploaded image and resize it to every avatar size
+ * @param {Buffer} buffer - Uploaded file
+ * @returns {Array} [{ size, body }] WebP images
+ */
+export const renderAvatar = async (buffer) => {
+  let metadata;
+  try {
+    metadata = await readImage(buffer).metadata();
+  } catch (error) {
+    throw new CustomError(
+      "The file is not a readable image",
+      400,
+      "INVALID_IMAGE"
+    );
+  }
+
+  if (!AVATAR_FORMATS.includes(metadata.format)) {
+    throw new CustomError(
+      `Unsupported image type. Allowed: ${AVATAR_FORMATS.join(", ")}`,
+      415,
+      "UNSUPPORTED_IMAGE_TYPE"
+    );
+  }
+
+  return Promise.all(
+    AVATAR_SIZES.map(async (size) => ({
+      size,
+      body: await readImage(buffer)
+        .rotate() // Apply EXIF orientation, metadata is not kept
+        .resize(size, size, { fit: "cover" })
+        .webp({ quality: 80 })
+        .toBuffer(),
+    }))
+  );
+};
+
+/**
+ * Store rendered avatar images of a user
+ * @param {Object} user - Owner of the avatar
+ * @param {Array} renders - Output of renderAvatar
+ * @returns {Object} { url, public_id, size } for User.profilePicture
+ */
+export const saveAvatar = async (user, renders) => {
+  const storage = getStorage();
+  const companyId = user.company._id || user.company;
+  const publicId = `avatars/${companyId}/${user._id}/${crypto
+    .randomBytes(8)
+    .toString("hex")}`;
+
+  try {
+    const stored = await Promise.all(
+      renders.map(({ size, body }) =>
+        storage.save({
+          key: `${publicId}/${size}.webp`,
+          body,
+          contentType: "image/webp",
+        })
+      )
+    );
+
+    return {
+      url: stored[AVATAR_SIZES.indexOf(DEFAULT_SIZE)].url,
+      public_id: publicId,
+      size: renders.reduce((total, { body }) => total + body.length, 0),
+    };
+  } catch (error) {
+    await storage.removePrefix(publicId).catch(() => {});
+    throw error;
+  }
+};
+
+// Remove every stored size of an avatar
+export const removeAvatar = (profilePicture) =>
+  profilePicture?.public_id
+    ? getStorage().removePrefix(profilePicture.public_id)
+    : Promise.resolve();
+
+// URL of each size, keyed by pixel width
+export const getAvatarUrls = (profilePicture) =>
+  profilePicture?.url
+    ? Object.fromEntries(
+        AVATAR_SIZES.map((size) => [
+          size,
+          profilePicture.url.replace(/\/\d+\.webp$/, `/${size}.webp`),
+        ])
+      )
+    : null;
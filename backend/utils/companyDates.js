@@ -0,0 +1,43 @@
+// backend/utils/companyDates.js
+// Calendar days are days of the company time zone, not of the server. A
+// date-only value such as "2026-10-20" is resolved against company settings.
+import dayjs from "dayjs";
+import utc from "dayjs/plugin/utc.js";
+import timezone from "dayjs/plugin/timezone.js";
+
+import { getCompanyTimezone, getWorkingHours } from "./companySettings.js";
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+export const isDateOnly = (value) =>
+  typeof value === "string" && DATE_ONLY.test(value);
+
+// First and last instant of a day in the company time zone
+export const startOfCompanyDay = (day, company) =>
+  dayjs.tz(day, getCompanyTimezone(company)).startOf("day").toDate();
+
+export const endOfCompanyDay = (day, company) =>
+  dayjs.tz(day, getCompanyTimezone(company)).endOf("day").toDate();
+
+/**
+ * Parse the due date of a task
+ * @param {String|Date} value - ISO date-time, or a date-only day
+ * @param {Object} company - Company with settings
+ * @returns {Date} A day resolves to the end of the company working hours
+ */
+export const parseDueDate = (value, company) =>
+  isDateOnly(value)
+    ? dayjs
+        .tz(
+          `${value} ${getWorkingHours(company).end}`,
+          getCompanyTimezone(company)
+        )
+        .toDate()
+    : new Date(value);
+
+// Calendar date of an instant in the company time zone, e.g. "Tue Oct 20 2026"
+export const formatCompanyDate = (date, company) =>
+  dayjs(date).tz(getCompanyTimezone(company)).format("ddd MMM DD YYYY");
@@ -0,0 +1,132 @@
+// backend/utils/companyExport.js
+// Full export of a company's data: one JSON file per collection plus CSV files
+// for the tabular ones. Secrets are never included: password hashes, MFA
+// secrets and recovery codes are excluded by the User schema, token hashes
+// and payment identifiers are removed here.
+import {
+  Company,
+  Department,
+  User,
+  Role,
+  Task,
+  TaskActivity,
+  RoutineTask,
+  Notification,
+} from "../models/index.js";
+import { toCsv } from "./csv.js";
+import { createZip } from "./zip.js";
+
+const toJsonFile = (name, data) => ({
+  name: `${name}.json`,
+  content: JSON.stringify(data, null, 2),
+});
+
+const toCsvFile = (name, columns, rows) => ({
+  name: `${name}.csv`,
+  content: toCsv(
+    columns.map(([header]) => header),
+    rows.map((row) => columns.map(([, pick]) => pick(row)))
+  ),
+});
+
+const id = (value) => value?.toString() ?? "";
+const date = (value) => (value ? new Date(value).toISOString() : "");
+
+const USER_COLUMNS = [
+  ["ID", (user) => id(user._id)],
+  ["First name", (user) => user.firstName],
+  ["Last name", (user) => user.lastName],
+  ["Email", (user) => user.email],
+  ["Role", (user) => user.role],
+  ["Department ID", (user) => id(user.department)],
+  ["Employee ID", (user) => user.employeeId],
+  ["Skills", (user) => (user.skills || []).join("; ")],
+  ["Hire date", (user) => date(user.hireDate)],
+  ["Active", (user) => user.isActive],
+  ["Verified", (user) => user.isVerified],
+  ["Last login", (user) => date(user.lastLogin)],
+  ["Created at", (user) => date(user.createdAt)],
+];
+
+const DEPARTMENT_COLUMNS = [
+  ["ID", (department) => id(department._id)],
+  ["Name", (department) => department.name],
+  ["Description", (department) => department.description],
+  ["Managers", (department) => (department.managers || []).map(id).join("; ")],
+  ["Active", (department) => department.isActive],
+  ["Created at", (department) => date(department.createdAt)],
+];
+
+const TASK_COLUMNS = [
+  ["ID", (task) => id(task._id)],
+  ["Type", (task) => task.taskType],
+  ["Title", (task) => task.title],
+  ["Description", (task) => task.description],
+  ["Status", (task) => task.status],
+  ["Priority", (task) => task.priority],
+  ["Location", (task) => task.location],
+  ["Due date", (task) => date(task.dueDate)],
+  ["Department ID", (task) => id(task.department)],
+  ["Created by", (task) => id(task.createdBy)],
+  ["Assigned to", (task) => (task.assignedTo || []).map(id).join("; ")],
+  ["Client", (task) => task.clientInfo?.name],
+  ["Created at", (task) => date(task.createdAt)],
+];
+
+/**
+ * Build the export archive of a company
+ * @param {ObjectId} companyId - Company to export
+ * @returns {Buffer} Zip archive
+ */
+export const buildCompanyExport = async (companyId) => {
+  const company = await Company.findById(companyId).lean();
+
+  const [departments, users, roles, tasks, routineTasks, notifications] =
+    await Promise.all([
+      Department.find({ company: companyId }).lean(),
+      User.find({ company: companyId }).lean(),
+      Role.find({ company: companyId }).lean(),
+      Task.find({ company: companyId }).lean(),
+      RoutineTask.find({ company: companyId }).lean(),
+      Notification.find({ company: companyId }).lean(),
+    ]);
+
+  const activities = await TaskActivity.find({
+    task: { $in: tasks.map((task) => task._id) },
+  }).lean();
+
+  // Payment identifiers stay with the payment provider
+  if (company?.subscription) delete company.subscription.providerCustomerId;
+
+  const exportedAt = new Date();
+
+  return createZip(
+    [
+      toJsonFile("manifest", {
+        company: company?.name,
+        exportedAt,
+        counts: {
+          departments: departments.length,
+          users: users.length,
+          roles: roles.length,
+          tasks: tasks.length,
+          taskActivities: activities.length,
+          routineTasks: routineTasks.length,
+          notifications: notifications.length,
+        },
+      }),
+      toJsonFile("company", company),
+      toJsonFile("departments", departments),
+      toCsvFile("departments", DEPARTMENT_COLUMNS, departments),
+      toJsonFile("users", users),
+      toCsvFile("users", USER_COLUMNS, users),
+      toJsonFile("roles", roles),
+      toJsonFile("tasks", tasks),
+      toCsvFile("tasks", TASK_COLUMNS, tasks),
+      toJsonFile("task-activities", activities),
+      toJsonFile("routine-tasks", routineTasks),
+      toJsonFile("notifications", notifications),
+    ],
+    exportedAt
+  );
+};
@@ -0,0 +1,86 @@
+// backend/utils/companyPurge.js
+// Permanently removes a company and everything that belongs to it. Every
+// model exported by models/index.js must have a rule below, so adding a model
+// without deciding how it is purged fails loudly instead of leaving data behind.
+import * as models from "../models/index.js";
+import { emailKey } from "./loginThrottle.js";
+import { getStorage } from "./storage.js";
+
+// Models whose documents reach the company through another document
+const INDIRECT_FILTERS = {
+  TaskActivity: ({ taskIds }) => ({ task: { $in: taskIds } }),
+  AuthToken: ({ userIds }) => ({ user: { $in: userIds } }),
+  LoginAttempt: ({ emails }) => ({ key: { $in: emails.map(emailKey) } }),
+};
+
+// Build the delete filter of a model, or null when it is not purgeable
+const getFilter = (model, companyId, refs) => {
+  // Discriminators share the collection of their base model
+  if (model.baseModelName) return undefined;
+  if (model.modelName === "Company") return { _id: companyId };
+  if (INDIRECT_FILTERS[model.modelName]) {
+    return INDIRECT_FILTERS[model.modelName](refs);
+  }
+  if (model.schema.path("company")) return { company: companyId };
+  return null;
+};
+
+/**
+ * Delete a company and all of its data
+ * @param {ObjectId} companyId - Company to delete
+ * @returns {Object} Deleted document count per model
+ */
+export const purgeCompany = async (companyId) => {
+  const [users, taskIds] = await Promise.all([
+    models.User.find({ company: companyId }).select("email").lean(),
+    models.Task.find({ company: companyId }).distinct("_id"),
+  ]);
+
+  const refs = {
+    userIds: users.map((user) => user._id),
+    emails: users.map((user) => user.email),
+    taskIds,
+  };
+
+  // Resolve every filter before deleting anything
+  const plan = Object.values(models).map((model) => ({
+    model,
+    filter: getFilter(model, companyId, refs),
+  }));
+
+  const unknown = plan.filter(({ filter }) => filter === null);
+  if (unknown.length > 0) {
+    throw new Error(
+      `No purge rule for model(s): ${unknown
+        .map(({ model }) => model.modelName)
+        .join(", ")}`
+    );
+  }
+
+  // Indirect documents go before the users and tasks they are found through,
+  // and the company last, so a failed run can be retried
+  const rank = ({ model }) =>
+    INDIRECT_FILTERS[model.modelName]
+      ? 0
+      : model.modelName === "Company"
+        ? 2
+        : 1;
+  const ordered = plan
+    .filter(({ filter }) => filter)
+    .sort((a, b) => rank(a) - rank(b));
+
+  // Stored files first, they are unreachable once their owners are gone
+  await Promise.all(
+    ["avatars", "attachments"].map((folder) =>
+      getStorage().removePrefix(`${folder}/${companyId}`)
+    )
+  );
+
+  const deleted = {};
+  for (const { model, filter } of ordered) {
+    const { deletedCount } = await model.deleteMany(filter);
+    deleted[model.modelName] = deletedCount;
+  }
+
+  return deleted;
+};
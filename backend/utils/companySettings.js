@@ -0,0 +1,35 @@
+// backend/utils/companySettings.js
+// Read company-wide settings, falling back to schema defaults for companies
+// loaded without the settings sub-document.
+
+// Notification type -> settings.notifications key
+const NOTIFICATION_SETTING_KEYS = {
+  TaskAssignment: "taskAssignment",
+  TaskUpdate: "taskUpdate",
+  StatusChange: "statusChange",
+  TaskCompletion: "taskCompletion",
+};
+
+export const getDefaultTaskPriority = (company) =>
+  company?.settings?.defaultTaskPriority || "Medium";
+
+export const getCompanyTimezone = (company) =>
+  company?.settings?.timezone || "Africa/Addis_Ababa";
+
+export const getWorkingHours = (company) => ({
+  start: company?.settings?.workingHours?.start || "08:30",
+  end: company?.settings?.workingHours?.end || "17:30",
+  workDays: company?.settings?.workingHours?.workDays || [1, 2, 3, 4, 5],
+});
+
+// Notification types without a setting are always sent
+export const isNotificationEnabled = (company, type) => {
+  const key = NOTIFICATION_SETTING_KEYS[type];
+  return !key || company?.settings?.notifications?.[key] !== false;
+};
+
+// Keep only notifications the company has enabled
+export const filterEnabledNotifications = (company, notifications) =>
+  notifications.filter((notification) =>
+    isNotificationEnabled(company, notification.type)
+  );
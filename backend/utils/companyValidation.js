@@ -0,0 +1,103 @@
+// backend/utils/companyValidation.js
+// Company profile rules shared by registration and the company endpoints.
+import CustomError from "../errorHandler/CustomError.js";
+
+export const EMAIL_REGEX = /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/;
+export const PHONE_REGEX = /^(09\d{8}|\+2519\d{8})$/;
+
+export const COMPANY_SIZES = [
+  "1-10 Employees",
+  "11-50 Employees",
+  "51-200 Employees",
+  "201-500 Employees",
+  "500+ Employees",
+];
+
+export const COMPANY_INDUSTRIES = [
+  "Hospitality",
+  "Technology",
+  "Healthcare",
+  "Finance",
+  "Education",
+  "Retail",
+  "Manufacturing",
+  "Consulting",
+  "Other",
+];
+
+// Phone numbers are stored in international format
+export const normalizePhone = (phone) =>
+  phone.trim().startsWith("09")
+    ? phone.trim().replace("09", "+2519")
+    : phone.trim();
+
+/**
+ * Validate company profile fields, skipping fields that are not provided
+ * @param {Object} data - { name, email, phone, address, size, industry, logo }
+ * @returns {CustomError|null} First validation error found
+ */
+export const validateCompanyData = ({
+  name,
+  email,
+  phone,
+  address,
+  size,
+  industry,
+  logo,
+}) => {
+  if (email !== undefined && !EMAIL_REGEX.test(email.trim())) {
+    return new CustomError(
+      "Invalid company email format",
+      400,
+      "INVALID_EMAIL_FORMAT"
+    );
+  }
+
+  if (phone !== undefined && !PHONE_REGEX.test(phone.trim())) {
+    return new CustomError(
+      "Invalid phone number format for Ethiopia",
+      400,
+      "INVALID_PHONE_FORMAT"
+    );
+  }
+
+  if (
+    name !== undefined &&
+    (name.trim().length < 2 || name.trim().length > 100)
+  ) {
+    return new CustomError(
+      "Company name must be between 2 and 100 characters",
+      400,
+      "INVALID_COMPANY_NAME_LENGTH"
+    );
+  }
+
+  if (
+    address !== undefined &&
+    (address.trim().length < 2 || address.trim().length > 100)
+  ) {
+    return new CustomError(
+      "Company address must be between 2 and 100 characters",
+      400,
+      "INVALID_COMPANY_ADDRESS_LENGTH"
+    );
+  }
+
+  if (size && !COMPANY_SIZES.includes(size)) {
+    return new CustomError("Invalid company size", 400, "INVALID_COMPANY_SIZE");
+  }
+
+  if (industry && !COMPANY_INDUSTRIES.includes(industry)) {
+    return new CustomError(
+      "Invalid industry type",
+      400,
+      "INVALID_INDUSTRY_TYPE"
+    );
+  }
+
+  if (logo && !/^https?:\/\//.test(logo)) {
+    return new CustomError("Logo must be a valid URL", 400, "INVALID_LOGO_URL");
+  }
+
+  return null;
+};
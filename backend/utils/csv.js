@@ -0,0 +1,71 @@
+// backend/utils/csv.js
+// Minimal RFC 4180 CSV reading and writing: quoted fields may contain commas,
+// quotes ("") and line breaks.
+
+/**
+ * Parse CSV text into rows of trimmed string cells
+ * @param {string} text - CSV content, LF or CRLF line endings
+ * @returns {Array<Array<string>>} Rows without blank lines
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  // Strip the byte order mark spreadsheet exports often start with
+  const input = text.replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field.trim());
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(field.trim());
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error("Unterminated quoted field");
+  }
+
+  row.push(field.trim());
+  rows.push(row);
+
+  return rows.filter((cells) => cells.some((cell) => cell !== ""));
+};
+
+// Quote when needed and defuse spreadsheet formulas
+const formatCell = (value) => {
+  let cell = value === undefined || value === null ? "" : String(value);
+  if (/^[=+\-@]/.test(cell)) cell = `'${cell}`;
+  return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+};
+
+/**
+ * Build CSV text from a header and rows of values
+ * @param {Array<string>} header - Column names
+ * @param {Array<Array>} rows - Values in header order
+ * @returns {string} CSV with CRLF line endings
+ */
+export const toCsv = (header, rows) =>
+  [header, ...rows].map((row) => row.map(formatCell).join(",")).join("\r\n");
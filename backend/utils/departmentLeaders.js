@@ -0,0 +1,31 @@
+// backend/utils/departmentLeaders.js
+import { User, Department } from "../models/index.js";
+import { getManagerialRoleNames } from "./permissions.js";
+
+// Active managers of a department, including those managing it from another
+// department
+export const findDepartmentLeaders = async (
+  companyId,
+  departmentId,
+  session = null
+) => {
+  const { managers = [] } =
+    (await Department.findById(departmentId)
+      .select("managers")
+      .session(session)
+      .lean()) || {};
+
+  return User.find({
+    company: companyId,
+    isActive: true,
+    $or: [
+      {
+        department: departmentId,
+        role: { $in: await getManagerialRoleNames(companyId) },
+      },
+      { _id: { $in: managers } },
+    ],
+  })
+    .session(session)
+    .lean();
+};
@@ -0,0 +1,48 @@
+// backend/utils/diskStorage.js
+// Default storage adapter, writing files under UPLOAD_DIR. app.js serves its
+// public avatars folder at /uploads, set UPLOAD_BASE_URL when a CDN or proxy
+// serves it.
+import fs from "fs/promises";
+import { createReadStream } from "fs";
+import path from "path";
+
+export const getUploadDir = () =>
+  path.resolve(process.env.UPLOAD_DIR || "uploads");
+
+const getBaseUrl = () =>
+  (process.env.UPLOAD_BASE_URL || "/uploads").replace(/\/$/, "");
+
+// Resolve a key inside the upload directory, refusing keys that escape it
+const resolveKey = (key) => {
+  const root = getUploadDir();
+  const filePath = path.resolve(root, key);
+
+  if (!filePath.startsWith(root + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+
+  return filePath;
+};
+
+const diskStorage = {
+  name: "disk",
+
+  async save({ key, body }) {
+    const filePath = resolveKey(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, body);
+    return { url: `${getBaseUrl()}/${key}` };
+  },
+
+  async read(key) {
+    const filePath = resolveKey(key);
+    await fs.access(filePath);
+    return createReadStream(filePath);
+  },
+
+  async removePrefix(prefix) {
+    await fs.rm(resolveKey(prefix), { recursive: true, force: true });
+  },
+};
+
+export default diskStorage;
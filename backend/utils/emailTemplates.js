@@ -0,0 +1,225 @@
+// backend/utils/emailTemplates.js
+// Read when an email is built, .env is loaded after the modules are imported
+const getAppName = () => process.env.APP_NAME || "Task Manager";
+
+const HTML_ENTITIES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+const escapeHtml = (value) =>
+  String(value ?? "").replace(/[&<>"']/g, (char) => HTML_ENTITIES[char]);
+
+// Template tag for HTML bodies. Names and other values come from tenants and
+// invitees, so every interpolated value is escaped.
+const escaped = (strings, ...values) =>
+  strings.reduce(
+    (result, string, index) => result + escapeHtml(values[index - 1]) + string
+  );
+
+const layout = (heading, body) => `
+  <div style="font-family: Arial, sans-serif; max-width: 560px; margin: auto;">
+    <h2>${escapeHtml(heading)}</h2>
+    ${body}
+    <p style="color: #888; font-size: 12px;">${escapeHtml(getAppName())}</p>
+  </div>
+`;
+
+export const verificationEmail = ({ firstName, code, expiresInHours }) => ({
+  subject: `${getAppName()} - Verify your email`,
+  text: `Hi ${firstName},\n\nYour verification code is ${code}. It expires in ${expiresInHours} hours.\n\nIf you did not request this, you can ignore this email.`,
+  html: layout(
+    "Verify your email",
+    escaped`<p>Hi ${firstName},</p>
+     <p>Your verification code is:</p>
+     <p style="font-size: 24px; letter-spacing: 4px;"><strong>${code}</strong></p>
+     <p>It expires in ${expiresInHours} hours.</p>
+     <p>If you did not request this, you can ignore this email.</p>`
+  ),
+});
+
+export const passwordResetEmail = ({
+  firstName,
+  resetUrl,
+  expiresInMinutes,
+}) => ({
+  subject: `${getAppName()} - Reset your password`,
+  text: `Hi ${firstName},\n\nWe received a request to reset your password. Open the link below to choose a new one. It expires in ${expiresInMinutes} minutes.\n\n${resetUrl}\n\nIf you did not request this, you can ignore this email.`,
+  html: layout(
+    "Reset your password",
+    escaped`<p>Hi ${firstName},</p>
+     <p>We received a request to reset your password. Use the link below to choose a new one. It expires in ${expiresInMinutes} minutes.</p>
+     <p><a href="${resetUrl}">Reset password</a></p>
+     <p>If you did not request this, you can ignore this email.</p>`
+  ),
+});
+
+export const passwordChangedEmail = ({ firstName }) => ({
+  subject: `${getAppName()} - Your password was changed`,
+  text: `Hi ${firstName},\n\nYour password was just changed and all active sessions were signed out.\n\nIf you did not do this, contact your administrator immediately.`,
+  html: layout(
+    "Your password was changed",
+    escaped`<p>Hi ${firstName},</p>
+     <p>Your password was just changed and all active sessions were signed out.</p>
+     <p>If you did not do this, contact your administrator immediately.</p>`
+  ),
+});
+
+export const emailChangeConfirmationEmail = ({
+  firstName,
+  confirmUrl,
+  expiresInMinutes,
+}) => ({
+  subject: `${getAppName()} - Confirm your new email address`,
+  text: `Hi ${firstName},\n\nConfirm this address as your new login email by opening the link below. It expires in ${expiresInMinutes} minutes.\n\n${confirmUrl}\n\nIf you did not request this, you can ignore this email.`,
+  html: layout(
+    "Confirm your new email address",
+    escaped`<p>Hi ${firstName},</p>
+     <p>Confirm this address as your new login email. The link expires in ${expiresInMinutes} minutes.</p>
+     <p><a href="${confirmUrl}">Confirm email address</a></p>
+     <p>If you did not request this, you can ignore this email.</p>`
+  ),
+});
+
+export const emailChangedEmail = ({ firstName, newEmail }) => ({
+  subject: `${getAppName()} - Your email address was changed`,
+  text: `Hi ${firstName},\n\nThe login email of your account was changed to ${newEmail}.\n\nIf you did not do this, contact your administrator immediately.`,
+  html: layout(
+    "Your email address was changed",
+    escaped`<p>Hi ${firstName},</p>
+     <p>The login email of your account was changed to <strong>${newEmail}</strong>.</p>
+     <p>If you did not do this, contact your administrator immediately.</p>`
+  ),
+});
+
+export const accountLockedEmail = ({ firstName, lockMinutes, ip }) => ({
+  subject: `${getAppName()} - Your account was temporarily locked`,
+  text: `Hi ${firstName},\n\nYour account was locked for ${lockMinutes} minutes after too many failed login attempts (last attempt from ${ip}).\n\nIf this was not you, reset your password once the lock expires and contact your administrator.`,
+  html: layout(
+    "Your account was temporarily locked",
+    escaped`<p>Hi ${firstName},</p>
+     <p>Your account was locked for ${lockMinutes} minutes after too many failed login attempts (last attempt from ${ip}).</p>
+     <p>If this was not you, reset your password once the lock expires and contact your administrator.</p>`
+  ),
+});
+
+export const invitationEmail = ({
+  companyName,
+  inviterName,
+  role,
+  departmentName,
+  acceptUrl,
+  expiresInDays,
+}) => ({
+  subject: `${getAppName()} - You're invited to join ${companyName}`,
+  text: `Hi,\n\n${inviterName} invited you to join ${companyName} as ${role} in the ${departmentName} department.\n\nAccept the invitation and set up your account here. The link expires in ${expiresInDays} days.\n\n${acceptUrl}`,
+  html: layout(
+    `You're invited to join ${companyName}`,
+    escaped`<p>Hi,</p>
+     <p>${inviterName} invited you to join <strong>${companyName}</strong> as ${role} in the ${departmentName} department.</p>
+     <p><a href="${acceptUrl}">Accept invitation</a></p>
+     <p>The link expires in ${expiresInDays} days.</p>`
+  ),
+});
+
+export const subscriptionExpiringEmail = ({
+  firstName,
+  companyName,
+  isTrial,
+  daysLeft,
+  endDate,
+  billingUrl,
+}) => {
+  const period = isTrial ? "free trial" : "subscription";
+  return {
+    subject: `${getAppName()} - Your ${period} ends in ${daysLeft} day(s)`,
+    text: `Hi ${firstName},\n\nThe ${period} of ${companyName} ends on ${endDate}. Renew before then to keep your team working without interruption.\n\n${billingUrl}`,
+    html: layout(
+      `Your ${period} ends in ${daysLeft} day(s)`,
+      escaped`<p>Hi ${firstName},</p>
+     <p>The ${period} of <strong>${companyName}</strong> ends on ${endDate}. Renew before then to keep your team working without interruption.</p>
+     <p><a href="${billingUrl}">Renew subscription</a></p>`
+    ),
+  };
+};
+
+export const subscriptionPastDueEmail = ({
+  firstName,
+  companyName,
+  suspendOn,
+  billingUrl,
+}) => ({
+  subject: `${getAppName()} - Your subscription has expired`,
+  text: `Hi ${firstName},\n\nThe subscription of ${companyName} has expired. Your account stays available during a grace period and will be suspended on ${suspendOn} unless it is renewed.\n\n${billingUrl}`,
+  html: layout(
+    "Your subscription has expired",
+    escaped`<p>Hi ${firstName},</p>
+     <p>The subscription of <strong>${companyName}</strong> has expired. Your account stays available during a grace period and will be suspended on ${suspendOn} unless it is renewed.</p>
+     <p><a href="${billingUrl}">Renew subscription</a></p>`
+  ),
+});
+
+export const subscriptionSuspendedEmail = ({
+  firstName,
+  companyName,
+  billingUrl,
+}) => ({
+  subject: `${getAppName()} - Your account has been suspended`,
+  text: `Hi ${firstName},\n\n${companyName} has been suspended because its subscription was not renewed. Your data is kept. Users who manage billing can still sign in and renew to restore access for everyone.\n\n${billingUrl}`,
+  html: layout(
+    "Your account has been suspended",
+    escaped`<p>Hi ${firstName},</p>
+     <p><strong>${companyName}</strong> has been suspended because its subscription was not renewed. Your data is kept.</p>
+     <p>Users who manage billing can still sign in and renew to restore access for everyone.</p>
+     <p><a href="${billingUrl}">Renew subscription</a></p>`
+  ),
+});
+
+export const companyDeletionConfirmationEmail = ({
+  firstName,
+  companyName,
+  confirmUrl,
+  expiresInMinutes,
+  delayDays,
+}) => ({
+  subject: `${getAppName()} - Confirm deletion of ${companyName}`,
+  text: `Hi ${firstName},\n\nYou asked to delete ${companyName} and all of its data. Open the link below to confirm. It expires in ${expiresInMinutes} minutes. Once confirmed, the deletion runs after ${delayDays} days and can be cancelled until then.\n\n${confirmUrl}\n\nIf you did not request this, change your password immediately.`,
+  html: layout(
+    "Confirm company deletion",
+    escaped`<p>Hi ${firstName},</p>
+     <p>You asked to delete <strong>${companyName}</strong> and all of its data. Use the link below to confirm. It expires in ${expiresInMinutes} minutes.</p>
+     <p>Once confirmed, the deletion runs after ${delayDays} days and can be cancelled until then.</p>
+     <p><a href="${confirmUrl}">Confirm deletion</a></p>
+     <p>If you did not request this, change your password immediately.</p>`
+  ),
+});
+
+export const companyDeletionScheduledEmail = ({
+  firstName,
+  companyName,
+  scheduledFor,
+  settingsUrl,
+}) => ({
+  subject: `${getAppName()} - ${companyName} will be deleted`,
+  text: `Hi ${firstName},\n\n${companyName} and all of its data will be permanently deleted on ${scheduledFor}. Download an export before then if you need one. SuperAdmins can cancel the deletion until that date.\n\n${settingsUrl}`,
+  html: layout(
+    "Company deletion scheduled",
+    escaped`<p>Hi ${firstName},</p>
+     <p><strong>${companyName}</strong> and all of its data will be permanently deleted on ${scheduledFor}.</p>
+     <p>Download an export before then if you need one. SuperAdmins can cancel the deletion until that date.</p>
+     <p><a href="${settingsUrl}">Company settings</a></p>`
+  ),
+});
+
+export const companyDeletionCancelledEmail = ({ firstName, companyName }) => ({
+  subject: `${getAppName()} - Deletion of ${companyName} cancelled`,
+  text: `Hi ${firstName},\n\nThe scheduled deletion of ${companyName} has been cancelled. Your data is kept.`,
+  html: layout(
+    "Company deletion cancelled",
+    escaped`<p>Hi ${firstName},</p>
+     <p>The scheduled deletion of <strong>${companyName}</strong> has been cancelled. Your data is kept.</p>`
+  ),
+});
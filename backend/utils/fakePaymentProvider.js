@@ -0,0 +1,55 @@
+// backend/utils/fakePaymentProvider.js
+// Offline payment provider for development and manual testing.
+// Every charge succeeds except with the payment method "pm_card_declined".
+import crypto from "crypto";
+
+export const DECLINED_PAYMENT_METHOD = "pm_card_declined";
+
+const charges = [];
+const chargesByKey = new Map();
+
+const fakePaymentProvider = {
+  name: "fake",
+
+  async createCustomer({ companyId, email, name }) {
+    return { id: `cus_fake_${companyId}`, email, name };
+  },
+
+  async charge({
+    customerId,
+    amount,
+    currency,
+    description,
+    paymentMethod,
+    idempotencyKey,
+  }) {
+    if (idempotencyKey && chargesByKey.has(idempotencyKey)) {
+      return chargesByKey.get(idempotencyKey);
+    }
+
+    const charge = {
+      id: `ch_fake_${crypto.randomBytes(8).toString("hex")}`,
+      customerId,
+      amount,
+      currency,
+      description,
+      status:
+        paymentMethod === DECLINED_PAYMENT_METHOD ? "failed" : "succeeded",
+      failureReason:
+        paymentMethod === DECLINED_PAYMENT_METHOD ? "Card declined" : null,
+      createdAt: new Date(),
+    };
+    charges.push(charge);
+    if (idempotencyKey) chargesByKey.set(idempotencyKey, charge);
+    return charge;
+  },
+
+  // Charges made since the process started, newest last
+  listCharges(customerId) {
+    return charges.filter(
+      (charge) => !customerId || charge.customerId === customerId
+    );
+  },
+};
+
+export default fakePaymentProvider;
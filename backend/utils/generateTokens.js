@@ -1,18 +1,22 @@
+import crypto from "crypto";
 import jwt from "jsonwebtoken";
 
 // Token max ages
 const ACCESS_TOKEN_MAX_AGE = 15 * 60 * 1000; // 15 minutes
 const REFRESH_TOKEN_MAX_AGE = 7 * 24 * 60 * 60 * 1000; // 7 days
 
-export const generateAccessToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_ACCESS_SECRET, {
+// sid links the access token to its server-side session
+export const generateAccessToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sid: sessionId }, process.env.JWT_ACCESS_SECRET, {
     expiresIn: process.env.JWT_ACCESS_EXPIRES_IN || "15m",
   });
 };
 
-export const generateRefreshToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_REFRESH_SECRET, {
+// jwtid makes every rotated token unique, even within the same second
+export const generateRefreshToken = (userId, family) => {
+  return jwt.sign({ userId, family }, process.env.JWT_REFRESH_SECRET, {
     expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || "7d",
+    jwtid: crypto.randomUUID(),
   });
 };
 
@@ -32,3 +36,12 @@ export const getRefreshTokenCookieOptions = () => ({
   maxAge: REFRESH_TOKEN_MAX_AGE, // 7 days
   path: "/api/auth/refresh-token",
 });
+
+// Signed invitation link token, tokenVersion invalidates resent links
+export const generateInvitationToken = (invitation, expiresInSeconds) => {
+  return jwt.sign(
+    { invitationId: invitation._id, version: invitation.tokenVersion },
+    process.env.JWT_INVITE_SECRET,
+    { expiresIn: expiresInSeconds }
+  );
+};
@@ -0,0 +1,38 @@
+// backend/utils/invitations.js
+// Invitation links and emails shared by single invites and bulk imports.
+import { Department } from "../models/index.js";
+import { generateInvitationToken } from "./generateTokens.js";
+import { sendEmail } from "./mailer.js";
+import { invitationEmail } from "./emailTemplates.js";
+
+export const INVITATION_EXPIRES_IN_DAYS = 7;
+
+const getClientUrl = () => process.env.CLIENT_URL || "http://localhost:3000";
+
+// Expiry date of an invitation sent now
+export const getInvitationExpiry = () =>
+  new Date(Date.now() + INVITATION_EXPIRES_IN_DAYS * 24 * 60 * 60 * 1000);
+
+// Sign a fresh link for the invitation and email it to the invitee
+export const sendInvitation = async (invitation, { inviter, companyName }) => {
+  const department = await Department.findById(invitation.department)
+    .select("name")
+    .lean();
+
+  const token = generateInvitationToken(
+    invitation,
+    Math.floor((invitation.expiresAt.getTime() - Date.now()) / 1000)
+  );
+
+  await sendEmail({
+    to: invitation.email,
+    ...invitationEmail({
+      companyName,
+      inviterName: `${inviter.firstName} ${inviter.lastName}`,
+      role: invitation.role,
+      departmentName: department?.name,
+      acceptUrl: `${getClientUrl()}/accept-invite/${token}`,
+      expiresInDays: INVITATION_EXPIRES_IN_DAYS,
+    }),
+  });
+};
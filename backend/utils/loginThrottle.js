@@ -0,0 +1,169 @@
+// backend/utils/loginThrottle.js
+// Failed login counters per email and per IP, with progressive delays
+// between attempts and a temporary lockout once a threshold is reached.
+// Failed MFA codes count like wrong passwords, so the password and the
+// second step share one lockout.
+import { LoginAttempt } from "../models/index.js";
+import CustomError from "../errorHandler/CustomError.js";
+import { sendEmail } from "./mailer.js";
+import { accountLockedEmail } from "./emailTemplates.js";
+
+const ATTEMPT_WINDOW = 60 * 60 * 1000; // Counters reset after 1 hour of quiet
+const DELAY_AFTER_FAILURES = 3; // Failures allowed before delays start
+const MAX_DELAY = 30 * 1000; // 30 seconds
+const EMAIL_LOCK_THRESHOLD = 10;
+const IP_LOCK_THRESHOLD = 50;
+export const LOCK_DURATION = 15 * 60 * 1000; // 15 minutes
+
+export const emailKey = (email) =>
+  `email:${String(email).toLowerCase().trim()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+// Required wait after the given number of consecutive failures
+const getDelay = (failedCount) =>
+  failedCount < DELAY_AFTER_FAILURES
+    ? 0
+    : Math.min(2 ** (failedCount - DELAY_AFTER_FAILURES) * 1000, MAX_DELAY);
+
+const retryAfterSeconds = (until) =>
+  Math.max(1, Math.ceil((until.getTime() - Date.now()) / 1000));
+
+/**
+ * Check whether a login attempt may proceed
+ * @returns {CustomError|null} Error to return, with context.retryAfter in seconds
+ */
+export const getLoginBlock = async ({ email, ip }) => {
+  const attempts = await LoginAttempt.find({
+    key: { $in: [emailKey(email), ipKey(ip)] },
+  }).lean();
+
+  const now = Date.now();
+
+  for (const attempt of attempts) {
+    const isEmail = attempt.key.startsWith("email:");
+
+    if (attempt.lockedUntil && attempt.lockedUntil.getTime() > now) {
+      const retryAfter = retryAfterSeconds(attempt.lockedUntil);
+      return isEmail
+        ? new CustomError(
+            `Account is temporarily locked after too many failed login attempts. Try again in ${Math.ceil(retryAfter / 60)} minute(s)`,
+            423,
+            "ACCOUNT_LOCKED",
+            { retryAfter }
+          )
+        : new CustomError(
+            "Too many failed login attempts from this network. Please try again later",
+            429,
+            "IP_TEMPORARILY_BLOCKED",
+            { retryAfter }
+          );
+    }
+
+    const delay = getDelay(attempt.failedCount);
+    const nextAllowedAt = attempt.lastFailedAt?.getTime() + delay;
+    if (delay > 0 && nextAllowedAt > now) {
+      return new CustomError(
+        "Too many failed login attempts. Please wait before trying again",
+        429,
+        "LOGIN_DELAY_REQUIRED",
+        { retryAfter: retryAfterSeconds(new Date(nextAllowedAt)) }
+      );
+    }
+  }
+
+  return null;
+};
+
+// Count a failure for one key and lock it once the threshold is reached
+const recordFailure = async (key, threshold) => {
+  const now = new Date();
+  const attempt = await LoginAttempt.findOneAndUpdate(
+    { key },
+    {
+      $inc: { failedCount: 1 },
+      $set: {
+        lastFailedAt: now,
+        expiresAt: new Date(now.getTime() + ATTEMPT_WINDOW),
+      },
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  if (attempt.failedCount < threshold) return false;
+
+  // Reset the counter so the next lockout needs a full new series
+  const lockedUntil = new Date(now.getTime() + LOCK_DURATION);
+  const { modifiedCount } = await LoginAttempt.updateOne(
+    { _id: attempt._id, failedCount: attempt.failedCount },
+    {
+      failedCount: 0,
+      lockedUntil,
+      expiresAt: new Date(lockedUntil.getTime() + ATTEMPT_WINDOW),
+    }
+  );
+
+  return modifiedCount > 0;
+};
+
+/**
+ * Record a failed login for the email and the IP
+ * @returns {Object} { accountLocked } true when this failure locked the account
+ */
+export const recordFailedLogin = async ({ email, ip }) => {
+  const [accountLocked] = await Promise.all([
+    recordFailure(emailKey(email), EMAIL_LOCK_THRESHOLD),
+    recordFailure(ipKey(ip), IP_LOCK_THRESHOLD),
+  ]);
+
+  return { accountLocked };
+};
+
+/**
+ * Record a failed login step and pass the matching error to next
+ * @param {Object} options - { email, user, error } where error is returned
+ *   while the account is not locked, invalid credentials by default
+ */
+export const rejectFailedLogin = async (
+  req,
+  res,
+  next,
+  {
+    email,
+    user,
+    error = new CustomError(
+      "Invalid email or password",
+      401,
+      "INVALID_CREDENTIALS"
+    ),
+  }
+) => {
+  const { accountLocked } = await recordFailedLogin({ email, ip: req.ip });
+
+  if (!accountLocked) return next(error);
+
+  if (user) {
+    sendEmail({
+      to: user.email,
+      ...accountLockedEmail({
+        firstName: user.firstName,
+        lockMinutes: LOCK_DURATION / 60000,
+        ip: req.ip,
+      }),
+    }).catch((error) =>
+      console.error("Account locked email error:", error.message)
+    );
+  }
+
+  res.set("Retry-After", String(LOCK_DURATION / 1000));
+  return next(
+    new CustomError(
+      "Account is temporarily locked after too many failed login attempts",
+      423,
+      "ACCOUNT_LOCKED"
+    )
+  );
+};
+
+// Clear the email counter once every login step succeeded
+export const clearFailedLogins = ({ email }) =>
+  LoginAttempt.deleteOne({ key: emailKey(email) });
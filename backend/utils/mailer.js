@@ -0,0 +1,66 @@
+// backend/utils/mailer.js
+import fs from "fs/promises";
+import path from "path";
+import nodemailer from "nodemailer";
+
+let transportInstance = null;
+
+// Supported transports: "smtp" for real delivery, "json" to log messages and
+// "file" to write each message as a JSON file (default outside production)
+const getTransportType = () =>
+  process.env.MAIL_TRANSPORT ||
+  (process.env.NODE_ENV === "production" ? "smtp" : "file");
+
+const createTransport = () => {
+  if (getTransportType() === "smtp") {
+    return nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT || "587", 10),
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+  }
+
+  // Both "json" and "file" render the message without sending it
+  return nodemailer.createTransport({ jsonTransport: true });
+};
+
+// Allows replacing the transport (e.g. a provider SDK or a test double)
+export const setMailTransport = (transport) => {
+  transportInstance = transport;
+};
+
+export const getMailTransport = () => {
+  if (!transportInstance) {
+    transportInstance = createTransport();
+  }
+  return transportInstance;
+};
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} mail - { to, subject, text, html }
+ */
+export const sendEmail = async ({ to, subject, text, html }) => {
+  const info = await getMailTransport().sendMail({
+    from: process.env.MAIL_FROM || "Task Manager <no-reply@taskmanager.local>",
+    to,
+    subject,
+    text,
+    html,
+  });
+
+  const transportType = getTransportType();
+  if (transportType === "file" && info.message) {
+    const outboxDir = process.env.MAIL_OUTBOX_DIR || "mail-outbox";
+    await fs.mkdir(outboxDir, { recursive: true });
+    const fileName = `${Date.now()}-${info.messageId.replace(/[<>@]/g, "")}.json`;
+    await fs.writeFile(path.join(outboxDir, fileName), info.message);
+  } else if (transportType === "json") {
+    console.log(`📧 Email to ${to}: ${subject}`);
+  }
+
+  return info;
+};
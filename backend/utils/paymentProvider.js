@@ -0,0 +1,43 @@
+// backend/utils/paymentProvider.js
+// A payment provider implements:
+//   name: String
+//   createCustomer({ companyId, email, name }) -> { id }
+//   charge({ customerId, amount, currency, description, paymentMethod,
+//     idempotencyKey })
+//     -> { id, status: "succeeded" | "failed", failureReason }
+// Amounts are in cents. A charge repeated with the same idempotencyKey
+// returns the first result instead of charging again.
+import CustomError from "../errorHandler/CustomError.js";
+import fakePaymentProvider from "./fakePaymentProvider.js";
+
+const providers = {
+  fake: fakePaymentProvider,
+};
+
+let providerInstance = null;
+
+// The fake provider is only the default outside production
+const getProviderName = () =>
+  process.env.PAYMENT_PROVIDER ||
+  (process.env.NODE_ENV === "production" ? null : "fake");
+
+// Allows registering a real provider SDK wrapper or a test double
+export const setPaymentProvider = (provider) => {
+  providerInstance = provider;
+};
+
+export const getPaymentProvider = () => {
+  if (providerInstance) return providerInstance;
+
+  const provider = providers[getProviderName()];
+  if (!provider) {
+    throw new CustomError(
+      "Payments are not configured. Please contact support",
+      503,
+      "PAYMENT_PROVIDER_NOT_CONFIGURED"
+    );
+  }
+
+  providerInstance = provider;
+  return providerInstance;
+};
@@ -0,0 +1,130 @@
+// backend/utils/permissions.js
+// Role permission lookups. verifyJWT loads req.permissions (a Set) once per
+// request, controllers use hasPermission for scope decisions.
+import { Role, Department } from "../models/index.js";
+import CustomError from "../errorHandler/CustomError.js";
+import {
+  ALL_PERMISSIONS,
+  DEFAULT_ROLES,
+  USER_MANAGEMENT_PERMISSIONS,
+  ELEVATED_PERMISSIONS,
+  SUPER_ADMIN_ROLE,
+} from "../config/permissions.js";
+
+const findDefaultRole = (roleName) =>
+  DEFAULT_ROLES.find((role) => role.name === roleName);
+
+/**
+ * Permissions granted by a role of a company
+ * Default roles fall back to their built-in permissions until seeded and the
+ * SuperAdmin role always has every permission, including ones added later
+ * @returns {Array} Permission strings
+ */
+export const getRolePermissions = async (companyId, roleName) => {
+  const role = await Role.findOne({ company: companyId, name: roleName })
+    .select("name permissions isSystem")
+    .lean();
+
+  if (role) return getEffectivePermissions(role);
+  return findDefaultRole(roleName)?.permissions || [];
+};
+
+// Permissions a role grants, the SuperAdmin system role grants every one of
+// them whatever is stored
+export const getEffectivePermissions = (role) =>
+  role.isSystem && role.name === SUPER_ADMIN_ROLE
+    ? ALL_PERMISSIONS
+    : role.permissions;
+
+// True when the current user holds at least one of the permissions
+export const hasPermission = (req, ...permissions) =>
+  permissions.some((permission) => req.permissions?.has(permission));
+
+export const grantsUserManagement = (permissions) =>
+  permissions.some((permission) =>
+    USER_MANAGEMENT_PERMISSIONS.includes(permission)
+  );
+
+export const grantsElevatedAccess = (permissions) =>
+  permissions.some((permission) => ELEVATED_PERMISSIONS.includes(permission));
+
+// Roles that manage users also lead the departments they belong to
+export const isManagerialRole = async (companyId, roleName) =>
+  grantsUserManagement(await getRolePermissions(companyId, roleName));
+
+// Names of the company roles that manage users
+export const getManagerialRoleNames = async (companyId) => {
+  const roles = await Role.find({ company: companyId })
+    .select("name permissions")
+    .lean();
+
+  return (roles.length > 0 ? roles : DEFAULT_ROLES)
+    .filter((role) => grantsUserManagement(role.permissions))
+    .map((role) => role.name);
+};
+
+// Nobody grants or manages permissions they do not hold themselves
+const holdsAll = (req, permissions) =>
+  permissions.every((permission) => req.permissions?.has(permission));
+
+// Department-scoped managers also cannot manage other user managers
+const isManageableBy = (req, targetPermissions) =>
+  holdsAll(req, targetPermissions) &&
+  (hasPermission(req, "user.manage") ||
+    (hasPermission(req, "user.manage.department") &&
+      !grantsUserManagement(targetPermissions)));
+
+export const canAssignRole = async (req, roleName) =>
+  holdsAll(req, await getRolePermissions(req.user.company._id, roleName));
+
+export const canManageRole = async (req, roleName) =>
+  isManageableBy(req, await getRolePermissions(req.user.company._id, roleName));
+
+// Names of the roles the current user may manage or assign
+export const getManageableRoleNames = async (req) => {
+  const roles = await Role.find({ company: req.user.company._id })
+    .select("name permissions")
+    .lean();
+
+  return (roles.length > 0 ? roles : DEFAULT_ROLES)
+    .filter((role) => isManageableBy(req, role.permissions))
+    .map((role) => role.name);
+};
+
+// Throw INVALID_ROLE unless the company has a role with this name
+export const assertRoleExists = async (companyId, roleName) => {
+  const exists =
+    typeof roleName === "string" &&
+    ((await Role.exists({ company: companyId, name: roleName })) ||
+      (findDefaultRole(roleName) &&
+        !(await Role.exists({ company: companyId }))));
+
+  if (!exists) {
+    throw new CustomError(
+      `Role "${roleName}" does not exist`,
+      400,
+      "INVALID_ROLE"
+    );
+  }
+};
+
+// Own department or a department the user is listed as a manager of
+export const isInDepartmentScope = async (req, departmentId) =>
+  req.user.department._id.equals(departmentId) ||
+  Boolean(
+    await Department.exists({
+      _id: departmentId,
+      company: req.user.company._id,
+      managers: req.user._id,
+    })
+  );
+
+// Ids of the own department and every department the user manages
+export const getScopedDepartmentIds = async (req) => [
+  req.user.department._id,
+  ...(await Department.find({
+    company: req.user.company._id,
+    managers: req.user._id,
+    _id: { $ne: req.user.department._id },
+  }).distinct("_id")),
+];
@@ -0,0 +1,153 @@
+// backend/utils/planEntitlements.js
+// Plan limits and features, checked by create endpoints before writing.
+import { User, Department, Invitation, TaskActivity } from "../models/index.js";
+import CustomError from "../errorHandler/CustomError.js";
+import plans from "../config/plans.js";
+
+const RESOURCE_LABELS = {
+  users: "users",
+  departments: "departments",
+  storageBytes: "file storage",
+};
+
+const FEATURE_LABELS = {
+  projectTasks: "Project tasks",
+};
+
+// Companies with an unknown plan get basic entitlements
+export const getPlan = (company) =>
+  plans[company?.subscription?.plan] || plans.basic;
+
+// Bytes of task activity attachments and profile pictures stored by the company
+const getStorageUsage = async (companyId) => {
+  const [[attachments], [avatars]] = await Promise.all([
+    TaskActivity.aggregate([
+      {
+        $match: {
+          company: companyId,
+          "attachments.0": { $exists: true },
+        },
+      },
+      { $unwind: "$attachments" },
+      { $group: { _id: null, total: { $sum: "$attachments.size" } } },
+    ]),
+    User.aggregate([
+      { $match: { company: companyId, "profilePicture.size": { $gt: 0 } } },
+      { $group: { _id: null, total: { $sum: "$profilePicture.size" } } },
+    ]),
+  ]);
+
+  return (attachments?.total || 0) + (avatars?.total || 0);
+};
+
+// Seats include pending invitations, as they become users once accepted
+const getSeatUsage = async (companyId) => {
+  const [activeUsers, pendingInvitations] = await Promise.all([
+    User.countDocuments({ company: companyId, isActive: true }),
+    Invitation.countDocuments({
+      company: companyId,
+      status: "Pending",
+      expiresAt: { $gt: new Date() },
+    }),
+  ]);
+
+  return activeUsers + pendingInvitations;
+};
+
+// Limited resource -> usage counter
+const USAGE_COUNTERS = {
+  users: getSeatUsage,
+  departments: (companyId) =>
+    Department.countDocuments({ company: companyId, isActive: true }),
+  storageBytes: getStorageUsage,
+};
+
+/**
+ * Current usage of limited resources, only the requested ones are counted
+ * @param {ObjectId} companyId
+ * @param {Array} resources - Defaults to users, departments and storageBytes
+ * @returns {Object} { [resource]: usage }
+ */
+export const getUsage = async (
+  companyId,
+  resources = Object.keys(USAGE_COUNTERS)
+) =>
+  Object.fromEntries(
+    await Promise.all(
+      resources.map(async (resource) => [
+        resource,
+        await USAGE_COUNTERS[resource](companyId),
+      ])
+    )
+  );
+
+/**
+ * Throw PLAN_LIMIT_EXCEEDED when adding `increment` would pass the plan limit
+ * @param {Object} company - Company document with subscription.plan
+ * @param {String} resource - users, departments or storageBytes
+ * @param {Number} increment - Amount about to be added
+ */
+export const assertWithinPlanLimit = async (
+  company,
+  resource,
+  increment = 1
+) => {
+  const plan = getPlan(company);
+  const limit = plan.limits[resource];
+  if (limit === null || limit === undefined) return;
+
+  const { [resource]: current } = await getUsage(company._id, [resource]);
+
+  if (current + increment > limit) {
+    throw new CustomError(
+      `Your ${plan.name} plan allows up to ${
+        resource === "storageBytes"
+          ? `${Math.round(limit / 1024 / 1024)} MB of`
+          : limit
+      } ${RESOURCE_LABELS[resource]}. Upgrade your plan to add more`,
+      403,
+      "PLAN_LIMIT_EXCEEDED",
+      { resource, limit, current, plan: company?.subscription?.plan }
+    );
+  }
+};
+
+// Throw PLAN_LIMIT_EXCEEDED when current usage does not fit another plan
+export const assertUsageFitsPlan = async (company, planKey) => {
+  const plan = plans[planKey];
+  const usage = await getUsage(
+    company._id,
+    Object.keys(plan.limits).filter(
+      (resource) => plan.limits[resource] !== null
+    )
+  );
+
+  const exceeded = Object.entries(plan.limits).filter(
+    ([resource, limit]) => limit !== null && usage[resource] > limit
+  );
+
+  if (exceeded.length > 0) {
+    throw new CustomError(
+      `Current usage exceeds the ${plan.name} plan limits for ${exceeded
+        .map(([resource]) => RESOURCE_LABELS[resource])
+        .join(", ")}. Reduce usage before changing plan`,
+      403,
+      "PLAN_LIMIT_EXCEEDED",
+      { plan: planKey, exceeded: Object.fromEntries(exceeded), usage }
+    );
+  }
+};
+
+// Throw PLAN_LIMIT_EXCEEDED when the plan does not include a feature
+export const assertPlanFeature = (company, feature) => {
+  const plan = getPlan(company);
+
+  if (!plan.features[feature]) {
+    throw new CustomError(
+      `${FEATURE_LABELS[feature]} are not available on the ${plan.name} plan. Upgrade your plan to use them`,
+      403,
+      "PLAN_LIMIT_EXCEEDED",
+      { feature, plan: company?.subscription?.plan }
+    );
+  }
+};
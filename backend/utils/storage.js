@@ -0,0 +1,38 @@
+// backend/utils/storage.js
+// A storage adapter implements:
+//   name: String
+//   save({ key, body, contentType }) -> { url }
+//   read(key) -> readable stream, rejects with code ENOENT for unknown keys
+//   removePrefix(prefix) -> removes every file stored under prefix/
+// Keys are "/" separated paths, e.g. avatars/<company>/<user>/<id>/256.webp
+import CustomError from "../errorHandler/CustomError.js";
+import diskStorage from "./diskStorage.js";
+
+const adapters = {
+  disk: diskStorage,
+};
+
+let storageInstance = null;
+
+const getAdapterName = () => process.env.STORAGE_ADAPTER || "disk";
+
+// Allows registering a cloud storage wrapper or a test double
+export const setStorage = (adapter) => {
+  storageInstance = adapter;
+};
+
+export const getStorage = () => {
+  if (storageInstance) return storageInstance;
+
+  const adapter = adapters[getAdapterName()];
+  if (!adapter) {
+    throw new CustomError(
+      "File storage is not configured. Please contact support",
+      503,
+      "STORAGE_NOT_CONFIGURED"
+    );
+  }
+
+  storageInstance = adapter;
+  return storageInstance;
+};
@@ -0,0 +1,64 @@
+// backend/utils/subscription.js
+// Subscription status rules shared by authentication and billing.
+import plans from "../config/plans.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Statuses that keep the company usable
+const USABLE_STATUSES = ["trialing", "active", "past_due"];
+
+export const isSubscriptionUsable = (company) =>
+  USABLE_STATUSES.includes(company?.subscription?.status);
+
+// A suspended company keeps billing access open to renew
+// @param {Array|Set} permissions - Permissions of the user's role
+export const canRenewLapsedSubscription = (user, permissions) =>
+  user.company?.subscription?.status === "suspended" &&
+  [...permissions].includes("billing.manage");
+
+// Date the current trial or paid period ends
+export const getSubscriptionEnd = (subscription) =>
+  subscription.status === "trialing"
+    ? subscription.trialEndsAt
+    : subscription.paidThrough;
+
+export const getDaysRemaining = (date, now = new Date()) =>
+  date ? Math.max(0, Math.ceil((date.getTime() - now.getTime()) / DAY)) : null;
+
+export const addDays = (date, days) => new Date(date.getTime() + days * DAY);
+
+export const addMonths = (date, months) => {
+  const result = new Date(date);
+  result.setMonth(result.getMonth() + months);
+  return result;
+};
+
+/**
+ * End of the paid period after paying for months of a plan now. Paying early
+ * for the same plan extends the current trial or paid period. A plan change
+ * starts today, the unused paid time of the previous plan is added converted
+ * at the price ratio of the two plans.
+ * @param {Object} subscription - Company subscription before the payment
+ * @param {Object} renewal - { plan, months, now }
+ * @returns {Date} New paidThrough
+ */
+export const getRenewedPeriodEnd = (
+  subscription,
+  { plan, months, now = new Date() }
+) => {
+  const currentEnd = ["trialing", "active"].includes(subscription.status)
+    ? getSubscriptionEnd(subscription)
+    : null;
+  const remaining = currentEnd > now ? currentEnd.getTime() - now.getTime() : 0;
+
+  // Trial time is free, it is kept whatever the plan
+  if (plan === subscription.plan || subscription.status === "trialing") {
+    return addMonths(new Date(now.getTime() + remaining), months);
+  }
+
+  const credit = Math.floor(
+    (remaining * plans[subscription.plan].monthlyPrice) /
+      plans[plan].monthlyPrice
+  );
+  return new Date(addMonths(now, months).getTime() + credit);
+};
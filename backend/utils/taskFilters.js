@@ -0,0 +1,236 @@
+// backend/utils/taskFilters.js
+// Turns GET /api/tasks query parameters into a MongoDB filter, sort and paging.
+// Multi-value parameters are comma separated (status=To Do,Pending). Every
+// value is validated, so a typo returns a 400 instead of an empty list.
+import mongoose from "mongoose";
+
+import CustomError from "../errorHandler/CustomError.js";
+import {
+  TASK_STATUSES,
+  TASK_PRIORITIES,
+  OPEN_TASK_STATUSES,
+} from "../config/tasks.js";
+import {
+  isDateOnly,
+  startOfCompanyDay,
+  endOfCompanyDay,
+} from "./companyDates.js";
+
+const TASK_TYPES = ["AssignedTask", "ProjectTask"];
+
+// Sort parameter -> task path
+const SORT_FIELDS = {
+  dueDate: "dueDate",
+  priority: "priorityRank",
+  updatedAt: "updatedAt",
+  createdAt: "createdAt",
+  title: "title",
+};
+
+const DEFAULT_SORT = "-createdAt";
+
+const invalidParam = (param, value, expected) =>
+  new CustomError(
+    `Invalid ${param} "${value}". Expected ${expected}`,
+    400,
+    "INVALID_QUERY_PARAMETER",
+    { param, value, expected }
+  );
+
+// Accept both status=a,b and status=a&status=b
+const splitValues = (value) =>
+  (Array.isArray(value) ? value : [value])
+    .flatMap((item) => (typeof item === "string" ? item.split(",") : [item]))
+    .map((item) => (typeof item === "string" ? item.trim() : item))
+    .filter((item) => item !== "");
+
+const parseEnum = (param, value, allowed) =>
+  splitValues(value).map((item) => {
+    if (!allowed.includes(item)) {
+      throw invalidParam(param, item, `one of: ${allowed.join(", ")}`);
+    }
+    return item;
+  });
+
+// User IDs, "me" stands for the current user
+const parseUserIds = (param, value, userId) =>
+  splitValues(value).map((item) => {
+    if (item === "me") return userId;
+    if (typeof item !== "string" || !mongoose.Types.ObjectId.isValid(item)) {
+      throw invalidParam(param, item, 'a user ID or "me"');
+    }
+    return new mongoose.Types.ObjectId(item);
+  });
+
+// A date-only value is a day of the company, an upper bound includes all of it
+const parseDate = (param, value, company, { endOfDay = false } = {}) => {
+  const date = typeof value === "string" ? new Date(value) : new Date(NaN);
+
+  if (isNaN(date.getTime())) {
+    throw invalidParam(param, value, "an ISO 8601 date");
+  }
+
+  if (!isDateOnly(value)) return date;
+
+  return endOfDay
+    ? endOfCompanyDay(value, company)
+    : startOfCompanyDay(value, company);
+};
+
+const parseRange = (query, fromParam, toParam, company) => {
+  const range = {};
+  if (query[fromParam] !== undefined) {
+    range.$gte = parseDate(fromParam, query[fromParam], company);
+  }
+  if (query[toParam] !== undefined) {
+    range.$lte = parseDate(toParam, query[toParam], company, {
+      endOfDay: true,
+    });
+  }
+
+  if (range.$gte && range.$lte && range.$gte > range.$lte) {
+    throw new CustomError(
+      `${fromParam} must not be after ${toParam}`,
+      400,
+      "INVALID_QUERY_PARAMETER",
+      { param: fromParam, value: query[fromParam] }
+    );
+  }
+
+  return Object.keys(range).length > 0 ? range : null;
+};
+
+const parseBoolean = (param, value) => {
+  if (value !== "true" && value !== "false") {
+    throw invalidParam(param, value, "true or false");
+  }
+  return value === "true";
+};
+
+/**
+ * Build the filter of the task list from query parameters
+ * Supported: status, priority, taskType, assignedTo, createdBy, dueFrom,
+ * dueTo, createdFrom, createdTo, overdue and archived
+ * @param {Object} query - req.query
+ * @param {Object} options - { userId, company, now }, date-only values are
+ *   days in the company time zone
+ * @returns {Object} Filter to merge into the base task query
+ */
+export const buildTaskFilter = (
+  query,
+  { userId, company, now = new Date() }
+) => {
+  const conditions = [];
+
+  if (query.status !== undefined) {
+    conditions.push({
+      status: { $in: parseEnum("status", query.status, TASK_STATUSES) },
+    });
+  }
+
+  if (query.priority !== undefined) {
+    conditions.push({
+      priority: { $in: parseEnum("priority", query.priority, TASK_PRIORITIES) },
+    });
+  }
+
+  if (query.taskType !== undefined) {
+    conditions.push({
+      taskType: { $in: parseEnum("taskType", query.taskType, TASK_TYPES) },
+    });
+  }
+
+  if (query.assignedTo !== undefined) {
+    conditions.push({
+      assignedTo: { $in: parseUserIds("assignedTo", query.assignedTo, userId) },
+    });
+  }
+
+  if (query.createdBy !== undefined) {
+    conditions.push({
+      createdBy: { $in: parseUserIds("createdBy", query.createdBy, userId) },
+    });
+  }
+
+  const dueDate = parseRange(query, "dueFrom", "dueTo", company);
+  if (dueDate) conditions.push({ dueDate });
+
+  const createdAt = parseRange(query, "createdFrom", "createdTo", company);
+  if (createdAt) conditions.push({ createdAt });
+
+  // Overdue tasks are past their due date and still open
+  if (query.overdue !== undefined) {
+    conditions.push(
+      parseBoolean("overdue", query.overdue)
+        ? { dueDate: { $lt: now }, status: { $in: OPEN_TASK_STATUSES } }
+        : {
+            $or: [
+              { dueDate: { $gte: now } },
+              { status: { $nin: OPEN_TASK_STATUSES } },
+            ],
+          }
+    );
+  }
+
+  // Archived tasks are only listed on request
+  const archived =
+    query.archived !== undefined && parseBoolean("archived", query.archived);
+  conditions.push({ archivedAt: archived ? { $ne: null } : null });
+
+  return { $and: conditions };
+};
+
+// A whole number within bounds, the default when the parameter is absent
+const parseInteger = (param, value, { min, max = Infinity, fallback }) => {
+  if (value === undefined) return fallback;
+
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw invalidParam(
+      param,
+      value,
+      max === Infinity
+        ? `a whole number of at least ${min}`
+        : `a whole number from ${min} to ${max}`
+    );
+  }
+  return number;
+};
+
+/**
+ * Read page and limit of a paginated list
+ * @param {Object} query - req.query
+ * @param {Object} options - { defaultLimit, maxLimit }
+ * @returns {Object} { page, limit }
+ */
+export const parsePagination = (query, { defaultLimit, maxLimit }) => ({
+  page: parseInteger("page", query.page, { min: 1, fallback: 1 }),
+  limit: parseInteger("limit", query.limit, {
+    min: 1,
+    max: maxLimit,
+    fallback: defaultLimit,
+  }),
+});
+
+/**
+ * Build the sort of the task list, e.g. sort=-priority,dueDate
+ * @param {String} sort - Comma separated fields, "-" for descending
+ * @returns {Object} Mongoose sort with _id as the tie breaker
+ */
+export const buildTaskSort = (sort = DEFAULT_SORT) => {
+  const fields = splitValues(sort).map((item) => {
+    const key = typeof item === "string" ? item.replace(/^-/, "") : item;
+
+    if (!Object.hasOwn(SORT_FIELDS, key)) {
+      throw invalidParam(
+        "sort",
+        item,
+        `one of: ${Object.keys(SORT_FIELDS).join(", ")}, optionally prefixed with -`
+      );
+    }
+
+    return [SORT_FIELDS[key], item.startsWith("-") ? -1 : 1];
+  });
+
+  return Object.fromEntries([...fields, ["_id", -1]]);
+};
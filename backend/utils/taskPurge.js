@@ -0,0 +1,39 @@
+// backend/utils/taskPurge.js
+// Permanent removal of trashed tasks with their activities, attachment files
+// and notifications.
+import { Task, TaskActivity, Notification } from "../models/index.js";
+import { removeAttachments } from "./attachments.js";
+
+/**
+ * Permanently delete tasks that are in the trash
+ * @param {Object} filter - Task filter, only trashed tasks are matched
+ * @returns {Number} Deleted task count
+ */
+export const purgeTrashedTasks = async (filter) => {
+  const taskIds = await Task.find({
+    $and: [filter, { deletedAt: { $ne: null } }],
+  }).distinct("_id");
+
+  if (taskIds.length === 0) return 0;
+
+  const activities = await TaskActivity.find({
+    task: { $in: taskIds },
+    "attachments.0": { $exists: true },
+  })
+    .select("attachments")
+    .lean();
+
+  // Files first, a failure leaves the task in the trash to retry
+  await removeAttachments(
+    activities.flatMap((activity) => activity.attachments)
+  );
+
+  await Promise.all([
+    TaskActivity.deleteMany({ task: { $in: taskIds } }),
+    Notification.deleteMany({ task: { $in: taskIds } }),
+    Notification.deleteMany({ linkedDocument: { $in: taskIds } }),
+  ]);
+  const { deletedCount } = await Task.deleteMany({ _id: { $in: taskIds } });
+
+  return deletedCount;
+};
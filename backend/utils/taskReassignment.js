@@ -0,0 +1,207 @@
+// backend/utils/taskReassignment.js
+// Moves the open AssignedTasks of a user being offboarded to other users,
+// either one replacement or spread across the task department by workload.
+import {
+  User,
+  AssignedTask,
+  TaskActivity,
+  Notification,
+} from "../models/index.js";
+import CustomError from "../errorHandler/CustomError.js";
+import { OPEN_TASK_STATUSES } from "../config/tasks.js";
+import { filterEnabledNotifications } from "./companySettings.js";
+
+export const REASSIGNMENT_STRATEGIES = ["replacement", "spread"];
+
+const fullName = (user) => `${user.firstName} ${user.lastName}`;
+
+// Open AssignedTasks the user is assigned to, oldest due first
+export const getOpenAssignedTasks = (user, session = null) =>
+  AssignedTask.find({
+    company: user.company,
+    assignedTo: user._id,
+    status: { $in: OPEN_TASK_STATUSES },
+    deletedAt: null,
+  })
+    .sort({ dueDate: 1 })
+    .session(session);
+
+// Pick the least loaded candidate, counting open tasks already assigned
+const spreadByWorkload = async (tasks, user, session) => {
+  const departmentIds = [...new Set(tasks.map((t) => t.department.toString()))];
+
+  const candidates = await User.find({
+    company: user.company,
+    department: { $in: departmentIds },
+    isActive: true,
+    _id: { $ne: user._id },
+  })
+    .select("firstName lastName department")
+    .session(session)
+    .lean();
+
+  const workload = new Map(
+    (
+      await AssignedTask.aggregate([
+        {
+          $match: {
+            assignedTo: { $in: candidates.map((c) => c._id) },
+            status: { $in: OPEN_TASK_STATUSES },
+            deletedAt: null,
+          },
+        },
+        { $unwind: "$assignedTo" },
+        { $group: { _id: "$assignedTo", count: { $sum: 1 } } },
+      ]).session(session)
+    ).map(({ _id, count }) => [_id.toString(), count])
+  );
+
+  return tasks.map((task) => {
+    const pool = candidates.filter((c) => c.department.equals(task.department));
+
+    if (pool.length === 0) {
+      throw new CustomError(
+        `No active users left in the department of task "${task.title}"`,
+        400,
+        "NO_REASSIGNMENT_CANDIDATES"
+      );
+    }
+
+    const assignee = pool.reduce((least, candidate) =>
+      (workload.get(candidate._id.toString()) || 0) <
+      (workload.get(least._id.toString()) || 0)
+        ? candidate
+        : least
+    );
+    workload.set(
+      assignee._id.toString(),
+      (workload.get(assignee._id.toString()) || 0) + 1
+    );
+
+    return { task, assignee };
+  });
+};
+
+/**
+ * Decide who takes over each task
+ * @param {Array} tasks - Open tasks of the user
+ * @param {Object} user - User being offboarded
+ * @param {Object} options - { strategy, replacementId, session }
+ * @returns {Array} [{ task, assignee }]
+ */
+export const planReassignment = async (
+  tasks,
+  user,
+  { strategy, replacementId, session = null }
+) => {
+  if (!REASSIGNMENT_STRATEGIES.includes(strategy)) {
+    throw new CustomError(
+      `Reassignment strategy must be one of: ${REASSIGNMENT_STRATEGIES.join(
+        ", "
+      )}`,
+      400,
+      "INVALID_REASSIGNMENT_STRATEGY"
+    );
+  }
+
+  if (strategy === "spread") return spreadByWorkload(tasks, user, session);
+
+  const replacement =
+    replacementId && !user._id.equals(replacementId)
+      ? await User.findOne({
+          _id: replacementId,
+          company: user.company,
+          isActive: true,
+        })
+          .select("firstName lastName department")
+          .session(session)
+          .lean()
+      : null;
+
+  if (!replacement) {
+    throw new CustomError(
+      "Replacement must be another active user of the company",
+      400,
+      "INVALID_REPLACEMENT"
+    );
+  }
+
+  // Assignees belong to the task department, tasks kept from a previous
+  // department of the user cannot go to the same replacement
+  const outsideTasks = tasks.filter(
+    (task) => !task.department.equals(replacement.department)
+  );
+
+  if (outsideTasks.length > 0) {
+    throw new CustomError(
+      `${fullName(replacement)} is not in the department of ${
+        outsideTasks.length
+      } task(s). Use the spread strategy or reassign those tasks first`,
+      400,
+      "INVALID_REPLACEMENT",
+      {
+        tasks: outsideTasks.map((task) => ({
+          _id: task._id,
+          title: task.title,
+          department: task.department,
+        })),
+      }
+    );
+  }
+
+  return tasks.map((task) => ({ task, assignee: replacement }));
+};
+
+/**
+ * Swap the user for the planned assignee on each task, record a TaskActivity
+ * and notify the new assignee
+ * @returns {Array} Notifications to emit once the transaction commits
+ */
+export const applyReassignment = async (req, user, plan, { session }) => {
+  const notifications = [];
+
+  for (const { task, assignee } of plan) {
+    task.assignedTo = [
+      ...task.assignedTo.filter(
+        (id) => !id.equals(user._id) && !id.equals(assignee._id)
+      ),
+      assignee._id,
+    ];
+    await task.save({ session });
+
+    await TaskActivity.create(
+      [
+        {
+          task: task._id,
+          company: task.company,
+          performedBy: req.user._id,
+          description: `Reassigned from ${fullName(user)} to ${fullName(
+            assignee
+          )} when ${fullName(user)} was deactivated`,
+          statusChange: { from: task.status, to: task.status },
+        },
+      ],
+      { session }
+    );
+
+    notifications.push({
+      user: assignee._id,
+      type: "TaskAssignment",
+      message: `Assigned to task: ${task.title} (previously ${fullName(user)})`,
+      task: task._id,
+      company: task.company,
+      department: task.department,
+      linkedDocument: task._id,
+      linkedDocumentType: "Task",
+    });
+  }
+
+  const enabledNotifications = filterEnabledNotifications(
+    req.user.company,
+    notifications
+  );
+
+  return enabledNotifications.length > 0
+    ? Notification.insertMany(enabledNotifications, { session })
+    : [];
+};
@@ -0,0 +1,190 @@
+// backend/utils/taskSearch.js
+// Full-text search over tasks and their activities, both backed by a MongoDB
+// text index. Matches are merged per task and ranked by text score, an
+// activity match counting for less than a match on the task itself.
+import { Task, TaskActivity } from "../models/index.js";
+
+export const MIN_QUERY_LENGTH = 2;
+export const MAX_QUERY_LENGTH = 100;
+
+const MAX_CANDIDATES = 500; // Per collection, bounds the in-memory ranking
+const ACTIVITY_WEIGHT = 0.5;
+const ACTIVITIES_PER_TASK = 3; // Matching activities kept for highlighting
+const SNIPPET_RADIUS = 60; // Characters kept around the first match
+
+const TASK_FIELDS = [
+  "title",
+  "description",
+  "location",
+  "clientInfo.name",
+  "clientInfo.phone",
+];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Local phone numbers are stored in international form (see ProjectTaskModel)
+const expandPhoneNumbers = (q) =>
+  q.replace(/(^|[^\d])09(\d{8})(?!\d)/g, "$109$2 2519$2");
+
+/**
+ * Find tasks matching a search, ranked by relevance
+ * @param {Object} scope - Task filter limiting what the user may see, with
+ *   the company
+ * @param {String} q - Search text, MongoDB $text syntax ("phrase", -exclude)
+ * @returns {Array} [{ taskId, score, activities }] best match first
+ */
+export const rankTaskMatches = async (scope, q) => {
+  const search = expandPhoneNumbers(q);
+
+  const [taskMatches, activityMatches] = await Promise.all([
+    Task.find(
+      { ...scope, $text: { $search: search } },
+      { score: { $meta: "textScore" } }
+    )
+      .sort({ score: { $meta: "textScore" } })
+      .limit(MAX_CANDIDATES)
+      .select("_id")
+      .lean(),
+    TaskActivity.aggregate([
+      // The text index is per company, the rest of the scope applies
+      // through the task of each match
+      {
+        $match: {
+          $text: { $search: search },
+          company: scope.company,
+        },
+      },
+      { $addFields: { score: { $meta: "textScore" } } },
+      {
+        $lookup: {
+          from: Task.collection.name,
+          localField: "task",
+          foreignField: "_id",
+          pipeline: [{ $match: scope }, { $project: { _id: 1 } }],
+          as: "parent",
+        },
+      },
+      { $match: { "parent.0": { $exists: true } } },
+      { $sort: { score: -1 } },
+      {
+        $group: {
+          _id: "$task",
+          score: { $max: "$score" },
+          activities: {
+            $push: {
+              _id: "$_id",
+              description: "$description",
+              createdAt: "$createdAt",
+            },
+          },
+        },
+      },
+      { $sort: { score: -1 } },
+      { $limit: MAX_CANDIDATES },
+      {
+        $project: {
+          score: 1,
+          activities: { $slice: ["$activities", ACTIVITIES_PER_TASK] },
+        },
+      },
+    ]),
+  ]);
+
+  const ranked = new Map(
+    taskMatches.map((task) => [
+      task._id.toString(),
+      { taskId: task._id, score: task.score, activities: [] },
+    ])
+  );
+
+  for (const { _id, score, activities } of activityMatches) {
+    const entry = ranked.get(_id.toString()) || {
+      taskId: _id,
+      score: 0,
+      activities: [],
+    };
+    entry.score += score * ACTIVITY_WEIGHT;
+    entry.activities = activities;
+    ranked.set(_id.toString(), entry);
+  }
+
+  return [...ranked.values()].sort((a, b) => b.score - a.score);
+};
+
+// Words of the search to highlight, excluded (-word) terms are skipped.
+// Simple suffixes are dropped to catch the stemmed matches of the text index.
+const getHighlightPattern = (q) => {
+  const terms = [
+    ...new Set(
+      (
+        expandPhoneNumbers(q)
+          .replace(/(^|\s)-\S+/g, " ")
+          .toLowerCase()
+          .match(/[\p{L}\p{N}]+/gu) || []
+      )
+        .filter((term) => term.length >= MIN_QUERY_LENGTH)
+        .map((term) =>
+          term.length > 4 ? term.replace(/(ing|ed|es|s)$/, "") : term
+        )
+    ),
+  ];
+
+  return terms.length > 0
+    ? new RegExp(
+        `(?<![\\p{L}\\p{N}])(?:${terms
+          .map(escapeRegex)
+          .join("|")})[\\p{L}\\p{N}]*`,
+        "giu"
+      )
+    : null;
+};
+
+// Cut the text around the first match, with match offsets in the snippet
+const buildSnippet = (text, pattern) => {
+  if (typeof text !== "string" || !text) return null;
+
+  const matches = [...text.matchAll(pattern)].map((match) => [
+    match.index,
+    match.index + match[0].length,
+  ]);
+  if (matches.length === 0) return null;
+
+  const start = Math.max(0, matches[0][0] - SNIPPET_RADIUS);
+  const end = Math.min(text.length, matches[0][1] + SNIPPET_RADIUS);
+
+  return {
+    text: text.slice(start, end),
+    truncatedStart: start > 0,
+    truncatedEnd: end < text.length,
+    matches: matches
+      .filter(([from, to]) => from >= start && to <= end)
+      .map(([from, to]) => [from - start, to - start]),
+  };
+};
+
+/**
+ * Snippets of the fields and activities that matched a search
+ * @param {Object} task - Task document
+ * @param {Array} activities - Matching activities from rankTaskMatches
+ * @param {String} q - Search text
+ * @returns {Array} [{ field, activity, text, truncatedStart, truncatedEnd,
+ *   matches: [[start, end]] }] where matches are offsets in text
+ */
+export const buildHighlights = (task, activities, q) => {
+  const pattern = getHighlightPattern(q);
+  if (!pattern) return [];
+
+  const highlights = TASK_FIELDS.map((field) => {
+    const snippet = buildSnippet(task.get(field), pattern);
+    return snippet && { field, ...snippet };
+  });
+
+  activities.forEach((activity) => {
+    const snippet = buildSnippet(activity.description, pattern);
+    highlights.push(
+      snippet && { field: "activity", activity: activity._id, ...snippet }
+    );
+  });
+
+  return highlights.filter(Boolean);
+};
@@ -0,0 +1,104 @@
+// backend/utils/totp.js
+// RFC 6238 time-based one-time passwords (HMAC-SHA1, 6 digits, 30s step)
+import crypto from "crypto";
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const TIME_STEP = 30; // seconds
+const DIGITS = 6;
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = input.replace(/=+$/, "").replace(/\s/g, "").toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error("Invalid base32 character");
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+// HOTP value for a counter (RFC 4226)
+const generateHOTP = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counterBuffer)
+    .digest();
+
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return code.toString().padStart(DIGITS, "0");
+};
+
+export const getCurrentStep = (time = Date.now()) =>
+  Math.floor(time / 1000 / TIME_STEP);
+
+// New random base32 secret (160 bits as recommended by RFC 4226)
+export const generateTOTPSecret = () => base32Encode(crypto.randomBytes(20));
+
+export const generateTOTP = (secret, time = Date.now()) =>
+  generateHOTP(secret, getCurrentStep(time));
+
+/**
+ * Verify a TOTP code, allowing clock drift of `window` steps either side
+ * @returns {Number|null} Matched time step, or null when the code is invalid
+ */
+export const verifyTOTP = (secret, code, window = 1) => {
+  const normalized = String(code).replace(/\s/g, "");
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const currentStep = getCurrentStep();
+  for (let step = currentStep - window; step <= currentStep + window; step++) {
+    const expected = Buffer.from(generateHOTP(secret, step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+// otpauth:// URI for authenticator apps (usually rendered as a QR code)
+export const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(TIME_STEP),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
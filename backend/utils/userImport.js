@@ -0,0 +1,203 @@
+// backend/utils/userImport.js
+// Sends the invitations of a committed bulk import. Progress is saved on the
+// UserImport after every step, so an import interrupted by a restart is
+// picked up again by jobs/userImports.js. A worker holds a lease on the
+// import while it runs, renewed after each batch.
+//
+// Each row gets its invitation first, and the invitation id is saved before
+// the email goes out. An invitation whose email fails is deleted and its row
+// marked Failed, so it does not hold a seat of the plan. If the process stops
+// between sending and saving, the email of that batch is sent again.
+import { User, Company, Invitation, UserImport } from "../models/index.js";
+import { getInvitationExpiry, sendInvitation } from "./invitations.js";
+
+export const BATCH_SIZE = 50;
+const LEASE_DURATION = 5 * 60 * 1000;
+
+const getLeaseEnd = () => new Date(Date.now() + LEASE_DURATION);
+
+// Take the lease of an unfinished import nobody else is processing
+const claimImport = (importId) =>
+  UserImport.findOneAndUpdate(
+    {
+      _id: importId,
+      status: "Processing",
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: new Date() } }],
+    },
+    { lockedUntil: getLeaseEnd() },
+    { new: true }
+  );
+
+export const summarizeImportRows = (rows) => {
+  const count = (status) => rows.filter((row) => row.status === status).length;
+
+  return {
+    total: rows.length,
+    pending: count("Pending"),
+    invited: count("Invited"),
+    skipped: count("Skipped"),
+    failed: count("Failed"),
+  };
+};
+
+const markFailed = (row, issue) => {
+  row.status = "Failed";
+  row.issues = [issue];
+  row.invitation = undefined;
+};
+
+// Create the missing invitations of a batch
+const createInvitations = async (rows, { inviter, company }) => {
+  const results = await Promise.allSettled(
+    rows.map((row) =>
+      Invitation.create({
+        email: row.email,
+        role: row.role,
+        company: company._id,
+        department: row.departmentId,
+        invitedBy: inviter._id,
+        expiresAt: getInvitationExpiry(),
+        profile: {
+          firstName: row.firstName,
+          lastName: row.lastName,
+          employeeId: row.employeeId,
+          skills: row.skills,
+        },
+      })
+    )
+  );
+
+  results.forEach((result, index) => {
+    if (result.status === "fulfilled") {
+      rows[index].invitation = result.value._id;
+    } else {
+      markFailed(rows[index], result.reason.message);
+    }
+  });
+};
+
+// Email the invitations of a batch, removing those nobody received
+const sendInvitations = async (rows, { inviter, company }) => {
+  const invitations = await Invitation.find({
+    _id: { $in: rows.map((row) => row.invitation) },
+  });
+  const invitationsById = new Map(
+    invitations.map((invitation) => [invitation._id.toString(), invitation])
+  );
+
+  await Promise.all(
+    rows.map(async (row) => {
+      const invitation = invitationsById.get(row.invitation.toString());
+
+      if (!invitation || invitation.status === "Revoked") {
+        markFailed(row, "Invitation was revoked before it was sent");
+        return;
+      }
+
+      // Accepted from an email sent before an interruption
+      if (invitation.status !== "Pending") {
+        row.status = "Invited";
+        return;
+      }
+
+      try {
+        await sendInvitation(invitation, {
+          inviter,
+          companyName: company.name,
+        });
+        row.status = "Invited";
+      } catch (error) {
+        console.error("User import email error:", error);
+        await Invitation.deleteOne({ _id: invitation._id });
+        markFailed(row, "Invitation email could not be sent");
+      }
+    })
+  );
+};
+
+const saveProgress = (userImport, extra = {}) => {
+  userImport.set({ summary: summarizeImportRows(userImport.rows), ...extra });
+  return userImport.save();
+};
+
+/**
+ * Send the pending invitations of an import, if no other worker holds it
+ * @param {ObjectId} importId - UserImport to process
+ * @returns {Boolean} false when the import is finished or held elsewhere
+ */
+export const processUserImport = async (importId) => {
+  const userImport = await claimImport(importId);
+  if (!userImport) return false;
+
+  const [inviter, company] = await Promise.all([
+    User.findById(userImport.importedBy).select("firstName lastName").lean(),
+    Company.findById(userImport.company).select("name").lean(),
+  ]);
+
+  // Without the company or the inviter there is nobody to invite on behalf of
+  if (!inviter || !company) {
+    userImport.rows
+      .filter((row) => row.status === "Pending")
+      .forEach((row) =>
+        markFailed(row, "The importing user or company no longer exists")
+      );
+    await saveProgress(userImport, {
+      status: "Completed",
+      completedAt: new Date(),
+      lockedUntil: null,
+    });
+    return true;
+  }
+
+  const context = { inviter, company };
+
+  for (;;) {
+    const batch = userImport.rows
+      .filter((row) => row.status === "Pending")
+      .slice(0, BATCH_SIZE);
+    if (batch.length === 0) break;
+
+    const uninvited = batch.filter((row) => !row.invitation);
+    if (uninvited.length > 0) {
+      await createInvitations(uninvited, context);
+      await saveProgress(userImport, { lockedUntil: getLeaseEnd() });
+    }
+
+    await sendInvitations(
+      batch.filter((row) => row.status === "Pending"),
+      context
+    );
+    await saveProgress(userImport, { lockedUntil: getLeaseEnd() });
+  }
+
+  await saveProgress(userImport, {
+    status: "Completed",
+    completedAt: new Date(),
+    lockedUntil: null,
+  });
+  return true;
+};
+
+/**
+ * Process every unfinished import whose lease has lapsed, e.g. after a restart
+ * @returns {Object} { resumed } import count
+ */
+export const resumeUserImports = async () => {
+  const imports = await UserImport.find({
+    status: "Processing",
+    $or: [{ lockedUntil: null }, { lockedUntil: { $lte: new Date() } }],
+  })
+    .select("_id")
+    .lean();
+
+  let resumed = 0;
+  for (const { _id } of imports) {
+    try {
+      if (await processUserImport(_id)) resumed++;
+    } catch (error) {
+      console.error(`❌ User import ${_id} failed:`, error.message);
+    }
+  }
+
+  return { resumed };
+};